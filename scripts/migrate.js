@@ -1 +1,53 @@
-// scripts/migrate.js
\ No newline at end of file
+#!/usr/bin/env node
+// scripts/migrate.js
+
+const { Command } = require('commander');
+const chalk = require('chalk');
+
+/**
+ * Міграція схеми БД до поточних моделей
+ * Відсутні таблиці створюються, у наявні додаються нові колонки;
+ * --alter додатково приводить типи колонок до моделей через sync({ alter: true })
+ */
+async function migrate(options) {
+  const { DatabaseService } = require('../src/services/storage/database');
+  const database = new DatabaseService();
+
+  await database.connect();
+
+  try {
+    const added = await database.migrate();
+
+    if (options.alter) {
+      console.log(chalk.yellow('⚠️ Приведення таблиць до моделей (sync alter)...'));
+      await database.sequelize.sync({ alter: true });
+    }
+
+    console.log(chalk.green(`✅ Міграцію завершено${added.length > 0 ? `, додано колонки: ${added.join(', ')}` : ''}`));
+  } finally {
+    await database.disconnect();
+  }
+}
+
+// Запуск CLI якщо це головний файл
+if (require.main === module) {
+  const program = new Command();
+
+  program
+    .name('migrate')
+    .description('Міграція схеми бази даних до поточних моделей')
+    .option('--alter', 'Змінити типи наявних колонок через sync({ alter: true })')
+    .action(async (options) => {
+      try {
+        await migrate(options);
+        process.exit(0);
+      } catch (error) {
+        console.error(chalk.red('❌ Помилка міграції:'), error.message);
+        process.exit(1);
+      }
+    });
+
+  program.parse();
+}
+
+module.exports = { migrate };
\ No newline at end of file
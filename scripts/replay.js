@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+// scripts/replay.js
+
+const { Command } = require('commander');
+const chalk = require('chalk');
+const fs = require('fs');
+const readline = require('readline');
+
+// Події моніторів, що виводяться для порівняння прогонів
+const REPLAYED_EVENTS = ['newListing', 'statusTransition', 'delisting'];
+
+/**
+ * Метадані запису з першого рядка файлу
+ */
+async function readMeta(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file) });
+
+  for await (const line of lines) {
+    lines.close();
+    const entry = JSON.parse(line);
+    return entry.type === 'meta' ? entry : null;
+  }
+
+  return null;
+}
+
+/**
+ * Відтворення запису через монітори лістингів
+ * Події виводяться в stdout як NDJSON без міток реального часу,
+ * тож вивід двох прогонів можна порівнювати через diff
+ */
+async function replay(file, options) {
+  const meta = await readMeta(file);
+
+  // Середовище запису визначає потоки та фільтри, тому задаємо його до завантаження конфігурації
+  if (meta && process.env.BINANCE_TESTNET === undefined) {
+    process.env.BINANCE_TESTNET = String(Boolean(meta.useTestnet));
+  }
+
+  const { ReplaySession } = require('../src/services/replay/replay');
+  const { WebSocketMonitor } = require('../src/services/monitoring/websocket');
+  const { PollingMonitor } = require('../src/services/monitoring/polling');
+  const { HybridMonitor } = require('../src/services/monitoring/hybrid');
+
+  const session = await ReplaySession.fromFile(file, { speed: parseFloat(options.speed) });
+
+  const monitors = {
+    websocket: () => new WebSocketMonitor(session.client),
+    polling: () => new PollingMonitor(session.client),
+    hybrid: () => new HybridMonitor(session.client)
+  };
+
+  if (!monitors[options.monitor]) {
+    throw new Error(`Невідомий монітор ${options.monitor}, доступні: ${Object.keys(monitors).join(', ')}`);
+  }
+
+  const monitor = monitors[options.monitor]();
+
+  for (const event of REPLAYED_EVENTS) {
+    monitor.on(event, (payload) => {
+      const { latency, timestamp, ...data } = payload;
+      process.stdout.write(`${JSON.stringify({ t: session.client.currentTime, event, ...data })}\n`);
+    });
+  }
+  monitor.on('error', error => console.error(chalk.red('❌ Помилка монітора:'), error.message));
+
+  session.attach(monitor);
+
+  console.error(chalk.blue(`▶️ Відтворення ${file} (${meta?.environment || 'unknown'}, швидкість ${options.speed === '0' ? 'без пауз' : `x${options.speed}`})`));
+
+  const stats = await session.run();
+
+  console.error(chalk.green(`✅ Відтворено: ${stats.frames} кадрів WebSocket, ${stats.polls} опитувань тікерів, ${stats.exchangeInfoChecks} перевірок exchangeInfo`));
+}
+
+// Запуск CLI якщо це головний файл
+if (require.main === module) {
+  const program = new Command();
+
+  program
+    .name('replay')
+    .description('Відтворення запису ринкових даних (RECORDING_ENABLED) через монітори лістингів')
+    .argument('<file>', 'NDJSON файл запису')
+    .option('-s, --speed <n>', 'Швидкість відтворення (1 - реальний час, 0 - без пауз)', '1')
+    .option('-m, --monitor <type>', 'Монітор: websocket, polling або hybrid', 'hybrid')
+    .action(async (file, options) => {
+      try {
+        await replay(file, options);
+        process.exit(0);
+      } catch (error) {
+        console.error(chalk.red('❌ Помилка відтворення:'), error.message);
+        process.exit(1);
+      }
+    });
+
+  program.parse();
+}
+
+module.exports = { replay };
\ No newline at end of file
@@ -4,12 +4,23 @@ const config = require('./config');
 const logger = require('./utils/logger');
 const { WebSocketMonitor } = require('./services/monitoring/websocket');
 const { PollingMonitor } = require('./services/monitoring/polling');
+const { AnnouncementMonitor } = require('./services/monitoring/announcement');
+const { HybridMonitor } = require('./services/monitoring/hybrid');
+const { ListingAnalyzer } = require('./services/analytics/listing-analyzer');
+const { MarketRecorder } = require('./services/replay/recorder');
 const { TradingService } = require('./services/trading');
+const { TradingSchedule } = require('./services/trading/schedule');
+const { ApprovalQueue } = require('./services/trading/approvals');
 const { NotificationService } = require('./services/notification');
 const { DatabaseService } = require('./services/storage/database');
 const { APIServer } = require('./services/server');
 const { ErrorHandler } = require('./utils/errors');
 const { getBinanceClientFactory } = require('./services/binance/client-factory');
+const { getSymbolRegistry } = require('./services/binance/symbol-registry');
+const { getTradingSymbols, getQuoteAssets } = require('./utils/symbols');
+
+// Максимальна затримка, яку підтримує setTimeout (~24.8 доби)
+const MAX_TIMER_DELAY = 2147483647;
 
 /**
  * Головний клас додатку з підтримкою множинних середовищ
@@ -22,6 +33,8 @@ class BinanceListingBot {
     this.clientFactory = null;
     this.currentEnvironment = null;
     this.processedListings = new Set(); // Кеш для оброблених лістингів
+    this.scheduledListings = new Map(); // Заплановані купівлі анонсованих лістингів
+    this.tradingSchedule = new TradingSchedule();
   }
 
   /**
@@ -44,15 +57,25 @@ class BinanceListingBot {
       // Ініціалізуємо базу даних
       await this.initializeDatabase();
       
+      // Ініціалізуємо сервіс сповіщень до торгового: звірка ордерів під час запуску вже повідомляє
+      await this.initializeNotificationService();
+      
       // Ініціалізуємо торговий сервіс
       await this.initializeTradingService();
       
-      // Ініціалізуємо сервіс сповіщень
-      await this.initializeNotificationService();
+      // Черга заблокованих mainnet лістингів на ручне схвалення
+      this.services.approvals = new ApprovalQueue(this.services.database);
+      await this.services.approvals.load();
+      
+      // Аналітика перших хвилин торгів нових лістингів
+      this.services.listingAnalyzer = new ListingAnalyzer(this.services.database);
       
       // Ініціалізуємо моніторинг
       await this.initializeMonitoring();
       
+      // Запускаємо API сервер (статус, затримки, метрики)
+      await this.initializeAPIServer();
+      
       logger.info('✅ Ініціалізація завершена успішно!');
       
     } catch (error) {
@@ -74,9 +97,35 @@ class BinanceListingBot {
    */
   async initializeTradingService() {
     this.services.trading = new TradingService(this.services.database);
+    
+    // Підписка до initialize(): звірка ордерів відновлює позиції ще під час ініціалізації
+    this.services.trading.on('positionRecovered', this.handlePositionRecovered.bind(this));
+    this.services.trading.on('orphanOrder', this.handleOrphanOrder.bind(this));
+    
     await this.services.trading.initialize();
   }
 
+  /**
+   * Позиція, відновлена з журналу ордерів після збою посеред покупки
+   */
+  async handlePositionRecovered(position) {
+    await this.services.notification.send('warning', {
+      type: 'POSITION_RECOVERED',
+      message: `${position.symbol} (${position.environment}): позицію ${position.quantity} за ${position.entryPrice} відновлено з журналу ордерів` +
+        (position.protected ? ', TP/SL встановлено' : ', TP/SL НЕ встановлено - перевірте вручну')
+    });
+  }
+
+  /**
+   * Виконана купівля без позиції, яку не вдалося відновити
+   */
+  async handleOrphanOrder(order) {
+    await this.services.notification.send('warning', {
+      type: 'ORPHAN_ORDER',
+      message: `${order.symbol} (${order.environment}): купівлю ${order.clientOrderId} виконано (${order.executedQty}), але позиції немає - перевірте баланс вручну`
+    });
+  }
+
   /**
    * Ініціалізація сервісу сповіщень
    */
@@ -85,18 +134,61 @@ class BinanceListingBot {
     await this.services.notification.initialize();
   }
 
+  /**
+   * Ініціалізація API сервера
+   */
+  async initializeAPIServer() {
+    if (!config.server.api.enabled) return;
+
+    try {
+      this.services.apiServer = new APIServer(this);
+      await this.services.apiServer.start();
+    } catch (error) {
+      // Бот працює і без API
+      logger.error('❌ API сервер не запущено:', error);
+      this.services.apiServer = null;
+    }
+  }
+
   /**
    * Ініціалізація моніторингу (WebSocket або Polling)
    */
   async initializeMonitoring() {
+    // Запис ринкових даних для офлайн відтворення
+    if (config.monitoring.recording.enabled && !this.services.recorder) {
+      this.services.recorder = new MarketRecorder(this.currentEnvironment.name);
+      this.services.recorder.start();
+    }
+
+    const client = this.services.recorder
+      ? this.services.recorder.wrapClient(this.clientFactory.getCurrentClient())
+      : this.clientFactory.getCurrentClient();
+
+    // Гібридний режим: WebSocket і Polling одночасно
+    if (config.monitoring.mode === 'hybrid') {
+      logger.info('🔀 Ініціалізація гібридного моніторингу...');
+      this.monitors.hybrid = new HybridMonitor(client);
+
+      this.monitors.hybrid.on('newListing', this.handleNewListing.bind(this));
+      this.monitors.hybrid.on('listingConfirmed', this.handleListingConfirmed.bind(this));
+      this.monitors.hybrid.on('statusTransition', this.handleStatusTransition.bind(this));
+      this.monitors.hybrid.on('delisting', this.handleDelisting.bind(this));
+      this.monitors.hybrid.on('symbolPaused', this.handleSymbolPaused.bind(this));
+      this.monitors.hybrid.on('symbolResumed', this.handleSymbolResumed.bind(this));
+      this.monitors.hybrid.on('error', this.handleMonitorError.bind(this));
+      this.monitors.hybrid.on('reconnectFailed', this.handleWebSocketFailure.bind(this));
+    }
     // Використовуємо WebSocket якщо він увімкнений
-    if (config.monitoring.useWebSocket && process.env.USE_WEBSOCKET === 'true') {
+    else if (config.monitoring.useWebSocket && process.env.USE_WEBSOCKET === 'true') {
       logger.info('📡 Ініціалізація WebSocket моніторингу...');
       // Передаємо поточний клієнт із фабрики
-      this.monitors.websocket = new WebSocketMonitor(this.clientFactory.getClient());
+      this.monitors.websocket = new WebSocketMonitor(client);
       
       // Обробка подій WebSocket
       this.monitors.websocket.on('newListing', this.handleNewListing.bind(this));
+      this.monitors.websocket.on('delisting', this.handleDelisting.bind(this));
+      this.monitors.websocket.on('symbolPaused', this.handleSymbolPaused.bind(this));
+      this.monitors.websocket.on('symbolResumed', this.handleSymbolResumed.bind(this));
       this.monitors.websocket.on('error', this.handleMonitorError.bind(this));
       this.monitors.websocket.on('reconnectFailed', this.handleWebSocketFailure.bind(this));
     } 
@@ -104,14 +196,75 @@ class BinanceListingBot {
     else if (config.monitoring.pollingEnabled && process.env.USE_POLLING === 'true') {
       logger.info('🔄 Ініціалізація Polling моніторингу...');
       // Передаємо поточний клієнт із фабрики
-      this.monitors.polling = new PollingMonitor(this.clientFactory.getClient());
+      this.monitors.polling = new PollingMonitor(client);
       
       // Обробка подій Polling
       this.monitors.polling.on('newListing', this.handleNewListing.bind(this));
+      this.monitors.polling.on('statusTransition', this.handleStatusTransition.bind(this));
+      this.monitors.polling.on('delisting', this.handleDelisting.bind(this));
+      this.monitors.polling.on('symbolPaused', this.handleSymbolPaused.bind(this));
+      this.monitors.polling.on('symbolResumed', this.handleSymbolResumed.bind(this));
       this.monitors.polling.on('error', this.handleMonitorError.bind(this));
     } else {
       logger.warn('⚠️ Жоден метод моніторингу не увімкнено. Перевірте налаштування USE_WEBSOCKET та USE_POLLING');
     }
+
+    // Моніторинг анонсів працює паралельно з основним методом
+    if (config.monitoring.announcements.enabled) {
+      logger.info('📰 Ініціалізація моніторингу анонсів...');
+
+      // Некоректне джерело анонсів (без URL чи файлу) не зупиняє торгівлю
+      try {
+        this.monitors.announcement = new AnnouncementMonitor();
+
+        this.monitors.announcement.on('upcomingListing', this.handleUpcomingListing.bind(this));
+        this.monitors.announcement.on('delisting', this.handleDelisting.bind(this));
+        this.monitors.announcement.on('error', this.handleMonitorError.bind(this));
+      } catch (error) {
+        logger.error('❌ Моніторинг анонсів вимкнено:', error.message);
+        this.monitors.announcement = null;
+      }
+    }
+
+    const streamMonitor = this.getStreamMonitor();
+    if (this.services.recorder && streamMonitor) {
+      streamMonitor.setRecorder(this.services.recorder);
+    }
+
+    this.setupPositionStreams();
+  }
+
+  /**
+   * Монітор з WebSocket з'єднанням (окремий або у складі гібридного)
+   */
+  getStreamMonitor() {
+    return this.monitors.hybrid || this.monitors.websocket || null;
+  }
+
+  /**
+   * Потоки цін для відкритих позицій
+   * Підписка на @trade та @bookTicker при відкритті позиції та відписка при закритті
+   */
+  setupPositionStreams() {
+    const monitor = this.getStreamMonitor();
+    const trading = this.services.trading;
+    if (!trading) return;
+
+    if (!monitor) {
+      logger.info('ℹ️ WebSocket не використовується, ціни позицій запитуються через REST');
+      return;
+    }
+
+    monitor.on('trade', trade => trading.handleTrade(trade));
+    monitor.on('bookTicker', ticker => trading.marketData.updateBookTicker(ticker));
+
+    trading.on('buyExecuted', position => monitor.subscribeToSymbol(position.symbol));
+    trading.on('positionClosed', position => monitor.unsubscribeFromSymbol(position.symbol));
+
+    // Позиції, завантажені з БД при старті
+    for (const symbol of trading.activePositions.keys()) {
+      monitor.subscribeToSymbol(symbol);
+    }
   }
 
   /**
@@ -123,14 +276,21 @@ class BinanceListingBot {
       isRunning: this.isRunning,
       activePositions: this.services.trading?.activePositions?.size || 0,
       processedListings: this.processedListings.size,
-      lastCheckTime: this.monitors.polling?.lastCheckTime ? new Date(this.monitors.polling.lastCheckTime).toLocaleTimeString() : 'N/A',
-      monitoringMode: this.monitors.websocket ? 'WebSocket' : 'Polling',
+      lastCheckTime: this.getPollingMonitor()?.lastCheckTime ? new Date(this.getPollingMonitor().lastCheckTime).toLocaleTimeString() : 'N/A',
+      monitoringMode: this.monitors.hybrid ? 'Hybrid' : this.monitors.websocket ? 'WebSocket' : 'Polling',
       simulationMode: config.debug.simulationMode ? 'Enabled' : 'Disabled'
     };
 
     logger.info('🤖 Статус бота:', status);
   }
 
+  /**
+   * Polling монітор (окремий або у складі гібридного)
+   */
+  getPollingMonitor() {
+    return this.monitors.hybrid ? this.monitors.hybrid.polling : this.monitors.polling;
+  }
+
   /**
    * Запуск періодичного виведення статусу
    */
@@ -158,8 +318,13 @@ class BinanceListingBot {
       // Запускаємо періодичне оновлення статусу
       this.startStatusUpdates();
 
+      // Звіряємо відомі символи до старту моніторингу
+      const missedListings = await this.reconcileKnownSymbols();
+
       // Запускаємо моніторинг
-      if (this.monitors.websocket) {
+      if (this.monitors.hybrid) {
+        await this.monitors.hybrid.start();
+      } else if (this.monitors.websocket) {
         logger.info('🔌 Запуск WebSocket моніторингу...');
         await this.monitors.websocket.start();
       } else if (this.monitors.polling) {
@@ -167,11 +332,18 @@ class BinanceListingBot {
         await this.monitors.polling.start();
       }
 
+      // Запускаємо моніторинг анонсів
+      if (this.monitors.announcement) {
+        await this.monitors.announcement.start();
+      }
+
       // Запускаємо торговий сервіс
       if (this.services.trading) {
         await this.services.trading.start();
       }
 
+      await this.handleMissedListings(missedListings);
+
       logger.info('✅ Бот запущено успішно!');
       this.logBotStatus();
 
@@ -233,12 +405,18 @@ class BinanceListingBot {
     this.isRunning = false;
     
     // Зупиняємо моніторинг
+    if (this.monitors.hybrid) {
+      await this.monitors.hybrid.stop();
+    }
     if (this.monitors.websocket) {
       await this.monitors.websocket.stop();
     }
     if (this.monitors.polling) {
       await this.monitors.polling.stop();
     }
+    if (this.monitors.announcement) {
+      await this.monitors.announcement.stop();
+    }
     
     // Призупиняємо торговий сервіс
     if (this.services.trading) {
@@ -258,14 +436,121 @@ class BinanceListingBot {
       await this.services.trading.resume();
     }
     
+    // Пари, що з'явились під час паузи, не повинні потрапити в базовий набір непоміченими
+    const missedListings = await this.reconcileKnownSymbols();
+    
+    if (this.monitors.hybrid) {
+      await this.monitors.hybrid.start();
+    }
     // Запускаємо WebSocket моніторинг якщо він увімкнено
-    if (config.monitoring.useWebSocket && process.env.USE_WEBSOCKET === 'true' && this.monitors.websocket) {
+    else if (config.monitoring.useWebSocket && process.env.USE_WEBSOCKET === 'true' && this.monitors.websocket) {
       await this.monitors.websocket.start();
     } 
     // Інакше запускаємо polling як резервний варіант
     else if (config.monitoring.pollingEnabled && this.monitors.polling) {
       await this.monitors.polling.start();
     }
+
+    if (this.monitors.announcement) {
+      await this.monitors.announcement.start();
+    }
+
+    await this.handleMissedListings(missedListings);
+  }
+
+  /**
+   * Звірка збережених символів з біржею
+   * Повертає пари, що з'явились поки бот не працював
+   */
+  async reconcileKnownSymbols() {
+    const environment = this.currentEnvironment.name;
+
+    try {
+      const saved = await this.services.database.getKnownSymbols(environment);
+      const savedSymbols = saved.map(s => s.symbol);
+
+      // Збережений набір - запасний варіант, якщо монітор не зможе завантажити exchangeInfo
+      this.seedMonitors(savedSymbols);
+
+      const exchangeInfo = await this.clientFactory.getCurrentClient().getExchangeInfo();
+      const tradingSymbols = getTradingSymbols(exchangeInfo);
+
+      await this.services.database.saveKnownSymbols(tradingSymbols, environment);
+      this.seedMonitors([...savedSymbols, ...tradingSymbols.map(s => s.symbol)]);
+
+      // Перший запуск - лише формуємо базовий набір
+      if (savedSymbols.length === 0) {
+        logger.info(`📚 Збережено базовий набір з ${tradingSymbols.length} символів (${environment})`);
+        return [];
+      }
+
+      const known = new Set(savedSymbols);
+      const missed = tradingSymbols.filter(s => !known.has(s.symbol));
+
+      logger.info(`📚 Звірено ${tradingSymbols.length} символів, пропущених лістингів: ${missed.length}`);
+      return missed;
+
+    } catch (error) {
+      logger.error('❌ Помилка звірки відомих символів:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Передача відомих символів моніторам лістингів
+   */
+  seedMonitors(symbols) {
+    for (const monitor of [this.monitors.hybrid, this.monitors.websocket, this.monitors.polling]) {
+      if (monitor) {
+        monitor.seedKnownSymbols(symbols);
+      }
+    }
+  }
+
+  /**
+   * Обробка лістингів, що з'явились під час простою бота
+   */
+  async handleMissedListings(missedListings) {
+    if (missedListings.length === 0) return;
+
+    const { policy } = config.monitoring.missedListings;
+    const symbols = missedListings.map(s => s.symbol);
+
+    logger.warn(`🕳️ Пропущені лістинги під час простою: ${symbols.join(', ')} (політика: ${policy})`);
+
+    await this.services.notification.send('missed_listings', {
+      environment: this.currentEnvironment.name,
+      symbols,
+      policy
+    });
+
+    if (policy !== 'trade') return;
+
+    for (const symbol of symbols) {
+      try {
+        const listingData = await this.buildListingFromTicker(symbol, { source: 'missed' });
+        await this.handleNewListing(listingData);
+      } catch (error) {
+        logger.error(`❌ Помилка обробки пропущеного лістингу ${symbol}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Збереження символу нового лістингу в набір відомих
+   */
+  async rememberKnownSymbol(listingData) {
+    const { symbol, baseAsset, quoteAsset } = listingData;
+
+    try {
+      await this.services.database.saveKnownSymbols([{
+        symbol,
+        baseAsset,
+        quoteAsset
+      }], this.currentEnvironment.name);
+    } catch (error) {
+      logger.error(`❌ Не вдалося зберегти відомий символ ${symbol}:`, error);
+    }
   }
 
   /**
@@ -282,6 +567,9 @@ class BinanceListingBot {
 
       // Додаємо в кеш оброблених
       this.processedListings.add(listingKey);
+
+      // Запам'ятовуємо символ, щоб після перезапуску він не вважався новим
+      await this.rememberKnownSymbol(listingData);
       
       // Очищаємо старий кеш кожні 1000 записів
       if (this.processedListings.size > 1000) {
@@ -303,7 +591,13 @@ class BinanceListingBot {
         ...listingData,
         environment: this.currentEnvironment.name,
         detectedAt: new Date().toISOString(),
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        // Мітки часу етапів: подія на біржі, отримання, рішення фільтрів, відправка та підтвердження ордера
+        latency: {
+          eventTime: null,
+          receivedAt: Date.now(),
+          ...listingData.latency
+        }
       };
 
       // Зберігаємо інформацію про лістинг
@@ -315,9 +609,16 @@ class BinanceListingBot {
         return;
       }
 
+      // Аналітика збирається для всіх лістингів, незалежно від фільтрів
+      this.services.listingAnalyzer.track(enrichedListingData);
+
       // Перевіряємо чи відповідає фільтрам
-      if (!this.checkListingFilters(enrichedListingData)) {
+      const passedFilters = this.checkListingFilters(enrichedListingData);
+      enrichedListingData.latency.filterDecisionAt = Date.now();
+
+      if (!passedFilters) {
         logger.info(`⏭️ Лістинг ${listingData.symbol} не відповідає фільтрам`);
+        await this.services.database.updateListing(listingData.symbol, { latency: enrichedListingData.latency });
         return;
       }
 
@@ -348,6 +649,252 @@ class BinanceListingBot {
     }
   }
 
+  /**
+   * Обробка анонсованого лістингу
+   */
+  async handleUpcomingListing(upcomingListing) {
+    try {
+      logger.info(`📰 Отримано анонс лістингу ${upcomingListing.symbol}`, upcomingListing);
+
+      await this.services.notification.send('upcoming_listing', upcomingListing);
+
+      // Без часу відкриття торгів покладаємось на основний моніторинг
+      if (!upcomingListing.openTime) {
+        logger.info(`ℹ️ Час відкриття ${upcomingListing.symbol} невідомий, купівлю не заплановано`);
+        return;
+      }
+
+      this.scheduleListingBuy(upcomingListing);
+
+    } catch (error) {
+      logger.error('❌ Помилка обробки анонсу лістингу:', error);
+    }
+  }
+
+  /**
+   * Планування купівлі на анонсований час відкриття торгів
+   */
+  scheduleListingBuy(upcomingListing, delay = upcomingListing.openTime - Date.now()) {
+    const { symbol } = upcomingListing;
+
+    const existing = this.scheduledListings.get(symbol);
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    // setTimeout не підтримує затримки довші за ~24.8 доби
+    const timer = setTimeout(
+      () => this.executeScheduledListing(upcomingListing),
+      Math.min(Math.max(delay, 0), MAX_TIMER_DELAY)
+    );
+
+    this.scheduledListings.set(symbol, { timer, listing: upcomingListing });
+
+    logger.info(`⏰ Купівлю ${symbol} заплановано на ${new Date(upcomingListing.openTime).toISOString()}`);
+  }
+
+  /**
+   * Виконання запланованої купівлі анонсованого лістингу
+   */
+  async executeScheduledListing(upcomingListing, attempt = 1) {
+    const { symbol } = upcomingListing;
+
+    // Таймер спрацював раніше через обмеження максимальної затримки
+    if (Date.now() < upcomingListing.openTime) {
+      this.scheduleListingBuy(upcomingListing);
+      return;
+    }
+
+    if (!this.isRunning) {
+      logger.warn(`⚠️ Бот не запущено, заплановану купівлю ${symbol} скасовано`);
+      this.scheduledListings.delete(symbol);
+      return;
+    }
+
+    try {
+      const listingData = await this.buildListingFromTicker(symbol, {
+        source: upcomingListing.source,
+        announcementId: upcomingListing.announcementId,
+        scheduledOpenTime: upcomingListing.openTime
+      });
+
+      this.scheduledListings.delete(symbol);
+      await this.handleNewListing(listingData);
+
+    } catch (error) {
+      const { maxAttempts, delay } = config.monitoring.announcements.buyRetry;
+
+      // Пара може відкритись із запізненням - пробуємо ще раз
+      if (attempt < maxAttempts) {
+        logger.warn(`⚠️ ${symbol} ще не торгується (спроба ${attempt}/${maxAttempts}): ${error.message}`);
+        const timer = setTimeout(() => this.executeScheduledListing(upcomingListing, attempt + 1), delay);
+        this.scheduledListings.set(symbol, { timer, listing: upcomingListing });
+        return;
+      }
+
+      logger.error(`❌ Не вдалося виконати заплановану купівлю ${symbol}:`, error);
+      this.scheduledListings.delete(symbol);
+
+      await this.services.notification.send('error', {
+        type: 'scheduled_listing',
+        symbol,
+        environment: this.currentEnvironment?.name || 'unknown',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Фіксація підтвердження лістингу другим джерелом (гібридний режим)
+   */
+  async handleListingConfirmed(confirmation) {
+    try {
+      await this.services.database.updateListing(confirmation.symbol, {
+        confirmedBy: confirmation.confirmedBy,
+        confirmationLagMs: confirmation.leadMs
+      });
+    } catch (error) {
+      logger.error(`❌ Помилка збереження підтвердження лістингу ${confirmation.symbol}:`, error);
+    }
+  }
+
+  /**
+   * Обробка делістингу: блокування символу та примусовий вихід з позиції
+   * Делістинг - пара зникла з exchangeInfo або анонсована до видалення (baseAssets - усі пари токена)
+   */
+  async handleDelisting({ symbols, baseAssets = [] }) {
+    const trading = this.services.trading;
+    const registry = getSymbolRegistry(this.clientFactory.getCurrentClient());
+    
+    const delisted = new Set(symbols);
+    for (const baseAsset of baseAssets) {
+      for (const info of registry.symbols.values()) {
+        if (info.baseAsset === baseAsset) delisted.add(info.symbol);
+      }
+      for (const position of trading.activePositions.values()) {
+        if (position.baseAsset === baseAsset) delisted.add(position.symbol);
+      }
+    }
+
+    for (const symbol of delisted) {
+      trading.blockSymbol(symbol);
+
+      // Запланована купівля анонсованого лістингу більше не актуальна
+      const scheduled = this.scheduledListings.get(symbol);
+      if (scheduled) {
+        clearTimeout(scheduled.timer);
+        this.scheduledListings.delete(symbol);
+      }
+
+      if (!trading.activePositions.has(symbol)) continue;
+
+      logger.warn(`🚫 Делістинг ${symbol} з відкритою позицією, продаємо`);
+
+      try {
+        const result = await trading.forceExit(symbol, config.constants.CLOSE_REASONS.DELISTED);
+
+        await this.services.notification.send('delisting', {
+          symbol,
+          environment: this.currentEnvironment.displayName,
+          result
+        });
+
+      } catch (error) {
+        logger.error(`❌ Помилка обробки делістингу ${symbol}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Тимчасова зупинка торгів (HALT, BREAK): позиція не продається, символ лишається відомим
+   */
+  async handleSymbolPaused({ symbols }) {
+    for (const { symbol, status } of symbols) {
+      this.services.trading.pauseSymbol(symbol, status);
+
+      if (!this.services.trading.activePositions.has(symbol)) continue;
+
+      await this.services.notification.send('warning', {
+        type: 'SYMBOL_PAUSED',
+        message: `Торги ${symbol} призупинено біржею (${status}), позиція чекає відновлення`
+      });
+    }
+  }
+
+  /**
+   * Відновлення торгів після паузи
+   */
+  async handleSymbolResumed({ symbols }) {
+    for (const symbol of symbols) {
+      if (!this.services.trading.resumeSymbol(symbol)) continue;
+
+      logger.info(`▶️ Торги ${symbol} відновлено`);
+    }
+  }
+
+  /**
+   * Обробка переходу символу з PRE_TRADING / BREAK / HALT у TRADING
+   */
+  async handleStatusTransition(transition) {
+    const { symbol, from, to } = transition;
+
+    logger.info(`🚦 ${symbol} перейшов у статус ${to} (був ${from})`);
+
+    // Монітор вже вважає символ відомим, після перезапуску він теж не має стати новим лістингом
+    await this.rememberKnownSymbol(transition);
+
+    try {
+      const listingData = await this.buildListingFromTicker(symbol, {
+        source: 'statusTransition',
+        previousStatus: from,
+        latency: {
+          eventTime: null,
+          receivedAt: transition.timestamp
+        }
+      });
+
+      await this.handleNewListing(listingData);
+
+    } catch (error) {
+      // Символ уже відомий моніторам, повторно лістинг не надійде
+      logger.error(`❌ Помилка обробки зміни статусу ${symbol}:`, error);
+    }
+  }
+
+  /**
+   * Формування даних лістингу з 24h тікера символу
+   */
+  async buildListingFromTicker(symbol, extra = {}) {
+    const client = this.clientFactory.getCurrentClient();
+    const [ticker, symbolInfo] = await Promise.all([
+      client.get24hrStats(symbol),
+      getSymbolRegistry(client).resolve(symbol)
+    ]);
+
+    return {
+      symbol,
+      baseAsset: symbolInfo?.baseAsset,
+      quoteAsset: symbolInfo?.quoteAsset,
+      price: parseFloat(ticker.lastPrice),
+      volume: parseFloat(ticker.volume),
+      quoteVolume: parseFloat(ticker.quoteVolume),
+      priceChange: parseFloat(ticker.priceChange),
+      priceChangePercent: parseFloat(ticker.priceChangePercent),
+      timestamp: Date.now(),
+      ...extra
+    };
+  }
+
+  /**
+   * Скасування всіх запланованих купівель
+   */
+  clearScheduledListings() {
+    for (const { timer } of this.scheduledListings.values()) {
+      clearTimeout(timer);
+    }
+    this.scheduledListings.clear();
+  }
+
   /**
    * Обробка лістингу в testnet середовищі
    */
@@ -386,14 +933,24 @@ class BinanceListingBot {
   /**
    * Обробка лістингу в mainnet середовищі
    */
-  async handleMainnetListing(listingData) {
+  async handleMainnetListing(listingData, { approved = false } = {}) {
     logger.warn(`💰 Обробка MAINNET лістингу ${listingData.symbol} - РЕАЛЬНІ ГРОШІ!`);
     
-    // Додаткові перевірки безпеки для mainnet
-    const safetyChecks = await this.performMainnetSafetyChecks(listingData);
+    // Додаткові перевірки безпеки для mainnet; вручну схвалений лістинг оминає лише розклад торгівлі
+    const safetyChecks = await this.performMainnetSafetyChecks(listingData, { ignoreSchedule: approved });
     
     if (!safetyChecks.passed) {
       logger.warn(`⚠️ Mainnet лістинг ${listingData.symbol} заблоковано системою безпеки:`, safetyChecks.reasons);
+      
+      // У чергу потрапляє лише лістинг поза розкладом: схвалення не виправить недостатній обсяг
+      if (config.trading.schedule.approvalQueue && !approved && safetyChecks.scheduleOnly) {
+        const entry = await this.services.approvals.add(listingData, safetyChecks.reasons);
+        
+        await this.services.notification.send('warning', {
+          type: 'APPROVAL_REQUIRED',
+          message: `${listingData.symbol} заблоковано (${safetyChecks.reasons.join('; ')}). Схвалення до ${entry.expiresAt}: POST /api/approvals/${listingData.symbol}/approve`
+        });
+      }
       return;
     }
 
@@ -425,22 +982,90 @@ class BinanceListingBot {
     } else {
       logger.error(`❌ Помилка MAINNET покупки ${listingData.symbol}:`, result.error);
     }
+    
+    return result;
+  }
+
+  /**
+   * Покупка вручну схваленого лістингу з черги
+   */
+  async approveListing(symbol) {
+    const environment = this.currentEnvironment.name;
+    const entry = await this.services.approvals.get(symbol);
+    
+    if (!entry) {
+      return { success: false, error: 'Listing not in approval queue' };
+    }
+    
+    // За час очікування ринок змінився: перевірки, крім розкладу, повторюємо з актуальними даними;
+    // лістинг, що їх не пройшов, лишається в черзі до закінчення APPROVAL_TTL
+    const listingData = await this.refreshListingMarketData(entry.listing);
+    
+    if (!listingData) {
+      return { success: false, error: 'Failed to refresh listing market data' };
+    }
+    
+    const safetyChecks = await this.performMainnetSafetyChecks(listingData, { ignoreSchedule: true });
+    
+    if (!this.checkListingFilters(listingData)) {
+      safetyChecks.passed = false;
+      safetyChecks.reasons.push('Лістинг не проходить фільтри');
+    }
+    
+    if (!safetyChecks.passed) {
+      logger.warn(`⚠️ ${symbol} не схвалено, перевірки безпеки не пройдено:`, safetyChecks.reasons);
+      return { success: false, error: `Safety checks failed: ${safetyChecks.reasons.join('; ')}` };
+    }
+    
+    const decision = await this.services.approvals.approve(symbol, environment);
+    
+    if (!decision.success) {
+      return decision;
+    }
+    
+    const result = await this.handleMainnetListing(listingData, { approved: true });
+    
+    // Без результату покупку не виконано (режим симуляції)
+    return result || { success: false, error: 'Simulation mode: purchase not executed' };
+  }
+
+  /**
+   * Актуальні ціна та обсяг лістингу з 24-годинної статистики
+   */
+  async refreshListingMarketData(listingData) {
+    try {
+      const ticker = await this.services.trading.binanceClient.get24hrStats(listingData.symbol);
+      
+      return {
+        ...listingData,
+        price: parseFloat(ticker.lastPrice),
+        volume: parseFloat(ticker.volume),
+        quoteVolume: parseFloat(ticker.quoteVolume),
+        priceChange: parseFloat(ticker.priceChange),
+        priceChangePercent: parseFloat(ticker.priceChangePercent)
+      };
+    } catch (error) {
+      logger.error(`❌ Не вдалося оновити ринкові дані ${listingData.symbol}:`, error.message);
+      return null;
+    }
   }
 
   /**
    * Перевірки безпеки для mainnet
+   * scheduleOnly - лістинг заблоковано лише розкладом торгівлі
    */
-  async performMainnetSafetyChecks(listingData) {
+  async performMainnetSafetyChecks(listingData, { ignoreSchedule = false } = {}) {
     const checks = {
       passed: true,
-      reasons: []
+      reasons: [],
+      scheduleOnly: false
     };
 
-    // Перевірка часу (наприклад, не торгуємо вночі)
-    const hour = new Date().getHours();
-    if (config.isProduction && (hour < 6 || hour > 22)) {
+    // Розклад торгівлі: дозволені та заборонені вікна, святкові дні
+    const schedule = ignoreSchedule ? { allowed: true } : this.tradingSchedule.check();
+    if (!schedule.allowed) {
       checks.passed = false;
-      checks.reasons.push('Торгівля поза робочими годинами');
+      checks.reasons.push(...schedule.reasons);
     }
 
     // Перевірка обсягу
@@ -449,12 +1074,7 @@ class BinanceListingBot {
       checks.reasons.push('Недостатній обсяг для mainnet');
     }
 
-    // Перевірка на вихідні (опціонально)
-    const isWeekend = [0, 6].includes(new Date().getDay());
-    if (config.isProduction && isWeekend) {
-      checks.passed = false;
-      checks.reasons.push('Торгівля у вихідні дні заборонена');
-    }
+    checks.scheduleOnly = !schedule.allowed && checks.reasons.length === schedule.reasons.length;
 
     return checks;
   }
@@ -550,6 +1170,31 @@ class BinanceListingBot {
         logger.info(`🔄 Торговий сервіс перемкнуто на ${data.environment}`);
         this.currentEnvironment = this.clientFactory.environmentManager.getCurrentEnvironment();
       });
+
+      // Зупинка входів лімітами ризику потребує ручного скидання, тож повідомляємо одразу
+      this.services.trading.on('tradingHalted', async (data) => {
+        await this.services.notification.send('warning', {
+          type: 'RISK_LIMIT',
+          message: `Нові входи зупинено (${data.environment}): ${data.reason}. Скидання: POST /api/risk/reset`
+        });
+      });
+      
+      // Зміни відкритих позицій між покупкою та закриттям
+      this.services.trading.on('positionPartiallyClosed', async (position) => {
+        await this.services.notification.send('partial_exit', { position });
+      });
+      
+      this.services.trading.on('trailingStopUpdated', async (position) => {
+        await this.services.notification.send('trailing_stop_updated', { position });
+      });
+      
+      // Без stop loss на біржі позицію захищає лише працюючий бот
+      this.services.trading.on('softStopActivated', async (position) => {
+        await this.services.notification.send('warning', {
+          type: 'SOFT_STOP',
+          message: `${position.symbol} (${position.environment}): біржа не прийняла stop loss, бот сам стежить за ціною ${position.stopLossPrice}`
+        });
+      });
     }
   }
 
@@ -571,13 +1216,19 @@ class BinanceListingBot {
         isRunning: this.isRunning,
         uptime: process.uptime(),
         monitors: {
+          hybrid: this.monitors.hybrid?.getStatus() || null,
           websocket: this.monitors.websocket?.getStatus() || null,
-          polling: this.monitors.polling?.getStatus() || null
-        }
+          polling: this.monitors.polling?.getStatus() || null,
+          marketData: this.services.trading?.marketData.getStatus() || null,
+          announcement: this.monitors.announcement?.getStatus() || null
+        },
+        scheduledListings: Array.from(this.scheduledListings.keys())
       },
       services: {
         trading: tradingReport,
         database: this.services.database?.getStatus() || null,
+        listingAnalyzer: this.services.listingAnalyzer?.getStatus() || null,
+        recorder: this.services.recorder?.getStatus() || null,
         notification: this.services.notification?.getStatus() || null
       },
       configuration: {
@@ -600,12 +1251,26 @@ class BinanceListingBot {
       logger.info('⏹️ Зупинка бота...');
 
       // Зупиняємо моніторинг
+      if (this.monitors.hybrid) {
+        await this.monitors.hybrid.stop();
+      }
       if (this.monitors.websocket) {
         await this.monitors.websocket.stop();
       }
       if (this.monitors.polling) {
         await this.monitors.polling.stop();
       }
+      if (this.monitors.announcement) {
+        await this.monitors.announcement.stop();
+      }
+
+      // Скасовуємо заплановані купівлі
+      this.clearScheduledListings();
+
+      // Скасовуємо заплановану аналітику лістингів
+      if (this.services.listingAnalyzer) {
+        this.services.listingAnalyzer.stop();
+      }
 
       // Зупиняємо торговий сервіс
       if (this.services.trading) {
@@ -617,6 +1282,11 @@ class BinanceListingBot {
         await this.services.apiServer.stop();
       }
 
+      // Закриваємо файл запису ринкових даних
+      if (this.services.recorder) {
+        await this.services.recorder.stop();
+      }
+
       // Безпечне завершення фабрики клієнтів
       if (this.clientFactory) {
         await this.clientFactory.shutdown();
@@ -673,6 +1343,7 @@ class BinanceListingBot {
       `📈 Максимальна кількість позицій: ${this.currentEnvironment.features.orderLimits.maxPositions}`,
       `💵 Quote Asset: ${config.trading.quoteAsset}`,
       `💰 Розмір ордера: ${config.trading.baseOrderSize} ${config.trading.quoteAsset}`,
+      `🪙 Quote assets: ${getQuoteAssets().map(q => `${q.asset} (${q.orderSize})`).join(', ')}${config.trading.crossQuoteRouting.enabled ? ' з конвертацією' : ''}`,
       `🎯 Take Profit: ${(config.trading.defaultTP * 100).toFixed(1)}%`,
       `🛑 Stop Loss: ${(config.trading.defaultSL * 100).toFixed(1)}%`,
       '🌍 ========================================================================== 🌍'
@@ -42,6 +42,28 @@ module.exports = {
     EXPIRED: 'EXPIRED'
   },
 
+  // Стани ордера в журналі бота: NEW (записано до відправки) → ACK (прийнято біржею) →
+  // PARTIAL → FILLED/CANCELED; REJECTED - біржа відхилила або ордер так і не дійшов
+  ORDER_STATES: {
+    NEW: 'NEW',
+    ACK: 'ACK',
+    PARTIAL: 'PARTIAL',
+    FILLED: 'FILLED',
+    CANCELED: 'CANCELED',
+    REJECTED: 'REJECTED'
+  },
+
+  // Статуси торгових пар Binance (exchangeInfo)
+  SYMBOL_STATUS: {
+    PRE_TRADING: 'PRE_TRADING',
+    TRADING: 'TRADING',
+    POST_TRADING: 'POST_TRADING',
+    END_OF_DAY: 'END_OF_DAY',
+    HALT: 'HALT',
+    AUCTION_MATCH: 'AUCTION_MATCH',
+    BREAK: 'BREAK'
+  },
+
   // Time in Force
   TIME_IN_FORCE: {
     GTC: 'GTC', // Good Till Cancelled
@@ -53,6 +75,9 @@ module.exports = {
   EVENT_TYPES: {
     // Моніторинг
     NEW_LISTING: 'new_listing',
+    UPCOMING_LISTING: 'upcoming_listing',
+    STATUS_TRANSITION: 'status_transition',
+    MISSED_LISTINGS: 'missed_listings',
     DELISTING: 'delisting',
     HIGH_VOLUME: 'high_volume',
     
@@ -87,6 +112,9 @@ module.exports = {
     EXCHANGE_INFO: '/api/v3/exchangeInfo',
     TICKER_24H: '/api/v3/ticker/24hr',
     TICKER_PRICE: '/api/v3/ticker/price',
+    KLINES: '/api/v3/klines',
+    DEPTH: '/api/v3/depth',
+    RECENT_TRADES: '/api/v3/trades',
     ORDER: '/api/v3/order',
     ORDER_OCO: '/api/v3/order/oco',
     ACCOUNT: '/api/v3/account',
@@ -108,6 +136,7 @@ module.exports = {
 
   // Інтервали для свічок
   KLINE_INTERVALS: {
+    '1s': '1s',
     '1m': '1m',
     '3m': '3m',
     '5m': '5m',
@@ -230,12 +259,24 @@ module.exports = {
   },
 
   // Причини закриття позицій
+  // Стратегії виконання входу в позицію
+  EXECUTION_STRATEGIES: {
+    MARKET: 'market', // Один ринковий ордер
+    LADDER: 'ladder', // Драбина IOC лімітних ордерів зі зростаючою ціною
+    SLICED: 'sliced'  // Дочірні IOC ордери через рівні проміжки часу
+  },
+
   CLOSE_REASONS: {
     TAKE_PROFIT: 'TAKE_PROFIT',
     STOP_LOSS: 'STOP_LOSS',
     MANUAL: 'MANUAL',
     TRAILING_STOP: 'TRAILING_STOP',
     TIMEOUT: 'TIMEOUT',
+    // Виходи за часом: максимальний час утримання, немає нового максимуму, підтягнутий за часом stop loss
+    TIME_EXIT: 'TIME_EXIT',
+    NO_NEW_HIGH: 'NO_NEW_HIGH',
+    TIME_STOP: 'TIME_STOP',
+    DELISTED: 'DELISTED',
     ERROR: 'ERROR'
   },
 
@@ -24,6 +24,100 @@ console.log('Environment variables:', {
 // Визначаємо середовище
 const ENV = process.env.NODE_ENV || 'development';
 
+/**
+ * Розбір списку quote assets у форматі "USDT:10,FDUSD:10,BTC:0.0002,TRY:300:off"
+ * Розмір ордера вказується у валюті quote asset, "off" вимикає актив
+ */
+function parseQuoteAssets(value, defaultAsset, defaultOrderSize) {
+  if (!value) {
+    return [{ asset: defaultAsset, orderSize: defaultOrderSize, enabled: true }];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [asset, orderSize, state] = entry.split(':').map(part => part.trim());
+      return {
+        asset: asset.toUpperCase(),
+        orderSize: parseFloat(orderSize) || defaultOrderSize,
+        enabled: state !== 'off'
+      };
+    });
+}
+
+/**
+ * Розбір драбини take profit у форматі "0.3:0.10,0.3:0.25"
+ * Частка кількості позиції та прибуток від ціни входу для кожного рівня
+ */
+function parseTakeProfitLadder(value) {
+  if (!value) return [];
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [fraction, percent] = entry.split(':').map(part => parseFloat(part));
+      return { fraction, percent };
+    });
+}
+
+/**
+ * Розбір лімітів експозиції за тегами у форматі "sector:meme=2,launchpad:*=3,monitoring=0"
+ * "*" - ліміт для кожного значення тегу окремо
+ */
+function parseTagLimits(value) {
+  if (!value) return [];
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [tag, maxPositions] = entry.split('=').map(part => part.trim());
+      return { tag: tag.toLowerCase(), maxPositions: Number(maxPositions) };
+    });
+}
+
+// Дні тижня розкладу торгівлі (getDay: 0 - неділя)
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Розбір вікон розкладу у форматі "mon-fri@06:00-23:00,sat@10:00-14:00"
+ * Дні - один день, діапазон (можна через неділю: fri-mon) або "*"; вікно, що закінчується
+ * раніше за початок (22:00-02:00), триває до наступного дня. Помилки формату ловить валідація
+ */
+function parseScheduleWindows(value) {
+  if (!value) return [];
+
+  const toMinutes = time => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : NaN;
+  };
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [daySpec, timeSpec = '00:00-24:00'] = entry.toLowerCase().split('@').map(part => part.trim());
+      const [from, to = from] = daySpec.split('-').map(day => WEEKDAYS.indexOf(day));
+      const [start, end] = timeSpec.split('-').map(part => toMinutes(part.trim()));
+
+      let days = [];
+      if (daySpec === '*') {
+        days = [0, 1, 2, 3, 4, 5, 6];
+      } else if (from >= 0 && to >= 0) {
+        for (let day = from; days.length === 0 || days[days.length - 1] !== to; day = (day + 1) % 7) {
+          days.push(day);
+        }
+      }
+
+      return { spec: entry, days, start, end };
+    });
+}
+
+const QUOTE_ASSET = process.env.QUOTE_ASSET || 'USDT';
+const BASE_ORDER_SIZE = parseFloat(process.env.BASE_ORDER_SIZE) || 10;
+
 // Основна конфігурація
 const config = {
   // Середовище
@@ -84,9 +178,56 @@ const config = {
   // Торгові налаштування
   trading: {
     // Основні параметри
-    quoteAsset: process.env.QUOTE_ASSET || 'USDT',
-    baseOrderSize: parseFloat(process.env.BASE_ORDER_SIZE) || 10, // в USDT
+    quoteAsset: QUOTE_ASSET, // Основний актив для фінансування покупок
+    baseOrderSize: BASE_ORDER_SIZE, // в USDT
+    // Quote assets для виявлення лістингів, кожен зі своїм розміром ордера
+    quoteAssets: parseQuoteAssets(process.env.QUOTE_ASSETS, QUOTE_ASSET, BASE_ORDER_SIZE),
+    // Купівля через конвертацію основного активу, якщо потрібного quote asset немає на балансі
+    crossQuoteRouting: {
+      enabled: process.env.CROSS_QUOTE_ROUTING === 'true',
+      // Запас на комісію та рух ціни під час конвертації
+      conversionBuffer: parseFloat(process.env.CROSS_QUOTE_CONVERSION_BUFFER) || 0.005, // 0.5%
+    },
     maxOrderSize: parseFloat(process.env.MAX_ORDER_SIZE) || 100,
+    // Перевірка прослизання за глибиною книги ордерів перед покупкою
+    slippageGuard: {
+      enabled: process.env.SLIPPAGE_GUARD_ENABLED !== 'false',
+      // Стеля очікуваної середньої ціни відносно ціни лістингу
+      maxSlippage: parseFloat(process.env.SLIPPAGE_GUARD_MAX) || 0.02, // 2%
+      // Якщо допустима сума менша за цю частку запланованої - покупку скасовуємо
+      minOrderRatio: parseFloat(process.env.SLIPPAGE_GUARD_MIN_ORDER_RATIO) || 0.5,
+      depthLimit: parseInt(process.env.SLIPPAGE_GUARD_DEPTH_LIMIT) || 100,
+    },
+    // Розмір ордера: fixed - від BASE_ORDER_SIZE, volatility - за волатильністю та спредом перших угод,
+    // щоб збиток до stop loss становив maxPositionRiskPercent капіталу
+    sizing: {
+      mode: process.env.SIZING_MODE || 'fixed',
+      // Відстань до stop loss у хвилинних волатильностях (плюс спред)
+      volatilityMultiplier: parseFloat(process.env.SIZING_VOLATILITY_MULTIPLIER) || 2,
+      // Менше угод - розмір fixed
+      minTrades: parseInt(process.env.SIZING_MIN_TRADES) || 30,
+      // Найширший stop loss; вища волатильність додатково зменшує розмір
+      maxStopPercent: parseFloat(process.env.SIZING_MAX_STOP_PERCENT) || 0.15, // 15%
+    },
+    // Виконання входу: стратегія для кожного середовища та максимальне прослизання від першої побаченої ціни
+    execution: {
+      strategy: {
+        testnet: process.env.EXECUTION_STRATEGY_TESTNET || 'market', // market, ladder, sliced
+        mainnet: process.env.EXECUTION_STRATEGY_MAINNET || 'market',
+      },
+      market: {
+        maxSlippage: parseFloat(process.env.EXECUTION_MARKET_MAX_SLIPPAGE) || 0.05, // 5%
+      },
+      ladder: {
+        maxSlippage: parseFloat(process.env.EXECUTION_LADDER_MAX_SLIPPAGE) || 0.03, // 3%
+        steps: parseInt(process.env.EXECUTION_LADDER_STEPS) || 5,
+      },
+      sliced: {
+        maxSlippage: parseFloat(process.env.EXECUTION_SLICED_MAX_SLIPPAGE) || 0.03, // 3%
+        slices: parseInt(process.env.EXECUTION_SLICES) || 4,
+        interval: parseInt(process.env.EXECUTION_SLICE_INTERVAL) || 1000, // 1 секунда
+      },
+    },
     maxPositions: parseInt(process.env.MAX_POSITIONS) || 5,
     
     // Ризик менеджмент
@@ -96,10 +237,76 @@ const config = {
       useOfBalance: parseFloat(process.env.USE_OF_BALANCE) || 0.95, // 95% балансу
     },
     
+    // Ліміти портфеля: при порушенні нові входи зупиняються в усіх середовищах до ручного скидання
+    riskEngine: {
+      enabled: process.env.RISK_ENGINE_ENABLED !== 'false',
+      maxDailyLoss: parseFloat(process.env.RISK_MAX_DAILY_LOSS) || 100, // збиток за день у QUOTE_ASSET
+      maxDrawdownPercent: parseFloat(process.env.RISK_MAX_DRAWDOWN_PERCENT) || 0.2, // 20% від піку капіталу
+      maxConsecutiveLosses: parseInt(process.env.RISK_MAX_CONSECUTIVE_LOSSES) || 5,
+    },
+    
     // Take Profit / Stop Loss
     defaultTP: parseFloat(process.env.DEFAULT_TP_PERCENT) || 0.05, // 5%
     defaultSL: parseFloat(process.env.DEFAULT_SL_PERCENT) || 0.03, // 3%
     useOCO: process.env.USE_OCO !== 'false', // OCO ордери за замовчуванням
+    // Виходи за часом для позицій лістингів (0 - правило вимкнене)
+    timeExits: {
+      // Продаж після максимального часу утримання
+      maxHoldMinutes: parseFloat(process.env.TIME_EXIT_MAX_HOLD_MINUTES) || 0,
+      // Продаж, якщо ціна не оновлювала максимум протягом вікна
+      noNewHighMinutes: parseFloat(process.env.TIME_EXIT_NO_NEW_HIGH_MINUTES) || 0,
+      // Підтягування stop loss до ціни після заданого часу
+      tightenAfterMinutes: parseFloat(process.env.TIME_EXIT_TIGHTEN_AFTER_MINUTES) || 0,
+      tightenStopPercent: parseFloat(process.env.TIME_EXIT_TIGHTEN_STOP_PERCENT) || 0.01, // 1% нижче ціни
+    },
+    // Драбина take profit: частини позиції продаються на кількох рівнях замість одного TP
+    takeProfitLadder: {
+      levels: parseTakeProfitLadder(process.env.TP_LADDER),
+      // Залишок після рівнів: trailing (trailing stop) або tp (останній TP на DEFAULT_TP_PERCENT)
+      remainder: process.env.TP_LADDER_REMAINDER || 'trailing',
+      // Stop loss переноситься на ціну входу після першого виконаного рівня
+      breakevenAfterFirst: process.env.TP_LADDER_BREAKEVEN !== 'false',
+    },
+    // Теги символів (сектор, платформа запуску, seed, monitoring) та ліміти позицій за тегами
+    tags: {
+      // JSON: { "DOGE": { "sector": "meme", "launchpad": "launchpool", "seed": false, "monitoring": false } }
+      file: process.env.SYMBOL_TAGS_FILE || path.join(__dirname, '../../data/symbol-tags.json'),
+      // Теги продуктів Binance; без URL - лише файл
+      url: process.env.SYMBOL_TAGS_URL || '',
+      refreshInterval: parseInt(process.env.SYMBOL_TAGS_REFRESH_INTERVAL) || 3600000, // 1 година
+      limits: parseTagLimits(process.env.TAG_EXPOSURE_LIMITS),
+    },
+    // Розклад торгівлі на mainnet: дозволені й заборонені вікна та святкові дні в часовому поясі
+    schedule: {
+      // За замовчуванням діє лише в production
+      enabled: process.env.SCHEDULE_ENABLED ? process.env.SCHEDULE_ENABLED === 'true' : ENV === 'production',
+      timezone: process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+      allow: parseScheduleWindows(process.env.SCHEDULE_ALLOW || 'mon-fri@06:00-23:00'),
+      deny: parseScheduleWindows(process.env.SCHEDULE_DENY),
+      // Дати YYYY-MM-DD без торгівлі
+      holidays: process.env.SCHEDULE_HOLIDAYS ? process.env.SCHEDULE_HOLIDAYS.split(',').map(date => date.trim()).filter(Boolean) : [],
+      // Заблоковані лістинги чекають ручного схвалення замість пропуску
+      approvalQueue: process.env.APPROVAL_QUEUE_ENABLED !== 'false',
+      approvalTtl: parseInt(process.env.APPROVAL_TTL) || 3600000, // 1 година
+    },
+    // Програмний stop loss, поки біржа відхиляє OCO/STOP_LOSS ордери (напр. PERCENT_PRICE у перші хвилини)
+    softStop: {
+      enabled: process.env.SOFT_STOP_ENABLED !== 'false',
+      // Інтервал повторних спроб розмістити захисні ордери на біржі
+      retryInterval: parseInt(process.env.SOFT_STOP_RETRY_INTERVAL) || 15000, // 15 секунд
+    },
+    // Trailing stop: типові налаштування нових позицій, кожну позицію можна налаштувати окремо
+    trailingStop: {
+      enabled: process.env.TRAILING_STOP_ENABLED === 'true',
+      // Прибуток від ціни входу, після якого stop loss починає підтягуватись
+      activation: parseFloat(process.env.TRAILING_STOP_ACTIVATION) || 0.02, // 2%
+      // Відстань stop loss від максимальної ціни
+      percent: parseFloat(process.env.TRAILING_STOP_PERCENT) || 0.03, // 3%
+      // Мінімальний підйом stop loss для переставлення ордера
+      step: parseFloat(process.env.TRAILING_STOP_STEP) || 0.005, // 0.5%
+    },
+    // Ринкова купівля на суму quote asset (quoteOrderQty) замість кількості від можливо застарілої ціни
+    useQuoteOrderQty: process.env.USE_QUOTE_ORDER_QTY !== 'false',
     
     // Фільтри для нових лістингів
     filters: {
@@ -117,6 +324,36 @@ const config = {
     // Polling як резервний метод
     pollingInterval: parseInt(process.env.POLLING_INTERVAL) || 5000, // 5 секунд
     pollingEnabled: process.env.USE_POLLING === 'true',
+    // single - WebSocket або Polling, hybrid - обидва одночасно з перехресним підтвердженням
+    mode: process.env.MONITORING_MODE || 'single',
+    hybrid: {
+      // Інтервал polling, поки WebSocket відключений
+      fastPollingInterval: parseInt(process.env.HYBRID_FAST_POLLING_INTERVAL) || 2000,
+      // Скільки чекати підтвердження лістингу від другого джерела
+      confirmationWindow: parseInt(process.env.HYBRID_CONFIRMATION_WINDOW) || 60000,
+    },
+    // Перевірка exchangeInfo: делістинг та перехід символів у TRADING
+    exchangeInfoInterval: parseInt(process.env.EXCHANGE_INFO_INTERVAL) || 15000, // 15 секунд
+    // Делістинг у WebSocket: скільки символ може бути відсутнім у !miniTicker@arr до перевірки через exchangeInfo
+    delisting: {
+      staleTimeout: parseInt(process.env.DELISTING_STALE_TIMEOUT) || 300000, // 5 хвилин
+    },
+    // Аналітика перших хвилин торгів кожного нового лістингу
+    listingAnalysis: {
+      enabled: process.env.LISTING_ANALYSIS_ENABLED !== 'false',
+      windowMinutes: parseInt(process.env.LISTING_ANALYSIS_WINDOW) || 15,
+      interval: process.env.LISTING_ANALYSIS_INTERVAL || '1s', // 1s, 1m
+    },
+    // Запис сирих кадрів WebSocket та REST відповідей моніторів у NDJSON для відтворення
+    recording: {
+      enabled: process.env.RECORDING_ENABLED === 'true',
+      dir: process.env.RECORDING_DIR || path.join(__dirname, '../../data/recordings'),
+    },
+    // Кеш цін відкритих позицій з потоків @trade та @bookTicker
+    marketData: {
+      // Старші дані вважаються застарілими, ціна запитується через REST
+      maxAge: parseInt(process.env.MARKET_DATA_MAX_AGE) || 5000, // 5 секунд
+    },
     // Reconnect налаштування для WebSocket
     reconnect: {
       maxAttempts: parseInt(process.env.WS_RECONNECT_ATTEMPTS) || 5,
@@ -126,6 +363,24 @@ const config = {
     heartbeat: {
       interval: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000, // 30 секунд
       timeout: parseInt(process.env.WS_HEARTBEAT_TIMEOUT) || 60000, // 60 секунд
+    },
+    // Моніторинг анонсів про майбутні лістинги
+    announcements: {
+      enabled: process.env.ANNOUNCEMENTS_ENABLED === 'true',
+      source: process.env.ANNOUNCEMENTS_SOURCE || 'http', // http, file
+      url: process.env.ANNOUNCEMENTS_URL || 'https://www.binance.com/bapi/composite/v1/public/cms/article/list/query?type=1&catalogId=48&pageNo=1&pageSize=20',
+      file: process.env.ANNOUNCEMENTS_FILE || path.join(__dirname, '../../data/announcements.json'),
+      format: process.env.ANNOUNCEMENTS_FORMAT || 'json', // json, rss
+      pollInterval: parseInt(process.env.ANNOUNCEMENTS_POLL_INTERVAL) || 60000, // 1 хвилина
+      // Повторні спроби купівлі в запланований час, поки пара ще не торгується
+      buyRetry: {
+        maxAttempts: parseInt(process.env.ANNOUNCEMENT_BUY_RETRY_ATTEMPTS) || 10,
+        delay: parseInt(process.env.ANNOUNCEMENT_BUY_RETRY_DELAY) || 1000,
+      }
+    },
+    // Лістинги, що з'явились поки бот був вимкнений
+    missedListings: {
+      policy: process.env.MISSED_LISTINGS_POLICY || 'notify', // notify, trade
     }
   },
 
@@ -49,20 +49,129 @@ function validateConfig(config) {
       return obj;
     });
 
+    // Вікно розкладу торгівлі (SCHEDULE_ALLOW, SCHEDULE_DENY)
+    const scheduleWindowSchema = Joi.object({
+      spec: Joi.string(),
+      days: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).required(),
+      start: Joi.number().integer().min(0).max(1440).required(),
+      end: Joi.number().integer().min(0).max(1440).required()
+    });
+
     // Схема для торгових налаштувань
     const tradingSchema = Joi.object({
       quoteAsset: Joi.string().required(),
+      quoteAssets: Joi.array().items(Joi.object({
+        asset: Joi.string().required(),
+        orderSize: Joi.number().greater(0).required(),
+        enabled: Joi.boolean()
+      })).min(1),
+      crossQuoteRouting: Joi.object({
+        enabled: Joi.boolean(),
+        conversionBuffer: Joi.number().min(0).max(0.1)
+      }),
       baseOrderSize: Joi.number().min(0).required(),
       maxOrderSize: Joi.number().min(0).greater(Joi.ref('baseOrderSize')),
       maxPositions: Joi.number().integer().min(1),
+      slippageGuard: Joi.object({
+        enabled: Joi.boolean(),
+        maxSlippage: Joi.number().greater(0).max(1),
+        minOrderRatio: Joi.number().greater(0).max(1),
+        depthLimit: Joi.number().integer().valid(5, 10, 20, 50, 100, 500, 1000, 5000)
+      }),
+      sizing: Joi.object({
+        mode: Joi.string().valid('fixed', 'volatility'),
+        volatilityMultiplier: Joi.number().greater(0),
+        minTrades: Joi.number().integer().min(3),
+        maxStopPercent: Joi.number().greater(0).max(1)
+      }),
+      execution: Joi.object({
+        strategy: Joi.object({
+          testnet: Joi.string().valid('market', 'ladder', 'sliced'),
+          mainnet: Joi.string().valid('market', 'ladder', 'sliced')
+        }),
+        market: Joi.object({
+          maxSlippage: Joi.number().greater(0).max(1)
+        }),
+        ladder: Joi.object({
+          maxSlippage: Joi.number().greater(0).max(1),
+          steps: Joi.number().integer().min(1).max(20)
+        }),
+        sliced: Joi.object({
+          maxSlippage: Joi.number().greater(0).max(1),
+          slices: Joi.number().integer().min(1).max(20),
+          interval: Joi.number().integer().min(100)
+        })
+      }),
       risk: Joi.object({
         maxAccountRiskPercent: Joi.number().min(0).max(1),
         maxPositionRiskPercent: Joi.number().min(0).max(1),
         useOfBalance: Joi.number().min(0).max(1)
       }),
+      riskEngine: Joi.object({
+        enabled: Joi.boolean(),
+        maxDailyLoss: Joi.number().greater(0),
+        maxDrawdownPercent: Joi.number().greater(0).max(1),
+        maxConsecutiveLosses: Joi.number().integer().min(1)
+      }),
       defaultTP: Joi.number().min(0),
       defaultSL: Joi.number().min(0),
       useOCO: Joi.boolean(),
+      timeExits: Joi.object({
+        maxHoldMinutes: Joi.number().min(0),
+        noNewHighMinutes: Joi.number().min(0),
+        tightenAfterMinutes: Joi.number().min(0),
+        tightenStopPercent: Joi.number().greater(0).less(1)
+      }),
+      takeProfitLadder: Joi.object({
+        levels: Joi.array().items(Joi.object({
+          fraction: Joi.number().greater(0).max(1).required(),
+          percent: Joi.number().greater(0).required()
+        })).custom((levels, helpers) => {
+          // Рівні не можуть продати більше за позицію
+          if (levels.reduce((sum, level) => sum + level.fraction, 0) > 1 + 1e-9) {
+            return helpers.error('any.invalid', { message: 'Сума часток TP_LADDER перевищує 1' });
+          }
+          return levels;
+        }),
+        remainder: Joi.string().valid('trailing', 'tp'),
+        breakevenAfterFirst: Joi.boolean()
+      }),
+      tags: Joi.object({
+        file: Joi.string(),
+        url: Joi.string().uri().allow(''),
+        refreshInterval: Joi.number().integer().min(60000),
+        limits: Joi.array().items(Joi.object({
+          tag: Joi.string().required(),
+          maxPositions: Joi.number().integer().min(0).required()
+        }))
+      }),
+      schedule: Joi.object({
+        enabled: Joi.boolean(),
+        timezone: Joi.string().custom((timezone, helpers) => {
+          try {
+            Intl.DateTimeFormat('en-US', { timeZone: timezone });
+          } catch (error) {
+            return helpers.error('any.invalid', { message: `Невідомий SCHEDULE_TIMEZONE: ${timezone}` });
+          }
+          return timezone;
+        }),
+        allow: Joi.array().items(scheduleWindowSchema),
+        deny: Joi.array().items(scheduleWindowSchema),
+        holidays: Joi.array().items(Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)),
+        approvalQueue: Joi.boolean(),
+        approvalTtl: Joi.number().integer().min(60000)
+      }),
+      softStop: Joi.object({
+        enabled: Joi.boolean(),
+        retryInterval: Joi.number().integer().min(1000)
+      }),
+      trailingStop: Joi.object({
+        enabled: Joi.boolean(),
+        activation: Joi.number().min(0).max(10),
+        percent: Joi.number().greater(0).less(1),
+        step: Joi.number().min(0).less(1)
+      }),
+      useQuoteOrderQty: Joi.boolean(),
       filters: Joi.object({
         minVolume24h: Joi.number().min(0),
         minLiquidity: Joi.number().min(0),
@@ -76,6 +185,27 @@ function validateConfig(config) {
       useWebSocket: Joi.boolean(),
       pollingInterval: Joi.number().integer().min(1000),
       pollingEnabled: Joi.boolean(),
+      mode: Joi.string().valid('single', 'hybrid'),
+      hybrid: Joi.object({
+        fastPollingInterval: Joi.number().integer().min(500),
+        confirmationWindow: Joi.number().integer().min(1000)
+      }),
+      exchangeInfoInterval: Joi.number().integer().min(1000),
+      delisting: Joi.object({
+        staleTimeout: Joi.number().integer().min(10000)
+      }),
+      listingAnalysis: Joi.object({
+        enabled: Joi.boolean(),
+        windowMinutes: Joi.number().integer().min(1).max(60),
+        interval: Joi.string().valid('1s', '1m')
+      }),
+      recording: Joi.object({
+        enabled: Joi.boolean(),
+        dir: Joi.string()
+      }),
+      marketData: Joi.object({
+        maxAge: Joi.number().integer().min(100)
+      }),
       reconnect: Joi.object({
         maxAttempts: Joi.number().integer().min(1),
         delay: Joi.number().integer().min(1000)
@@ -83,6 +213,21 @@ function validateConfig(config) {
       heartbeat: Joi.object({
         interval: Joi.number().integer().min(1000),
         timeout: Joi.number().integer().min(1000)
+      }),
+      announcements: Joi.object({
+        enabled: Joi.boolean(),
+        source: Joi.string().valid('http', 'file'),
+        url: Joi.string().uri(),
+        file: Joi.string(),
+        format: Joi.string().valid('json', 'rss'),
+        pollInterval: Joi.number().integer().min(1000),
+        buyRetry: Joi.object({
+          maxAttempts: Joi.number().integer().min(1),
+          delay: Joi.number().integer().min(100)
+        })
+      }),
+      missedListings: Joi.object({
+        policy: Joi.string().valid('notify', 'trade')
       })
     });
 
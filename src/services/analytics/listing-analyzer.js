@@ -0,0 +1,241 @@
+// src/services/analytics/listing-analyzer.js
+
+const EventEmitter = require('events');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { getBinanceClientFactory } = require('../binance/client-factory');
+
+// Лістинг відкривається раніше, ніж ми його бачимо - свічки беремо з запасом
+const DETECTION_LOOKBACK = 60000;
+// Пауза після кінця вікна, щоб остання свічка закрилась
+const CLOSE_DELAY = 5000;
+const KLINES_LIMIT = 1000;
+
+const INTERVAL_MS = {
+  '1s': 1000,
+  '1m': 60000
+};
+
+/**
+ * Розрахунок метрик перших хвилин торгів зі свічок Binance
+ * Свічка: [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, ...]
+ */
+function computeListingMetrics(klines) {
+  const candles = klines.map(k => ({
+    openTime: k[0],
+    open: parseFloat(k[1]),
+    high: parseFloat(k[2]),
+    low: parseFloat(k[3]),
+    close: parseFloat(k[4]),
+    volume: parseFloat(k[5]),
+    quoteVolume: parseFloat(k[7]),
+    trades: parseInt(k[8])
+  }));
+
+  // Свічки до першої угоди не враховуємо
+  const firstTradeIndex = candles.findIndex(c => c.trades > 0);
+  if (firstTradeIndex === -1) return null;
+
+  const traded = candles.slice(firstTradeIndex);
+  const first = traded[0];
+  const last = traded[traded.length - 1];
+
+  let peakIndex = 0;
+  traded.forEach((c, i) => {
+    if (c.high > traded[peakIndex].high) peakIndex = i;
+  });
+
+  const peak = traded[peakIndex];
+  const lowBeforePeak = Math.min(...traded.slice(0, peakIndex + 1).map(c => c.low));
+  const lowAfterPeak = Math.min(...traded.slice(peakIndex).map(c => c.low));
+
+  // Обсяг по хвилинах від першої угоди
+  const volumeCurve = [];
+  for (const c of traded) {
+    const minute = Math.floor((c.openTime - first.openTime) / 60000);
+    if (!volumeCurve[minute]) {
+      volumeCurve[minute] = { minute, volume: 0, quoteVolume: 0, trades: 0 };
+    }
+    volumeCurve[minute].volume += c.volume;
+    volumeCurve[minute].quoteVolume += c.quoteVolume;
+    volumeCurve[minute].trades += c.trades;
+  }
+
+  return {
+    listingTime: new Date(first.openTime),
+    openPrice: first.open,
+    peakPrice: peak.high,
+    maxSpikePercent: ((peak.high - first.open) / first.open) * 100,
+    timeToPeakMs: peak.openTime - first.openTime,
+    dipBeforePeakPercent: ((first.open - lowBeforePeak) / first.open) * 100,
+    drawdownFromPeakPercent: ((peak.high - lowAfterPeak) / peak.high) * 100,
+    closePrice: last.close,
+    volume: traded.reduce((sum, c) => sum + c.volume, 0),
+    quoteVolume: traded.reduce((sum, c) => sum + c.quoteVolume, 0),
+    trades: traded.reduce((sum, c) => sum + c.trades, 0),
+    volumeCurve: volumeCurve.filter(Boolean)
+  };
+}
+
+/**
+ * Медіана та 75-й перцентиль
+ */
+function distribution(values) {
+  const sorted = values.filter(v => Number.isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const at = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  return { median: at(0.5), p75: at(0.75) };
+}
+
+/**
+ * Аналіз перших хвилин торгів нових лістингів
+ * Після закінчення вікна завантажує свічки та зберігає метрики в ListingMetrics
+ */
+class ListingAnalyzer extends EventEmitter {
+  constructor(database) {
+    super();
+    this.database = database;
+    this.pending = new Map(); // symbol -> { timer, listing, startTime }
+    this.completed = 0;
+  }
+
+  /**
+   * Планування аналізу нового лістингу
+   */
+  track(listingData) {
+    const { enabled, windowMinutes } = config.monitoring.listingAnalysis;
+    const { symbol } = listingData;
+
+    if (!enabled || this.pending.has(symbol)) return;
+
+    // Пропущені під час простою лістинги відкрились невідомо коли
+    if (listingData.source === 'missed') return;
+
+    const detectedAt = listingData.latency?.eventTime || listingData.latency?.receivedAt || Date.now();
+    const startTime = detectedAt - DETECTION_LOOKBACK;
+    const endTime = startTime + windowMinutes * 60000;
+    const delay = Math.max(0, endTime - Date.now()) + CLOSE_DELAY;
+
+    const timer = setTimeout(() => {
+      this.analyze(symbol, startTime, endTime, listingData)
+        .catch(error => logger.error(`❌ Помилка аналізу лістингу ${symbol}:`, error))
+        .finally(() => this.pending.delete(symbol));
+    }, delay);
+
+    this.pending.set(symbol, { timer, listing: listingData, startTime });
+
+    logger.debug(`📐 Аналіз лістингу ${symbol} через ${Math.round(delay / 1000)}с`);
+  }
+
+  /**
+   * Завантаження свічок вікна з пагінацією
+   */
+  async fetchKlines(symbol, interval, startTime, endTime) {
+    const client = getBinanceClientFactory().getCurrentClient();
+    const klines = [];
+    let from = startTime;
+
+    while (from < endTime) {
+      const batch = await client.getKlines(symbol, interval, {
+        startTime: from,
+        endTime,
+        limit: KLINES_LIMIT
+      });
+
+      if (!batch || batch.length === 0) break;
+
+      klines.push(...batch);
+      from = batch[batch.length - 1][0] + (INTERVAL_MS[interval] || 1000);
+
+      if (batch.length < KLINES_LIMIT) break;
+    }
+
+    return klines;
+  }
+
+  /**
+   * Розрахунок та збереження метрик лістингу
+   */
+  async analyze(symbol, startTime, endTime, listingData = {}) {
+    const { windowMinutes, interval } = config.monitoring.listingAnalysis;
+
+    const klines = await this.fetchKlines(symbol, interval, startTime, endTime);
+    const metrics = computeListingMetrics(klines);
+
+    if (!metrics) {
+      logger.warn(`⚠️ ${symbol}: немає угод у перші ${windowMinutes} хв, аналітику не збережено`);
+      return null;
+    }
+
+    const record = {
+      symbol,
+      environment: listingData.environment || getBinanceClientFactory().environmentManager.getCurrentEnvironment().name,
+      source: listingData.source || null,
+      windowMinutes,
+      interval,
+      ...metrics
+    };
+
+    await this.database.saveListingMetrics(record);
+    this.completed++;
+
+    logger.info(`📐 Аналітика лістингу ${symbol}: пік +${metrics.maxSpikePercent.toFixed(2)}% через ${Math.round(metrics.timeToPeakMs / 1000)}с, просадка від піку ${metrics.drawdownFromPeakPercent.toFixed(2)}%`);
+
+    this.emit('metricsRecorded', record);
+
+    return record;
+  }
+
+  /**
+   * Зведення по збережених лістингах для налаштування TP/SL
+   * tpHitRate/slHitRate - частка лістингів, де поточні TP/SL спрацювали б у межах вікна
+   */
+  async getSummary(filters = {}, limit = 100) {
+    const rows = await this.database.getListingMetrics(filters, limit);
+    const tpPercent = config.trading.defaultTP * 100;
+    const slPercent = config.trading.defaultSL * 100;
+
+    if (rows.length === 0) {
+      return { count: 0 };
+    }
+
+    return {
+      count: rows.length,
+      maxSpikePercent: distribution(rows.map(r => r.maxSpikePercent)),
+      timeToPeakMs: distribution(rows.map(r => r.timeToPeakMs)),
+      dipBeforePeakPercent: distribution(rows.map(r => r.dipBeforePeakPercent)),
+      drawdownFromPeakPercent: distribution(rows.map(r => r.drawdownFromPeakPercent)),
+      currentTP: tpPercent,
+      currentSL: slPercent,
+      tpHitRate: rows.filter(r => r.maxSpikePercent >= tpPercent).length / rows.length,
+      slHitRate: rows.filter(r => r.dipBeforePeakPercent >= slPercent).length / rows.length
+    };
+  }
+
+  /**
+   * Зупинка запланованих аналізів
+   */
+  stop() {
+    for (const { timer } of this.pending.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Отримання статусу
+   */
+  getStatus() {
+    return {
+      enabled: config.monitoring.listingAnalysis.enabled,
+      pending: Array.from(this.pending.keys()),
+      completed: this.completed
+    };
+  }
+}
+
+module.exports = {
+  ListingAnalyzer,
+  computeListingMetrics
+};
\ No newline at end of file
@@ -262,15 +262,16 @@ class BinanceClient {
   /**
    * Отримання інформації про біржу
    */
-  async getExchangeInfo() {
-    return this.publicRequest(constants.BINANCE_ENDPOINTS.EXCHANGE_INFO);
+  async getExchangeInfo(symbol) {
+    const params = symbol ? { symbol } : {};
+    return this.publicRequest(constants.BINANCE_ENDPOINTS.EXCHANGE_INFO, params);
   }
 
   /**
    * Отримання інформації про конкретний символ
    */
   async getSymbolInfo(symbol) {
-    const exchangeInfo = await this.getExchangeInfo();
+    const exchangeInfo = await this.getExchangeInfo(symbol);
     return exchangeInfo.symbols.find(s => s.symbol === symbol);
   }
 
@@ -297,6 +298,27 @@ class BinanceClient {
     return this.publicRequest(constants.BINANCE_ENDPOINTS.TICKER_24H, params);
   }
 
+  /**
+   * Отримання свічок
+   */
+  async getKlines(symbol, interval, params = {}) {
+    return this.publicRequest(constants.BINANCE_ENDPOINTS.KLINES, { symbol, interval, ...params });
+  }
+
+  /**
+   * Отримання книги ордерів
+   */
+  async getOrderBook(symbol, limit = 100) {
+    return this.publicRequest(constants.BINANCE_ENDPOINTS.DEPTH, { symbol, limit });
+  }
+
+  /**
+   * Отримання останніх угод символу
+   */
+  async getRecentTrades(symbol, limit = 500) {
+    return this.publicRequest(constants.BINANCE_ENDPOINTS.RECENT_TRADES, { symbol, limit });
+  }
+
   /**
    * Отримання інформації про акаунт
    */
@@ -318,6 +340,13 @@ class BinanceClient {
     return this.privateRequest(constants.BINANCE_ENDPOINTS.ORDER, { symbol, orderId });
   }
 
+  /**
+   * Отримання ордера за clientOrderId
+   */
+  async getOrderByClientId(symbol, clientOrderId) {
+    return this.privateRequest(constants.BINANCE_ENDPOINTS.ORDER, { symbol, origClientOrderId: clientOrderId });
+  }
+
   /**
    * Отримання відкритих ордерів
    */
@@ -0,0 +1,213 @@
+// src/services/binance/fills.js
+
+const logger = require('../../utils/logger');
+
+// Орієнтовна ставка комісії для симульованих ордерів
+const SIMULATED_FEE_RATE = 0.001;
+
+/**
+ * Виконання з fills[] відповіді ордера
+ */
+function parseOrderFills(fills = []) {
+  return fills.map(fill => ({
+    tradeId: fill.tradeId,
+    price: parseFloat(fill.price),
+    qty: parseFloat(fill.qty),
+    commission: parseFloat(fill.commission),
+    commissionAsset: fill.commissionAsset
+  }));
+}
+
+/**
+ * Виконання з історії угод (myTrades)
+ */
+function parseTrades(trades = []) {
+  return trades.map(trade => ({
+    tradeId: trade.id,
+    price: parseFloat(trade.price),
+    qty: parseFloat(trade.qty),
+    commission: parseFloat(trade.commission),
+    commissionAsset: trade.commissionAsset,
+    isMaker: trade.isMaker
+  }));
+}
+
+/**
+ * Журнал виконань ордерів
+ * Середня ціна рахується з фактичних виконань (fills[] відповіді або myTrades),
+ * комісії зберігаються в активі списання: quote, base або BNB (зі знижкою біржі)
+ */
+class FillLedger {
+  constructor(binanceClient, getPrice) {
+    this.binanceClient = binanceClient;
+    this.getPrice = getPrice; // symbol -> актуальна ціна для оцінки комісії в BNB
+  }
+
+  /**
+   * Виконання ордера: з fills[] відповіді, інакше з myTrades за orderId
+   */
+  async getOrderFills(symbol, order) {
+    if (!order || !(order.executedQty > 0)) return [];
+
+    if (order.fills && order.fills.length > 0) {
+      return parseOrderFills(order.fills);
+    }
+
+    // Симуляція не має угод на біржі, комісію оцінюємо стандартною ставкою в quote asset
+    if (order.isSimulated) {
+      const price = order.avgPrice || order.price;
+      return [{
+        price,
+        qty: order.executedQty,
+        commission: price * order.executedQty * SIMULATED_FEE_RATE,
+        commissionAsset: null,
+        estimated: true
+      }];
+    }
+
+    const trades = await this.binanceClient.getMyTrades(symbol, { orderId: order.orderId });
+    return parseTrades(trades);
+  }
+
+  /**
+   * Виконання кількох ордерів (дочірні ордери стратегії входу)
+   * Помилка отримання угод одного ордера не скасовує облік інших
+   */
+  async collect(symbol, orders) {
+    const fills = [];
+
+    for (const order of orders) {
+      try {
+        fills.push(...await this.getOrderFills(symbol, order));
+      } catch (error) {
+        logger.warn(`⚠️ Не вдалося отримати виконання ордера ${order.orderId} ${symbol}:`, error.message);
+      }
+    }
+
+    return fills;
+  }
+
+  /**
+   * Зведення виконань: обсяг, середньозважена ціна та комісії
+   * commissionQuote - усі комісії в quote asset,
+   * baseCommission - комісія в базовому активі, яка зменшує отриману кількість
+   */
+  async summarize(fills, { baseAsset, quoteAsset }) {
+    const commissions = {};
+    let qty = 0;
+    let quoteQty = 0;
+    let commissionQuote = 0;
+    let baseCommission = 0;
+
+    for (const fill of fills) {
+      const asset = fill.commissionAsset || quoteAsset;
+
+      qty += fill.qty;
+      quoteQty += fill.price * fill.qty;
+      commissions[asset] = (commissions[asset] || 0) + fill.commission;
+
+      if (asset === baseAsset) {
+        baseCommission += fill.commission;
+      }
+    }
+
+    for (const [asset, amount] of Object.entries(commissions)) {
+      if (asset === quoteAsset) {
+        commissionQuote += amount;
+      } else if (asset === baseAsset) {
+        commissionQuote += amount * (qty > 0 ? quoteQty / qty : 0);
+      } else {
+        commissionQuote += amount * await this.getAssetPrice(asset, quoteAsset);
+      }
+    }
+
+    return {
+      qty,
+      quoteQty,
+      avgPrice: qty > 0 ? quoteQty / qty : 0,
+      commissions,
+      commissionQuote,
+      baseCommission,
+      // Комісія BNB означає знижку біржі на торгові збори
+      bnbDiscount: commissions.BNB > 0,
+      estimated: fills.some(fill => fill.estimated),
+      trades: fills.length
+    };
+  }
+
+  /**
+   * Об'єднання зведень кількох ордерів (часткові виходи з позиції)
+   */
+  merge(summaries) {
+    const merged = {
+      qty: 0,
+      quoteQty: 0,
+      commissions: {},
+      commissionQuote: 0,
+      baseCommission: 0,
+      bnbDiscount: false,
+      estimated: false,
+      trades: 0
+    };
+
+    for (const summary of summaries) {
+      merged.qty += summary.qty;
+      merged.quoteQty += summary.quoteQty;
+      merged.commissionQuote += summary.commissionQuote;
+      merged.baseCommission += summary.baseCommission;
+      merged.bnbDiscount = merged.bnbDiscount || summary.bnbDiscount;
+      merged.estimated = merged.estimated || summary.estimated;
+      merged.trades += summary.trades;
+
+      for (const [asset, amount] of Object.entries(summary.commissions)) {
+        merged.commissions[asset] = (merged.commissions[asset] || 0) + amount;
+      }
+    }
+
+    merged.avgPrice = merged.qty > 0 ? merged.quoteQty / merged.qty : 0;
+    return merged;
+  }
+
+  /**
+   * Ціна активу комісії в quote asset (напр. BNBUSDT)
+   */
+  async getAssetPrice(asset, quoteAsset) {
+    try {
+      return await this.getPrice(`${asset}${quoteAsset}`);
+    } catch (error) {
+      logger.warn(`⚠️ Не вдалося оцінити комісію ${asset} в ${quoteAsset}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Чистий P&L закритої угоди за виконаннями входу та виходу
+   * Комісія входу в базовому активі вже врахована меншою кількістю на продаж,
+   * решта комісій входу збільшує вартість, комісії виходу зменшують виручку
+   */
+  calculateNetPnL(entry, exit) {
+    const entryBaseCommissionQuote = entry.baseCommission * entry.avgPrice;
+    const cost = entry.quoteQty + entry.commissionQuote - entryBaseCommissionQuote;
+
+    // Продана частина позиції, якщо продано не всю кількість
+    const heldQty = entry.qty - entry.baseCommission;
+    const soldRatio = heldQty > 0 ? Math.min(exit.qty / heldQty, 1) : 1;
+
+    const proceeds = exit.quoteQty - exit.commissionQuote;
+    const soldCost = cost * soldRatio;
+    const netPnl = proceeds - soldCost;
+
+    return {
+      grossPnl: exit.quoteQty - entry.avgPrice * exit.qty,
+      commission: entry.commissionQuote * soldRatio + exit.commissionQuote,
+      netPnl,
+      netPnlPercent: soldCost > 0 ? (netPnl / soldCost) * 100 : 0
+    };
+  }
+}
+
+module.exports = {
+  FillLedger,
+  parseOrderFills,
+  parseTrades
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+// src/services/binance/filters.js
+
+const constants = require('../../config/constants');
+const { OrderFilterError } = require('../../utils/errors');
+
+// Допуск на похибку дробової арифметики при перевірці кратності
+const STEP_TOLERANCE = 1e-8;
+
+/**
+ * Фільтр символу за типом
+ */
+function getSymbolFilter(symbolInfo, filterType) {
+  return symbolInfo?.filters?.find(f => f.filterType === filterType) || null;
+}
+
+/**
+ * Округлення вниз до кроку (tickSize, stepSize)
+ */
+function floorToStep(value, step) {
+  if (!(step > 0)) return value;
+  return Math.floor(value / step + STEP_TOLERANCE) * step;
+}
+
+/**
+ * Чи кратне значення кроку відносно мінімуму
+ */
+function isStepMultiple(value, step, min = 0) {
+  if (!(step > 0)) return true;
+
+  const steps = (value - min) / step;
+  return Math.abs(steps - Math.round(steps)) < STEP_TOLERANCE * Math.max(1, Math.abs(steps));
+}
+
+/**
+ * Перевірка ордера фільтрами символу до відправки на біржу
+ * order: { side, type, quantity?, quoteOrderQty?, price?, referencePrice }
+ * referencePrice - остання відома ціна; для ринкових ордерів і PERCENT_PRICE_BY_SIDE
+ * замінює середньозважену ціну біржі, тому перевірка наближена
+ * Кидає OrderFilterError з типом фільтра, який відхилив би ордер
+ */
+function validateOrderFilters(symbolInfo, order) {
+  const { symbol } = symbolInfo;
+  const { side, type, price, quoteOrderQty, referencePrice } = order;
+  const isMarket = type === constants.ORDER_TYPES.MARKET;
+  const orderPrice = isMarket ? referencePrice : price;
+
+  // Для quoteOrderQty кількість визначає біржа за ринковою ціною
+  const quantity = order.quantity || (quoteOrderQty && referencePrice ? quoteOrderQty / referencePrice : null);
+  const notional = quoteOrderQty || (quantity && orderPrice ? quantity * orderPrice : null);
+
+  const reject = (filterType, message, details = {}) => {
+    throw new OrderFilterError(`${symbol}: ${message}`, filterType, { symbol, ...order, ...details });
+  };
+
+  const priceFilter = getSymbolFilter(symbolInfo, 'PRICE_FILTER');
+  if (priceFilter && !isMarket && price) {
+    const minPrice = parseFloat(priceFilter.minPrice);
+    const maxPrice = parseFloat(priceFilter.maxPrice);
+    const tickSize = parseFloat(priceFilter.tickSize);
+
+    // Нульові межі вимкнені
+    if (minPrice > 0 && price < minPrice) {
+      reject('PRICE_FILTER', `price ${price} below minPrice ${minPrice}`, { minPrice });
+    }
+    if (maxPrice > 0 && price > maxPrice) {
+      reject('PRICE_FILTER', `price ${price} above maxPrice ${maxPrice}`, { maxPrice });
+    }
+    if (!isStepMultiple(price, tickSize, minPrice)) {
+      reject('PRICE_FILTER', `price ${price} is not a multiple of tickSize ${tickSize}`, { tickSize });
+    }
+  }
+
+  const lotSize = getSymbolFilter(symbolInfo, 'LOT_SIZE');
+  if (lotSize && quantity) {
+    const minQty = parseFloat(lotSize.minQty);
+    const maxQty = parseFloat(lotSize.maxQty);
+    const stepSize = parseFloat(lotSize.stepSize);
+
+    if (quantity < minQty) {
+      reject('LOT_SIZE', `quantity ${quantity} below minQty ${minQty}`, { minQty });
+    }
+    if (maxQty > 0 && quantity > maxQty) {
+      reject('LOT_SIZE', `quantity ${quantity} above maxQty ${maxQty}`, { maxQty });
+    }
+    // Кількість з quoteOrderQty біржа округлює сама
+    if (order.quantity && !isStepMultiple(quantity, stepSize, minQty)) {
+      reject('LOT_SIZE', `quantity ${quantity} is not a multiple of stepSize ${stepSize}`, { stepSize });
+    }
+  }
+
+  const minNotionalFilter = getSymbolFilter(symbolInfo, 'MIN_NOTIONAL');
+  if (minNotionalFilter && notional && (!isMarket || minNotionalFilter.applyToMarket !== false)) {
+    const minNotional = parseFloat(minNotionalFilter.minNotional);
+
+    if (notional < minNotional) {
+      reject('MIN_NOTIONAL', `notional ${notional} below minNotional ${minNotional}`, { minNotional });
+    }
+  }
+
+  const notionalFilter = getSymbolFilter(symbolInfo, 'NOTIONAL');
+  if (notionalFilter && notional) {
+    const minNotional = parseFloat(notionalFilter.minNotional);
+    const maxNotional = parseFloat(notionalFilter.maxNotional);
+
+    if ((!isMarket || notionalFilter.applyMinToMarket !== false) && notional < minNotional) {
+      reject('NOTIONAL', `notional ${notional} below minNotional ${minNotional}`, { minNotional });
+    }
+    if ((!isMarket || notionalFilter.applyMaxToMarket !== false) && maxNotional > 0 && notional > maxNotional) {
+      reject('NOTIONAL', `notional ${notional} above maxNotional ${maxNotional}`, { maxNotional });
+    }
+  }
+
+  // Ціна лімітного ордера відносно середньої: BUY - bid множники, SELL - ask множники
+  const percentPrice = getSymbolFilter(symbolInfo, 'PERCENT_PRICE_BY_SIDE');
+  if (percentPrice && !isMarket && price && referencePrice) {
+    const isBuy = side === constants.ORDER_SIDES.BUY;
+    const multiplierUp = parseFloat(isBuy ? percentPrice.bidMultiplierUp : percentPrice.askMultiplierUp);
+    const multiplierDown = parseFloat(isBuy ? percentPrice.bidMultiplierDown : percentPrice.askMultiplierDown);
+
+    if (price > referencePrice * multiplierUp) {
+      reject('PERCENT_PRICE_BY_SIDE', `price ${price} above ${multiplierUp}x of average ${referencePrice}`, { multiplierUp });
+    }
+    if (price < referencePrice * multiplierDown) {
+      reject('PERCENT_PRICE_BY_SIDE', `price ${price} below ${multiplierDown}x of average ${referencePrice}`, { multiplierDown });
+    }
+  }
+
+  return { quantity, notional };
+}
+
+module.exports = {
+  getSymbolFilter,
+  floorToStep,
+  isStepMultiple,
+  validateOrderFilters
+};
\ No newline at end of file
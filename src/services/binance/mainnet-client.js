@@ -111,11 +111,16 @@ class MainnetClient extends BinanceClient {
   validateOrderSafety(params) {
     this.resetDailyStatsIfNeeded();
     
-    const { symbol, side, quantity, price, type } = params;
-    const orderValue = type === 'MARKET' 
+    const { symbol, side, quantity, price, type, quoteOrderQty } = params;
+    let orderValue = type === 'MARKET' 
       ? quantity * (price || 0) // Для ринкових ордерів ціна може бути невідома
       : quantity * price;
 
+    // Ринкова купівля на суму quote asset
+    if (quoteOrderQty) {
+      orderValue = parseFloat(quoteOrderQty);
+    }
+
     const validationResults = {
       isValid: true,
       warnings: [],
@@ -146,9 +151,9 @@ class MainnetClient extends BinanceClient {
     }
 
     // Перевірка символу
-    if (!symbol.endsWith(config.trading.quoteAsset)) {
+    if (!config.trading.quoteAssets.some(q => symbol.endsWith(q.asset))) {
       validationResults.warnings.push(
-        `Символ ${symbol} не відповідає налаштованому quote asset (${config.trading.quoteAsset})`
+        `Символ ${symbol} не відповідає налаштованим quote assets (${config.trading.quoteAssets.map(q => q.asset).join(', ')})`
       );
     }
 
@@ -0,0 +1,269 @@
+// src/services/binance/order-journal.js
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const constants = require('../../config/constants');
+
+const { ORDER_STATES, ORDER_STATUS } = constants;
+
+// Префікс clientOrderId ордерів бота
+const CLIENT_ORDER_PREFIX = 'lb';
+
+// Запас часу для пошуку ордерів у getAllOrders відносно запису в журналі
+const RECONCILE_LOOKBACK_MS = 60000;
+
+// Дозволені переходи станів; остаточні стани не змінюються
+const TRANSITIONS = {
+  [ORDER_STATES.NEW]: [ORDER_STATES.ACK, ORDER_STATES.PARTIAL, ORDER_STATES.FILLED, ORDER_STATES.CANCELED, ORDER_STATES.REJECTED],
+  [ORDER_STATES.ACK]: [ORDER_STATES.PARTIAL, ORDER_STATES.FILLED, ORDER_STATES.CANCELED],
+  [ORDER_STATES.PARTIAL]: [ORDER_STATES.PARTIAL, ORDER_STATES.FILLED, ORDER_STATES.CANCELED],
+  [ORDER_STATES.FILLED]: [],
+  [ORDER_STATES.CANCELED]: [],
+  [ORDER_STATES.REJECTED]: []
+};
+
+/**
+ * Стан журналу за статусом ордера Binance
+ */
+function mapExchangeStatus(status) {
+  switch (status) {
+    case ORDER_STATUS.NEW:
+    case ORDER_STATUS.PENDING_CANCEL:
+      return ORDER_STATES.ACK;
+    case ORDER_STATUS.PARTIALLY_FILLED:
+      return ORDER_STATES.PARTIAL;
+    case ORDER_STATUS.FILLED:
+      return ORDER_STATES.FILLED;
+    case ORDER_STATUS.REJECTED:
+      return ORDER_STATES.REJECTED;
+    default:
+      // CANCELED, EXPIRED, EXPIRED_IN_MATCH
+      return ORDER_STATES.CANCELED;
+  }
+}
+
+/**
+ * Журнал ордерів бота
+ * Кожен ордер отримує clientOrderId і записується в БД до відправки, тож після збою
+ * посеред розміщення ордер можна знайти на біржі та звірити його стан перед відновленням торгівлі
+ */
+class OrderJournal {
+  constructor(database, environment) {
+    this.database = database;
+    this.environment = environment;
+  }
+
+  /**
+   * Префікс clientOrderId наміру: символ, сторона, тип, позиція або лістинг (ref) та призначення ордера
+   * Той самий намір завжди дає той самий префікс; номер спроби дописується в кінці (разом до 36 символів)
+   */
+  getIntentPrefix(orderParams, intent = {}) {
+    const key = [this.environment, orderParams.symbol, orderParams.side, orderParams.type, intent.ref, intent.purpose].join('|');
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 20);
+
+    return `${CLIENT_ORDER_PREFIX}${this.environment[0]}_${hash}_`;
+  }
+
+  /**
+   * Чи створено ордер ботом
+   */
+  isOwnOrder(clientOrderId) {
+    return typeof clientOrderId === 'string' && clientOrderId.startsWith(`${CLIENT_ORDER_PREFIX}${this.environment[0]}_`);
+  }
+
+  /**
+   * Запис ордера в стані NEW до відправки; повертає clientOrderId для newClientOrderId
+   * Спроба наміру, що лишилась у NEW (відповіді біржі не було), повторюється з тим самим clientOrderId (isRetry);
+   * інакше clientOrderId отримує наступний номер спроби
+   * Без запису ордер все одно відправляється, але звірити його після збою не вийде
+   */
+  async open(orderParams, intent = {}) {
+    const prefix = this.getIntentPrefix(orderParams, intent);
+    let attempt;
+
+    try {
+      const records = (await this.database.getOrdersByClientIdPrefix(prefix))
+        .filter(record => record.clientOrderId.startsWith(prefix));
+      const pending = records.find(record => record.state === ORDER_STATES.NEW);
+
+      if (pending) {
+        return { clientOrderId: pending.clientOrderId, isRetry: true };
+      }
+
+      attempt = records.length.toString(36);
+    } catch (error) {
+      // Без історії наміру номер спроби не відомий, тож беремо час, щоб не повторити чужий clientOrderId
+      logger.error(`❌ Не вдалося прочитати спроби ордера ${orderParams.symbol} з журналу:`, error.message);
+      attempt = Date.now().toString(36);
+    }
+
+    const clientOrderId = `${prefix}${attempt}`;
+
+    try {
+      await this.database.saveOrder({
+        clientOrderId,
+        environment: this.environment,
+        symbol: orderParams.symbol,
+        side: orderParams.side,
+        type: orderParams.type,
+        ref: intent.ref || null,
+        purpose: intent.purpose || null,
+        state: ORDER_STATES.NEW,
+        quantity: orderParams.quantity ? parseFloat(orderParams.quantity) : null,
+        quoteOrderQty: orderParams.quoteOrderQty ? parseFloat(orderParams.quoteOrderQty) : null,
+        price: orderParams.price ? parseFloat(orderParams.price) : null,
+        stopPrice: orderParams.stopPrice ? parseFloat(orderParams.stopPrice) : null
+      });
+    } catch (error) {
+      logger.error(`❌ Ордер ${orderParams.symbol} не записано в журнал, відправляємо без нього:`, error.message);
+    }
+
+    return { clientOrderId, isRetry: false };
+  }
+
+  /**
+   * Перехід ордера в новий стан; недозволений перехід (напр. зі старої відповіді) ігнорується
+   */
+  async transition(clientOrderId, state, updates = {}) {
+    const record = await this.database.getOrder(clientOrderId);
+
+    if (!record) return false;
+
+    if (!TRANSITIONS[record.state].includes(state)) {
+      if (record.state !== state) {
+        logger.warn(`⚠️ Ордер ${clientOrderId}: перехід ${record.state} → ${state} недозволений, пропускаємо`);
+      }
+      return false;
+    }
+
+    try {
+      return await this.database.updateOrder(clientOrderId, { ...updates, state });
+    } catch (error) {
+      logger.error(`❌ Не вдалося оновити ордер ${clientOrderId} в журналі:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Оновлення стану з відповіді біржі (createOrder, getOrder, getAllOrders, getOpenOrders)
+   */
+  async applyExchangeOrder(clientOrderId, order) {
+    return this.transition(clientOrderId, mapExchangeStatus(order.status), {
+      exchangeStatus: order.status,
+      orderId: order.orderId,
+      orderListId: order.orderListId >= 0 ? order.orderListId : null,
+      executedQty: parseFloat(order.executedQty) || 0,
+      cummulativeQuoteQty: parseFloat(order.cummulativeQuoteQty) || 0
+    });
+  }
+
+  /**
+   * Помилка відправки: відмова біржі остаточна, мережева помилка лишає ордер у NEW до звірки
+   */
+  async recordFailure(clientOrderId, error) {
+    if (error.response?.data?.code) {
+      return this.transition(clientOrderId, ORDER_STATES.REJECTED, { error: error.response.data.msg || error.message });
+    }
+
+    logger.warn(`⚠️ Невідомо, чи дійшов ордер ${clientOrderId} до біржі: ${error.message}`);
+    return false;
+  }
+
+  /**
+   * Синхронізація журналу з ордерами, отриманими з біржі під час моніторингу
+   */
+  async syncOrders(orders) {
+    for (const order of orders) {
+      if (this.isOwnOrder(order.clientOrderId)) {
+        await this.applyExchangeOrder(order.clientOrderId, order);
+      }
+    }
+  }
+
+  /**
+   * Ордери наміру з виконаннями, зокрема звірені до збою (дочірні ордери входу)
+   */
+  async getExecutedOrders(ref) {
+    const records = await this.database.getOrdersByRef(this.environment, ref);
+
+    return records
+      .filter(record => record.executedQty > 0)
+      .map(record => ({
+        orderId: record.orderId,
+        clientOrderId: record.clientOrderId,
+        symbol: record.symbol,
+        side: record.side,
+        executedQty: record.executedQty,
+        cummulativeQuoteQty: record.cummulativeQuoteQty,
+        time: new Date(record.createdAt).getTime(),
+        ref: record.ref,
+        purpose: record.purpose
+      }));
+  }
+
+  /**
+   * Звірка незавершених ордерів з біржею
+   * Ордер у стані NEW, якого немає на біржі, не був прийнятий і позначається REJECTED
+   * Повертає ордери, що мають виконання, з наміром журналу для перевірки позицій
+   */
+  async reconcile(binanceClient) {
+    const records = await this.database.getUnresolvedOrders(this.environment);
+    const result = { checked: records.length, resolved: 0, unresolved: 0, executed: [] };
+
+    if (records.length === 0) return result;
+
+    logger.info(`🔎 Звірка ${records.length} незавершених ордерів з біржею...`);
+
+    const symbols = [...new Set(records.map(record => record.symbol))];
+
+    for (const symbol of symbols) {
+      const symbolRecords = records.filter(record => record.symbol === symbol);
+      const since = Math.min(...symbolRecords.map(record => new Date(record.createdAt).getTime())) - RECONCILE_LOOKBACK_MS;
+      let exchangeOrders;
+
+      try {
+        exchangeOrders = await binanceClient.getAllOrders(symbol, { startTime: since });
+      } catch (error) {
+        logger.error(`❌ Не вдалося отримати ордери ${symbol} для звірки:`, error.message);
+        result.unresolved += symbolRecords.length;
+        continue;
+      }
+
+      for (const record of symbolRecords) {
+        let order = exchangeOrders.find(o => o.clientOrderId === record.clientOrderId);
+
+        if (!order && record.orderId) {
+          order = await binanceClient.getOrder(symbol, record.orderId).catch(() => null);
+        }
+
+        if (order) {
+          await this.applyExchangeOrder(record.clientOrderId, order);
+
+          if (parseFloat(order.executedQty) > 0) {
+            result.executed.push({ ...order, ref: record.ref, purpose: record.purpose });
+          }
+
+          logger.info(`🔎 Ордер ${record.clientOrderId} ${symbol}: ${record.state} → ${mapExchangeStatus(order.status)}`);
+          result.resolved++;
+        } else if (record.state === ORDER_STATES.NEW) {
+          await this.transition(record.clientOrderId, ORDER_STATES.REJECTED, { error: 'Order not found on exchange' });
+
+          logger.info(`🔎 Ордер ${record.clientOrderId} ${symbol} не дійшов до біржі`);
+          result.resolved++;
+        } else {
+          logger.warn(`⚠️ Ордер ${record.clientOrderId} ${symbol} (${record.state}) не знайдено на біржі`);
+          result.unresolved++;
+        }
+      }
+    }
+
+    logger.info(`✅ Звірку ордерів завершено: ${result.resolved} звірено, ${result.unresolved} без відповіді`);
+
+    return result;
+  }
+}
+
+module.exports = {
+  OrderJournal,
+  mapExchangeStatus
+};
\ No newline at end of file
@@ -4,22 +4,99 @@ const logger = require('../../utils/logger');
 const config = require('../../config');
 const constants = require('../../config/constants');
 const { formatNumber } = require('../../utils/formatter');
+const { OrderFilterError } = require('../../utils/errors');
+const { validateOrderFilters, getSymbolFilter, floorToStep } = require('./filters');
+const { parseOrderFills, parseTrades } = require('./fills');
+
+/**
+ * Відмова біржі через clientOrderId, який уже має відкритий ордер
+ */
+function isDuplicateOrderError(error) {
+  return /duplicate order/i.test(error.response?.data?.msg || '');
+}
 
 /**
  * Менеджер ордерів для Binance
  */
 class OrderManager {
-  constructor(binanceClient) {
+  constructor(binanceClient, journal = null) {
     this.binanceClient = binanceClient;
+    this.journal = journal; // OrderJournal: запис ордерів до відправки
+  }
+
+  /**
+   * Відправка ордера на біржу
+   * З журналом ордер отримує newClientOrderId наміру intent ({ ref, purpose }) і записується в БД до відправки;
+   * якщо такий ордер уже дійшов до біржі, повертається він, а не новий
+   */
+  async submitOrder(orderParams, intent = {}) {
+    if (!this.journal) {
+      return this.binanceClient.createOrder(orderParams);
+    }
+    
+    const { clientOrderId, isRetry } = await this.journal.open(orderParams, intent);
+    
+    // Попередня спроба могла дійти до біржі, хоча відповіді не було
+    const existing = isRetry ? await this.findOwnOrder(orderParams.symbol, clientOrderId) : null;
+    if (existing) {
+      return existing;
+    }
+    
+    try {
+      const result = await this.binanceClient.createOrder({ ...orderParams, newClientOrderId: clientOrderId });
+      await this.journal.applyExchangeOrder(clientOrderId, result);
+      return result;
+    } catch (error) {
+      const duplicate = isDuplicateOrderError(error) ? await this.findOwnOrder(orderParams.symbol, clientOrderId) : null;
+      if (duplicate) {
+        return duplicate;
+      }
+      
+      await this.journal.recordFailure(clientOrderId, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ордер бота на біржі за clientOrderId зі звіркою журналу; null, якщо біржа його не знає
+   */
+  async findOwnOrder(symbol, clientOrderId) {
+    let order;
+    
+    try {
+      order = await this.binanceClient.getOrderByClientId(symbol, clientOrderId);
+    } catch (error) {
+      return null;
+    }
+    
+    logger.warn(`🔁 Ордер ${clientOrderId} ${symbol} вже на біржі (${order.status}), повторно не відправляємо`);
+    await this.journal.applyExchangeOrder(clientOrderId, order);
+    
+    return order;
+  }
+
+  /**
+   * Перевірка ордера фільтрами символу, якщо вони відомі
+   */
+  validateOrder(symbolInfo, order) {
+    if (!symbolInfo) return;
+    validateOrderFilters(symbolInfo, order);
   }
 
   /**
    * Розміщення ринкового ордера на покупку
    */
-  async placeMarketBuyOrder(symbol, quantity) {
+  async placeMarketBuyOrder(symbol, quantity, { symbolInfo = null, referencePrice = null, intent = {} } = {}) {
     try {
       logger.trade(`📈 Розміщення ринкового ордера BUY ${symbol}, кількість: ${quantity}`);
       
+      this.validateOrder(symbolInfo, {
+        side: constants.ORDER_SIDES.BUY,
+        type: constants.ORDER_TYPES.MARKET,
+        quantity,
+        referencePrice
+      });
+      
       // Якщо ввімкнено симуляцію - повертаємо моковані дані
       if (config.debug.simulationMode) {
         const currentPrice = await this.binanceClient.getCurrentPrice(symbol);
@@ -33,7 +110,7 @@ class OrderManager {
         quantity: formatNumber(quantity, 8)
       };
       
-      const result = await this.binanceClient.createOrder(orderParams);
+      const result = await this.submitOrder(orderParams, intent);
       
       return {
         success: true,
@@ -43,13 +120,144 @@ class OrderManager {
         side: result.side,
         quantity: parseFloat(result.origQty),
         executedQty: parseFloat(result.executedQty),
-        avgPrice: this.getOrderAveragePrice(result),
+        avgPrice: await this.getOrderAveragePrice(result),
+        fills: result.fills,
         status: result.status,
         time: result.transactTime
       };
       
     } catch (error) {
       logger.error(`❌ Помилка розміщення ринкового ордера BUY ${symbol}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        filterType: error.filterType
+      };
+    }
+  }
+
+  /**
+   * Ринкова купівля на точну суму quote asset (quoteOrderQty)
+   * Кількість визначає біржа за поточною ціною, тож застаріла ціна не призводить до перевитрати.
+   * Якщо символ не підтримує quoteOrderQty або біржа відхилила ордер - купуємо кількістю від referencePrice
+   */
+  async placeQuoteMarketBuyOrder(symbol, quoteAmount, { symbolInfo = null, referencePrice = null, intent = {} } = {}) {
+    if (symbolInfo && symbolInfo.quoteOrderQtyMarketAllowed === false) {
+      logger.warn(`⚠️ ${symbol} не підтримує quoteOrderQty, купуємо кількістю`);
+      return this.placeQuantityFallback(symbol, quoteAmount, { symbolInfo, referencePrice, intent });
+    }
+
+    try {
+      logger.trade(`📈 Розміщення ринкового ордера BUY ${symbol} на суму ${quoteAmount}`);
+
+      this.validateOrder(symbolInfo, {
+        side: constants.ORDER_SIDES.BUY,
+        type: constants.ORDER_TYPES.MARKET,
+        quoteOrderQty: quoteAmount,
+        referencePrice
+      });
+
+      // Якщо ввімкнено симуляцію - повертаємо моковані дані
+      if (config.debug.simulationMode) {
+        const currentPrice = await this.binanceClient.getCurrentPrice(symbol);
+        return this.mockOrderResult(symbol, quoteAmount / currentPrice, currentPrice, 'BUY', true);
+      }
+
+      const orderParams = {
+        symbol,
+        side: constants.ORDER_SIDES.BUY,
+        type: constants.ORDER_TYPES.MARKET,
+        quoteOrderQty: formatNumber(quoteAmount, symbolInfo?.quoteAssetPrecision ?? 8)
+      };
+
+      const result = await this.submitOrder(orderParams, intent);
+      const executedQty = parseFloat(result.executedQty);
+      const quoteQty = parseFloat(result.cummulativeQuoteQty);
+
+      return {
+        success: true,
+        orderId: result.orderId,
+        symbol: result.symbol,
+        orderType: result.type,
+        side: result.side,
+        quantity: executedQty,
+        executedQty,
+        quoteQty,
+        avgPrice: executedQty > 0 ? quoteQty / executedQty : 0,
+        fills: result.fills,
+        status: result.status,
+        time: result.transactTime
+      };
+
+    } catch (error) {
+      // Відмову біржі (не мережеву помилку) повторюємо кількістю: ордер точно не виконано
+      if (!(error instanceof OrderFilterError) && error.response?.data?.code && referencePrice) {
+        logger.warn(`⚠️ Біржа відхилила quoteOrderQty для ${symbol} (${error.response.data.msg}), купуємо кількістю`);
+        return this.placeQuantityFallback(symbol, quoteAmount, { symbolInfo, referencePrice, intent });
+      }
+
+      logger.error(`❌ Помилка розміщення ринкового ордера BUY ${symbol} на суму ${quoteAmount}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        filterType: error.filterType
+      };
+    }
+  }
+
+  /**
+   * Ринкова купівля кількістю, розрахованою з суми за referencePrice
+   */
+  async placeQuantityFallback(symbol, quoteAmount, { symbolInfo, referencePrice, intent }) {
+    if (!referencePrice) {
+      return { success: false, error: `No reference price to convert ${quoteAmount} into quantity for ${symbol}` };
+    }
+
+    const lotSize = getSymbolFilter(symbolInfo, 'LOT_SIZE');
+    const quantity = floorToStep(quoteAmount / referencePrice, lotSize ? parseFloat(lotSize.stepSize) : 0);
+
+    const result = await this.placeMarketBuyOrder(symbol, quantity, { symbolInfo, referencePrice, intent });
+    return { ...result, quoteOrderQtyFallback: true };
+  }
+
+  /**
+   * Розміщення ринкового ордера на продаж
+   */
+  async placeMarketSellOrder(symbol, quantity, intent = {}) {
+    try {
+      logger.trade(`📉 Розміщення ринкового ордера SELL ${symbol}, кількість: ${quantity}`);
+      
+      // Якщо ввімкнено симуляцію - повертаємо моковані дані
+      if (config.debug.simulationMode) {
+        const currentPrice = await this.binanceClient.getCurrentPrice(symbol);
+        return this.mockOrderResult(symbol, quantity, currentPrice, 'SELL', true);
+      }
+      
+      const orderParams = {
+        symbol,
+        side: constants.ORDER_SIDES.SELL,
+        type: constants.ORDER_TYPES.MARKET,
+        quantity: formatNumber(quantity, 8)
+      };
+      
+      const result = await this.submitOrder(orderParams, intent);
+      
+      return {
+        success: true,
+        orderId: result.orderId,
+        symbol: result.symbol,
+        orderType: result.type,
+        side: result.side,
+        quantity: parseFloat(result.origQty),
+        executedQty: parseFloat(result.executedQty),
+        avgPrice: await this.getOrderAveragePrice(result),
+        fills: result.fills,
+        status: result.status,
+        time: result.transactTime
+      };
+      
+    } catch (error) {
+      logger.error(`❌ Помилка розміщення ринкового ордера SELL ${symbol}:`, error);
       return {
         success: false,
         error: error.message
@@ -57,10 +265,77 @@ class OrderManager {
     }
   }
 
+  /**
+   * Розміщення лімітного ордера на покупку
+   * З IOC невиконаний залишок одразу скасовується біржею
+   */
+  async placeLimitBuyOrder(symbol, quantity, price, timeInForce = constants.TIME_IN_FORCE.GTC, { symbolInfo = null, referencePrice = null, intent = {} } = {}) {
+    try {
+      logger.trade(`📈 Розміщення лімітного ордера BUY ${symbol} (${timeInForce}), кількість: ${quantity}, ціна: ${price}`);
+
+      this.validateOrder(symbolInfo, {
+        side: constants.ORDER_SIDES.BUY,
+        type: constants.ORDER_TYPES.LIMIT,
+        quantity,
+        price,
+        referencePrice
+      });
+
+      // Якщо ввімкнено симуляцію - виконуємо, якщо ринкова ціна не вища за ліміт
+      if (config.debug.simulationMode) {
+        const currentPrice = await this.binanceClient.getCurrentPrice(symbol);
+        const isFilled = currentPrice <= price;
+        const result = this.mockOrderResult(symbol, quantity, isFilled ? currentPrice : price, 'BUY', isFilled, false);
+
+        if (!isFilled && timeInForce !== constants.TIME_IN_FORCE.GTC) {
+          result.status = constants.ORDER_STATUS.EXPIRED;
+        }
+
+        return result;
+      }
+
+      const orderParams = {
+        symbol,
+        side: constants.ORDER_SIDES.BUY,
+        type: constants.ORDER_TYPES.LIMIT,
+        timeInForce,
+        quantity: formatNumber(quantity, 8),
+        price: formatNumber(price, 8)
+      };
+
+      const result = await this.submitOrder(orderParams, intent);
+      const executedQty = parseFloat(result.executedQty);
+
+      return {
+        success: true,
+        orderId: result.orderId,
+        symbol: result.symbol,
+        orderType: result.type,
+        side: result.side,
+        quantity: parseFloat(result.origQty),
+        executedQty,
+        // Лімітний ордер може виконатись за кращою ціною
+        avgPrice: executedQty > 0 ? parseFloat(result.cummulativeQuoteQty) / executedQty : 0,
+        fills: result.fills,
+        price: parseFloat(result.price),
+        status: result.status,
+        time: result.transactTime
+      };
+
+    } catch (error) {
+      logger.error(`❌ Помилка розміщення лімітного ордера BUY ${symbol}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        filterType: error.filterType
+      };
+    }
+  }
+
   /**
    * Розміщення лімітного ордера на продаж
    */
-  async placeLimitSellOrder(symbol, quantity, price) {
+  async placeLimitSellOrder(symbol, quantity, price, intent = {}) {
     try {
       logger.trade(`📉 Розміщення лімітного ордера SELL ${symbol}, кількість: ${quantity}, ціна: ${price}`);
       
@@ -78,7 +353,7 @@ class OrderManager {
         price: formatNumber(price, 8)
       };
       
-      const result = await this.binanceClient.createOrder(orderParams);
+      const result = await this.submitOrder(orderParams, intent);
       
       return {
         success: true,
@@ -105,7 +380,7 @@ class OrderManager {
   /**
    * Розміщення Stop Loss ордера
    */
-  async placeStopLossOrder(symbol, quantity, stopPrice) {
+  async placeStopLossOrder(symbol, quantity, stopPrice, intent = {}) {
     try {
       logger.trade(`🛑 Розміщення Stop Loss ордера ${symbol}, кількість: ${quantity}, ціна: ${stopPrice}`);
       
@@ -124,7 +399,7 @@ class OrderManager {
         price: formatNumber(stopPrice * 0.99, 8) // Ціна трохи нижче stopPrice для гарантованого виконання
       };
       
-      const result = await this.binanceClient.createOrder(orderParams);
+      const result = await this.submitOrder(orderParams, intent);
       
       return {
         success: true,
@@ -152,7 +427,7 @@ class OrderManager {
   /**
    * Розміщення OCO ордера (One-Cancels-Other)
    */
-  async placeOCOOrder(symbol, quantity, takeProfitPrice, stopLossPrice) {
+  async placeOCOOrder(symbol, quantity, takeProfitPrice, stopLossPrice, intent = {}) {
     try {
       logger.trade(`🔄 Розміщення OCO ордера ${symbol}, TP: ${takeProfitPrice}, SL: ${stopLossPrice}`);
       
@@ -177,11 +452,40 @@ class OrderManager {
         stopLimitTimeInForce: constants.TIME_IN_FORCE.GTC
       };
       
-      const result = await this.binanceClient.privateRequest(
-        constants.BINANCE_ENDPOINTS.ORDER_OCO,
-        orderParams,
-        'POST'
-      );
+      // Обидві ноги OCO записуються в журнал окремими ордерами
+      const legs = this.journal ? [
+        await this.journal.open({ ...orderParams, type: constants.ORDER_TYPES.LIMIT_MAKER, stopPrice: null }, intent),
+        await this.journal.open({ ...orderParams, type: constants.ORDER_TYPES.STOP_LOSS_LIMIT, price: orderParams.stopLimitPrice }, intent)
+      ] : [];
+      
+      if (legs.length > 0) {
+        orderParams.limitClientOrderId = legs[0].clientOrderId;
+        orderParams.stopClientOrderId = legs[1].clientOrderId;
+      }
+      
+      // Попередня спроба OCO могла дійти до біржі, хоча відповіді не було
+      let result = legs.some(leg => leg.isRetry) ? await this.findOwnOrderList(symbol, legs) : null;
+      
+      try {
+        result = result || await this.binanceClient.privateRequest(
+          constants.BINANCE_ENDPOINTS.ORDER_OCO,
+          orderParams,
+          'POST'
+        );
+      } catch (error) {
+        result = isDuplicateOrderError(error) ? await this.findOwnOrderList(symbol, legs) : null;
+        
+        if (!result) {
+          for (const { clientOrderId } of legs) {
+            await this.journal.recordFailure(clientOrderId, error);
+          }
+          throw error;
+        }
+      }
+      
+      if (this.journal) {
+        await this.journal.syncOrders(result.orderReports || []);
+      }
       
       return {
         success: true,
@@ -206,6 +510,21 @@ class OrderManager {
     }
   }
 
+  /**
+   * Обидва леги OCO бота на біржі; null, якщо біржа не знає хоча б один
+   */
+  async findOwnOrderList(symbol, legs) {
+    const orders = [];
+    
+    for (const { clientOrderId } of legs) {
+      const order = await this.findOwnOrder(symbol, clientOrderId);
+      if (!order) return null;
+      orders.push(order);
+    }
+    
+    return { orderListId: orders[0].orderListId, orders, orderReports: orders };
+  }
+
   /**
    * Скасування ордера
    */
@@ -225,6 +544,10 @@ class OrderManager {
       
       const result = await this.binanceClient.cancelOrder(symbol, orderId);
       
+      if (this.journal?.isOwnOrder(result.origClientOrderId)) {
+        await this.journal.applyExchangeOrder(result.origClientOrderId, result);
+      }
+      
       return {
         success: true,
         orderId: result.orderId,
@@ -256,47 +579,48 @@ class OrderManager {
 
   /**
    * Отримання середньої ціни виконання ордера
+   * Спершу з fills[] та cummulativeQuoteQty відповіді, історію торгів запитуємо лише якщо їх немає
    */
-  getOrderAveragePrice(orderResult) {
-    // Для ринкових ордерів Binance не повертає середню ціну виконання
-    // Тому ми отримуємо її з історії торгів
-    return new Promise(async (resolve) => {
-      try {
-        // Якщо ордер не виконано - повертаємо 0
-        if (orderResult.status !== constants.ORDER_STATUS.FILLED) {
-          return resolve(0);
-        }
-        
-        // Отримуємо торги для ордера
-        const trades = await this.binanceClient.getMyTrades(
-          orderResult.symbol,
-          { orderId: orderResult.orderId }
-        );
-        
-        if (!trades || trades.length === 0) {
-          return resolve(0);
-        }
-        
-        // Розраховуємо середню ціну
-        let totalQty = 0;
-        let totalValue = 0;
-        
-        for (const trade of trades) {
-          const qty = parseFloat(trade.qty);
-          const price = parseFloat(trade.price);
-          
-          totalQty += qty;
-          totalValue += qty * price;
-        }
-        
-        const avgPrice = totalValue / totalQty;
-        resolve(avgPrice);
-        
-      } catch (error) {
-        logger.error('❌ Помилка отримання середньої ціни:', error);
-        resolve(0);
+  async getOrderAveragePrice(orderResult) {
+    try {
+      const executedQty = parseFloat(orderResult.executedQty);
+      
+      // Якщо ордер нічого не виконав - повертаємо 0
+      if (!(executedQty > 0)) {
+        return 0;
       }
-    });
+      
+      const fills = orderResult.fills && orderResult.fills.length > 0
+        ? parseOrderFills(orderResult.fills)
+        : null;
+      
+      if (fills) {
+        const totalQty = fills.reduce((sum, fill) => sum + fill.qty, 0);
+        return fills.reduce((sum, fill) => sum + fill.qty * fill.price, 0) / totalQty;
+      }
+      
+      const quoteQty = parseFloat(orderResult.cummulativeQuoteQty);
+      if (quoteQty > 0) {
+        return quoteQty / executedQty;
+      }
+      
+      // Отримуємо торги для ордера
+      const trades = parseTrades(await this.binanceClient.getMyTrades(
+        orderResult.symbol,
+        { orderId: orderResult.orderId }
+      ));
+      
+      if (trades.length === 0) {
+        return 0;
+      }
+      
+      const totalQty = trades.reduce((sum, trade) => sum + trade.qty, 0);
+      return trades.reduce((sum, trade) => sum + trade.qty * trade.price, 0) / totalQty;
+      
+    } catch (error) {
+      logger.error('❌ Помилка отримання середньої ціни:', error);
+      return 0;
+    }
   }
 
   /**
@@ -0,0 +1,151 @@
+// src/services/binance/symbol-registry.js
+
+const logger = require('../../utils/logger');
+const constants = require('../../config/constants');
+
+// Мінімальна пауза між повторними запитами для невідомого символу
+const LOOKUP_RETRY_DELAY = 5000;
+
+// Окремий реєстр для кожного клієнта (testnet та mainnet мають різні пари)
+const registries = new WeakMap();
+
+/**
+ * Реєстр торгових пар з exchangeInfo
+ * Розділяє символ на base/quote за даними біржі, а не за суфіксом
+ */
+class SymbolRegistry {
+  constructor(binanceClient) {
+    this.binanceClient = binanceClient;
+    this.symbols = new Map(); // symbol -> { symbol, baseAsset, quoteAsset, status }
+    this.pairs = new Map(); // BASE/QUOTE -> symbol
+    this.pendingLookups = new Map();
+    this.failedLookups = new Map();
+    this.pendingRefresh = null;
+    this.lastUpdate = 0;
+  }
+
+  /**
+   * Оновлення реєстру з відповіді exchangeInfo
+   */
+  update(exchangeInfo) {
+    for (const s of exchangeInfo.symbols) {
+      this.symbols.set(s.symbol, {
+        symbol: s.symbol,
+        baseAsset: s.baseAsset,
+        quoteAsset: s.quoteAsset,
+        status: s.status
+      });
+      this.pairs.set(`${s.baseAsset}/${s.quoteAsset}`, s.symbol);
+    }
+
+    this.lastUpdate = Date.now();
+  }
+
+  /**
+   * Інформація про символ з кешу
+   */
+  get(symbol) {
+    return this.symbols.get(symbol) || null;
+  }
+
+  /**
+   * Інформація про символ з дозапитом до біржі для нових пар
+   */
+  async resolve(symbol) {
+    const known = this.symbols.get(symbol);
+    if (known) return known;
+
+    const failedAt = this.failedLookups.get(symbol);
+    if (failedAt && Date.now() - failedAt < LOOKUP_RETRY_DELAY) {
+      return null;
+    }
+
+    // Паралельні запити одного символу об'єднуємо
+    if (!this.pendingLookups.has(symbol)) {
+      const lookup = this.lookup(symbol).finally(() => this.pendingLookups.delete(symbol));
+      this.pendingLookups.set(symbol, lookup);
+    }
+
+    return this.pendingLookups.get(symbol);
+  }
+
+  /**
+   * Запит exchangeInfo для одного символу
+   */
+  async lookup(symbol) {
+    try {
+      // Порожній реєстр завантажуємо повністю, а не запитом на кожну пару
+      if (this.lastUpdate === 0) {
+        await this.refresh();
+      } else {
+        this.update(await this.binanceClient.getExchangeInfo(symbol));
+      }
+      this.failedLookups.delete(symbol);
+
+      return this.symbols.get(symbol) || null;
+    } catch (error) {
+      logger.warn(`⚠️ Не вдалося отримати інформацію про ${symbol}: ${error.message}`);
+      this.failedLookups.set(symbol, Date.now());
+      return null;
+    }
+  }
+
+  /**
+   * Повне оновлення реєстру з exchangeInfo
+   */
+  refresh() {
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.binanceClient.getExchangeInfo()
+        .then(exchangeInfo => this.update(exchangeInfo))
+        .finally(() => {
+          this.pendingRefresh = null;
+        });
+    }
+
+    return this.pendingRefresh;
+  }
+
+  /**
+   * Пошук активної пари за base та quote активами
+   */
+  async findPair(baseAsset, quoteAsset) {
+    const symbol = this.pairs.get(`${baseAsset}/${quoteAsset}`);
+
+    // Пари може не бути в кеші - перевіряємо за стандартною назвою BASEQUOTE
+    const info = symbol
+      ? this.symbols.get(symbol)
+      : await this.resolve(`${baseAsset}${quoteAsset}`);
+
+    if (!info || info.baseAsset !== baseAsset || info.quoteAsset !== quoteAsset) {
+      return null;
+    }
+
+    return info.status === constants.SYMBOL_STATUS.TRADING ? info : null;
+  }
+
+  /**
+   * Отримання статусу
+   */
+  getStatus() {
+    return {
+      symbols: this.symbols.size,
+      lastUpdate: this.lastUpdate
+    };
+  }
+}
+
+/**
+ * Реєстр символів для клієнта
+ */
+function getSymbolRegistry(binanceClient) {
+  if (!registries.has(binanceClient)) {
+    registries.set(binanceClient, new SymbolRegistry(binanceClient));
+  }
+
+  return registries.get(binanceClient);
+}
+
+module.exports = {
+  SymbolRegistry,
+  getSymbolRegistry
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+// src/services/monitoring/announcement-feeds.js
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const config = require('../../config');
+
+/**
+ * Приведення запису анонсу до єдиного формату
+ */
+function normalizeAnnouncement(item) {
+  const publishedAt = item.releaseDate || item.publishDate || item.publishedAt || item.pubDate || item.date;
+
+  return {
+    id: String(item.id || item.code || item.guid || item.link || item.title),
+    title: item.title || '',
+    body: item.body || item.content || item.description || '',
+    url: item.url || item.link || null,
+    publishedAt: publishedAt ? new Date(isNaN(publishedAt) ? publishedAt : Number(publishedAt)).getTime() : null
+  };
+}
+
+/**
+ * Витягування списку статей з JSON відповіді
+ * Підтримує масив у корені, а також структури Binance CMS (data.articles, data.catalogs[].articles)
+ */
+function extractJsonArticles(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (!payload || typeof payload !== 'object') return [];
+
+  if (Array.isArray(payload.articles)) return payload.articles;
+  if (Array.isArray(payload.items)) return payload.items;
+
+  const data = payload.data;
+  if (data) {
+    if (Array.isArray(data)) return data;
+    if (Array.isArray(data.articles)) return data.articles;
+    if (Array.isArray(data.catalogs)) {
+      return data.catalogs.flatMap(catalog => catalog.articles || []);
+    }
+  }
+
+  return [];
+}
+
+/**
+ * Розбір RSS документа
+ */
+function parseRss(xml) {
+  const items = [];
+  const itemRegex = /<item\b[^>]*>([\s\S]*?)<\/item>/gi;
+  let match;
+
+  const readTag = (block, tag) => {
+    const tagMatch = block.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'i'));
+    if (!tagMatch) return '';
+    return tagMatch[1]
+      .replace(/^\s*<!\[CDATA\[/, '')
+      .replace(/\]\]>\s*$/, '')
+      .trim();
+  };
+
+  while ((match = itemRegex.exec(xml)) !== null) {
+    const block = match[1];
+    items.push({
+      guid: readTag(block, 'guid'),
+      title: readTag(block, 'title'),
+      description: readTag(block, 'description'),
+      link: readTag(block, 'link'),
+      pubDate: readTag(block, 'pubDate')
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Розбір сирого вмісту фіду залежно від формату
+ */
+function parseFeedContent(content, format) {
+  if (format === 'rss') {
+    return parseRss(typeof content === 'string' ? content : String(content));
+  }
+
+  const payload = typeof content === 'string' ? JSON.parse(content) : content;
+  return extractJsonArticles(payload);
+}
+
+/**
+ * HTTP джерело анонсів (JSON API або RSS)
+ */
+class HttpAnnouncementFeed {
+  constructor({ url, format = 'json' }) {
+    if (!url) {
+      throw new Error('Не вказано URL фіду анонсів');
+    }
+
+    this.url = url;
+    this.format = format;
+    this.name = `http:${url}`;
+  }
+
+  /**
+   * Отримання списку анонсів
+   */
+  async fetch() {
+    const response = await axios.get(this.url, {
+      timeout: config.binance.timeout.rest,
+      responseType: 'text',
+      transformResponse: data => data
+    });
+
+    return parseFeedContent(response.data, this.format).map(normalizeAnnouncement);
+  }
+}
+
+/**
+ * Файлове джерело анонсів (заміна HTTP фіду для тестів та локальної перевірки)
+ */
+class FileAnnouncementFeed {
+  constructor({ file, format }) {
+    if (!file) {
+      throw new Error('Не вказано файл фіду анонсів');
+    }
+
+    this.file = path.resolve(file);
+    this.format = format || (['.xml', '.rss'].includes(path.extname(this.file)) ? 'rss' : 'json');
+    this.name = `file:${this.file}`;
+  }
+
+  /**
+   * Отримання списку анонсів
+   */
+  async fetch() {
+    const content = await fs.readFile(this.file, 'utf8');
+    return parseFeedContent(content, this.format).map(normalizeAnnouncement);
+  }
+}
+
+/**
+ * Створення фіду анонсів згідно з конфігурацією
+ */
+function createAnnouncementFeed(feedConfig) {
+  switch (feedConfig.source) {
+    case 'http':
+      return new HttpAnnouncementFeed(feedConfig);
+    case 'file':
+      return new FileAnnouncementFeed(feedConfig);
+    default:
+      throw new Error(`Непідтримуване джерело анонсів: ${feedConfig.source}`);
+  }
+}
+
+module.exports = {
+  HttpAnnouncementFeed,
+  FileAnnouncementFeed,
+  createAnnouncementFeed,
+  parseFeedContent
+};
\ No newline at end of file
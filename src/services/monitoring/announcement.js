@@ -0,0 +1,241 @@
+// src/services/monitoring/announcement.js
+
+const EventEmitter = require('events');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { createAnnouncementFeed } = require('./announcement-feeds');
+const { getQuoteAssets } = require('../../utils/symbols');
+
+// Ключові фрази анонсів про лістинг
+const LISTING_PATTERN = /will list|new listing|listing of|will open trading|opens? trading|new (?:spot )?trading pairs?/i;
+// Анонси про делістинг та видалення пар ігноруємо
+const EXCLUDE_PATTERN = /delist|will remove|removal|cease trading|will close/i;
+// Делістинг спотових пар; ф'ючерси та маржа не стосуються куплених токенів
+const DELISTING_PATTERN = /delist|will remove|cease trading/i;
+const NON_SPOT_PATTERN = /futures|margin|perpetual|options|earn/i;
+// Перелік токенів у заголовку "Binance Will Delist ABC, DEF and GHI on 2026-01-01"
+const DELIST_LIST_PATTERN = /delist\s+(.+?)\s+on\b/i;
+const DELIST_TOKEN_PATTERN = /\b[A-Z0-9]{2,15}\b/g;
+// Торгова пара у вигляді BASE/QUOTE
+const PAIR_PATTERN = /\b([A-Z0-9]{2,15})\/([A-Z]{2,6})\b/g;
+// Тікер у дужках, наприклад "Foo Protocol (FOO)"
+const TICKER_PATTERN = /\(([A-Z0-9]{2,15})\)/g;
+// Час відкриття торгів, наприклад "2024-03-12 10:00 (UTC)"
+const OPEN_TIME_PATTERN = /(\d{4}-\d{2}-\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*\(?UTC\)?/i;
+
+/**
+ * Розбір анонсу: символи та запланований час відкриття торгів
+ */
+function parseAnnouncement(announcement, quoteAssets = getQuoteAssets().map(q => q.asset)) {
+  const text = `${announcement.title}\n${announcement.body}`;
+
+  if (!LISTING_PATTERN.test(announcement.title) || EXCLUDE_PATTERN.test(announcement.title)) {
+    return null;
+  }
+
+  const pairs = new Map();
+
+  for (const [, baseAsset, pairQuote] of text.matchAll(PAIR_PATTERN)) {
+    if (!quoteAssets.includes(pairQuote)) continue;
+    pairs.set(`${baseAsset}${pairQuote}`, { baseAsset, quoteAsset: pairQuote });
+  }
+
+  // Якщо пари не вказані явно - беремо тікери з заголовку з першим quote asset
+  if (pairs.size === 0 && quoteAssets.length > 0) {
+    const [quoteAsset] = quoteAssets;
+
+    for (const [, baseAsset] of announcement.title.matchAll(TICKER_PATTERN)) {
+      pairs.set(`${baseAsset}${quoteAsset}`, { baseAsset, quoteAsset });
+    }
+  }
+
+  if (pairs.size === 0) {
+    return null;
+  }
+
+  let openTime = null;
+  const timeMatch = text.match(OPEN_TIME_PATTERN);
+  if (timeMatch) {
+    const [, date, hours, minutes, seconds = '00'] = timeMatch;
+    openTime = Date.parse(`${date}T${hours.padStart(2, '0')}:${minutes}:${seconds}Z`);
+  }
+
+  return {
+    symbols: Array.from(pairs.entries()).map(([symbol, assets]) => ({ symbol, ...assets })),
+    openTime: Number.isNaN(openTime) ? null : openTime
+  };
+}
+
+/**
+ * Розбір анонсу делістингу: явно вказані пари та тікери з заголовка (усі пари токена)
+ */
+function parseDelistingAnnouncement(announcement) {
+  if (!DELISTING_PATTERN.test(announcement.title) || NON_SPOT_PATTERN.test(announcement.title)) {
+    return null;
+  }
+
+  const text = `${announcement.title}\n${announcement.body}`;
+  const symbols = [...new Set([...text.matchAll(PAIR_PATTERN)].map(([, baseAsset, quoteAsset]) => `${baseAsset}${quoteAsset}`))];
+
+  // Пари не вказані - делістинг токена з усіма парами
+  let baseAssets = [];
+  if (symbols.length === 0) {
+    const tickers = [...announcement.title.matchAll(TICKER_PATTERN)].map(([, baseAsset]) => baseAsset);
+    const list = announcement.title.match(DELIST_LIST_PATTERN)?.[1] || '';
+
+    baseAssets = [...new Set([...tickers, ...(list.match(DELIST_TOKEN_PATTERN) || [])])];
+  }
+
+  if (symbols.length === 0 && baseAssets.length === 0) {
+    return null;
+  }
+
+  return { symbols, baseAssets };
+}
+
+/**
+ * Моніторинг анонсів Binance для виявлення лістингів до початку торгів
+ * Працює паралельно з WebSocket/Polling моніторингом
+ */
+class AnnouncementMonitor extends EventEmitter {
+  constructor(feed = createAnnouncementFeed(config.monitoring.announcements)) {
+    super();
+    this.feed = feed;
+    this.seenAnnouncements = new Set();
+    this.upcomingListings = new Map();
+    this.pollingInterval = null;
+    this.isRunning = false;
+    this.lastCheckTime = 0;
+    // Поки фід не прочитано жодного разу, старі анонси не вважаються новими
+    this.initialFetchDone = false;
+  }
+
+  /**
+   * Запуск моніторингу
+   */
+  async start() {
+    logger.info(`📰 Запуск моніторингу анонсів (${this.feed.name})...`);
+
+    // Перше читання фіду - відбираємо лише майбутні лістинги
+    // Недоступний фід не зупиняє бота: наступна спроба - за таймером
+    try {
+      await this.checkAnnouncements(true);
+    } catch (error) {
+      logger.error('❌ Не вдалося прочитати фід анонсів, повтор за таймером:', error.message);
+    }
+
+    this.startPolling();
+
+    this.isRunning = true;
+    logger.info('✅ Моніторинг анонсів запущено успішно');
+  }
+
+  /**
+   * Запуск періодичного читання фіду
+   */
+  startPolling() {
+    const pollInterval = config.monitoring.announcements.pollInterval;
+
+    this.pollingInterval = setInterval(async () => {
+      try {
+        await this.checkAnnouncements(!this.initialFetchDone);
+      } catch (error) {
+        logger.error('❌ Помилка перевірки анонсів:', error);
+        this.emit('error', error);
+      }
+    }, pollInterval);
+
+    logger.info(`⏱️ Перевірка анонсів кожні ${pollInterval}ms`);
+  }
+
+  /**
+   * Перевірка нових анонсів
+   */
+  async checkAnnouncements(isInitialFetch = false) {
+    this.lastCheckTime = Date.now();
+
+    const announcements = await this.feed.fetch();
+    this.initialFetchDone = true;
+
+    for (const announcement of announcements) {
+      if (this.seenAnnouncements.has(announcement.id)) continue;
+      this.seenAnnouncements.add(announcement.id);
+
+      // Анонс делістингу: продаж позицій і блокування; старі анонси першого читання пропускаємо
+      const delisting = parseDelistingAnnouncement(announcement);
+      if (delisting) {
+        if (!isInitialFetch) {
+          logger.warn(`📰 Анонсовано делістинг: ${[...delisting.symbols, ...delisting.baseAssets].join(', ')}`, { title: announcement.title });
+          this.emit('delisting', { ...delisting, source: 'announcement', announcementId: announcement.id });
+        }
+        continue;
+      }
+
+      const parsed = parseAnnouncement(announcement);
+      if (!parsed) continue;
+
+      // Під час першого читання пропускаємо анонси без майбутнього часу відкриття
+      if (isInitialFetch && (!parsed.openTime || parsed.openTime <= Date.now())) {
+        continue;
+      }
+
+      for (const { symbol, baseAsset, quoteAsset } of parsed.symbols) {
+        const upcomingListing = {
+          symbol,
+          baseAsset,
+          quoteAsset,
+          openTime: parsed.openTime,
+          announcementId: announcement.id,
+          title: announcement.title,
+          url: announcement.url,
+          source: 'announcement',
+          detectedAt: Date.now()
+        };
+
+        this.upcomingListings.set(symbol, upcomingListing);
+
+        logger.info(`📰 Анонсовано лістинг ${symbol}`, {
+          openTime: parsed.openTime ? new Date(parsed.openTime).toISOString() : 'невідомо',
+          title: announcement.title
+        });
+
+        this.emit('upcomingListing', upcomingListing);
+      }
+    }
+  }
+
+  /**
+   * Зупинка моніторингу
+   */
+  async stop() {
+    logger.info('⏹️ Зупинка моніторингу анонсів...');
+
+    if (this.pollingInterval) {
+      clearInterval(this.pollingInterval);
+      this.pollingInterval = null;
+    }
+
+    this.isRunning = false;
+
+    logger.info('✅ Моніторинг анонсів зупинено');
+  }
+
+  /**
+   * Отримання статусу
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      feed: this.feed.name,
+      seenAnnouncements: this.seenAnnouncements.size,
+      upcomingListings: Array.from(this.upcomingListings.values()).map(l => ({
+        symbol: l.symbol,
+        openTime: l.openTime
+      })),
+      lastCheckTime: this.lastCheckTime,
+      pollInterval: config.monitoring.announcements.pollInterval
+    };
+  }
+}
+
+module.exports = { AnnouncementMonitor, parseAnnouncement, parseDelistingAnnouncement };
\ No newline at end of file
@@ -0,0 +1,214 @@
+// src/services/monitoring/hybrid.js
+
+const EventEmitter = require('events');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const { WebSocketMonitor } = require('./websocket');
+const { PollingMonitor } = require('./polling');
+
+/**
+ * Гібридний моніторинг: WebSocket і Polling працюють одночасно
+ * Лістинги дедуплікуються за символом, фіксується джерело, що побачило лістинг першим
+ */
+class HybridMonitor extends EventEmitter {
+  constructor(binanceClient) {
+    super();
+    this.websocket = new WebSocketMonitor(binanceClient);
+    this.polling = new PollingMonitor(binanceClient);
+    this.seenSymbols = new Set(); // Символи, про які вже повідомлено
+    this.detections = new Map(); // Очікують підтвердження: symbol -> { source, detectedAt, confirmedBy, leadMs }
+    this.isRunning = false;
+    this.stats = {
+      websocket: 0,
+      polling: 0,
+      confirmed: 0
+    };
+
+    this.setupListeners();
+  }
+
+  /**
+   * Підписка на події обох моніторів
+   */
+  setupListeners() {
+    this.websocket.on('newListing', listing => this.handleDetection('websocket', listing));
+    this.polling.on('newListing', listing => this.handleDetection('polling', listing));
+    this.polling.on('statusTransition', transition => this.emit('statusTransition', transition));
+    this.polling.on('delisting', data => this.emit('delisting', data));
+    this.websocket.on('delisting', data => this.emit('delisting', data));
+    this.polling.on('symbolPaused', data => this.emit('symbolPaused', data));
+    this.websocket.on('symbolPaused', data => this.emit('symbolPaused', data));
+    this.polling.on('symbolResumed', data => this.emit('symbolResumed', data));
+    this.websocket.on('symbolResumed', data => this.emit('symbolResumed', data));
+    this.websocket.on('trade', trade => this.emit('trade', trade));
+    this.websocket.on('bookTicker', ticker => this.emit('bookTicker', ticker));
+
+    this.websocket.on('error', error => this.emit('error', error));
+    this.polling.on('error', error => this.emit('error', error));
+
+    // Поки WebSocket недоступний - пришвидшуємо polling
+    this.websocket.on('disconnected', () => this.speedUpPolling());
+    this.websocket.on('connected', () => this.restorePolling());
+
+    this.websocket.on('reconnectFailed', () => {
+      logger.error('❌ WebSocket недоступний, гібридний моніторинг продовжує роботу лише через polling');
+      this.speedUpPolling();
+      this.emit('reconnectFailed');
+    });
+  }
+
+  /**
+   * Запуск моніторингу
+   */
+  async start() {
+    logger.info('🔀 Запуск гібридного моніторингу (WebSocket + Polling)...');
+
+    await this.polling.start();
+
+    try {
+      await this.websocket.start();
+    } catch (error) {
+      // Polling вже працює, WebSocket перепідключиться самостійно
+      logger.warn('⚠️ WebSocket не запустився, працюємо через прискорений polling:', error.message);
+      this.speedUpPolling();
+    }
+
+    this.isRunning = true;
+    logger.info('✅ Гібридний моніторинг запущено');
+  }
+
+  /**
+   * Обробка лістингу від одного з джерел
+   */
+  handleDetection(source, listingData) {
+    const { symbol } = listingData;
+    const now = Date.now();
+    // Друге джерело підтверджує вже виявлений лістинг
+    if (this.seenSymbols.has(symbol)) {
+      const stored = this.detections.get(symbol);
+
+      if (stored && stored.source !== source && !stored.confirmedBy) {
+        stored.confirmedBy = source;
+        stored.leadMs = now - stored.detectedAt;
+        this.stats.confirmed++;
+
+        logger.info(`🔁 ${symbol} підтверджено через ${source}, ${stored.source} був першим на ${stored.leadMs}ms`);
+
+        this.emit('listingConfirmed', {
+          symbol,
+          firstSource: stored.source,
+          confirmedBy: source,
+          leadMs: stored.leadMs
+        });
+      }
+      return;
+    }
+
+    this.seenSymbols.add(symbol);
+    this.detections.set(symbol, { source, detectedAt: now, confirmedBy: null, leadMs: null });
+    this.stats[source]++;
+    this.pruneDetections(now);
+
+    this.emit('newListing', {
+      ...listingData,
+      source
+    });
+  }
+
+  /**
+   * Видалення старих записів, для яких вікно підтвердження минуло
+   */
+  pruneDetections(now) {
+    const { confirmationWindow } = config.monitoring.hybrid;
+
+    for (const [symbol, detection] of this.detections) {
+      if (now - detection.detectedAt > confirmationWindow) {
+        this.detections.delete(symbol);
+      }
+    }
+  }
+
+  /**
+   * Прискорений polling на час недоступності WebSocket
+   */
+  speedUpPolling() {
+    this.polling.setPollingInterval(config.monitoring.hybrid.fastPollingInterval);
+  }
+
+  /**
+   * Повернення звичайного інтервалу polling
+   */
+  restorePolling() {
+    this.polling.setPollingInterval(config.monitoring.pollingInterval);
+  }
+
+  /**
+   * Передача символів, збережених з попередніх запусків
+   */
+  seedKnownSymbols(symbols) {
+    this.websocket.seedKnownSymbols(symbols);
+    this.polling.seedKnownSymbols(symbols);
+  }
+
+  /**
+   * Підключення запису сирих кадрів WebSocket
+   */
+  setRecorder(recorder) {
+    this.websocket.setRecorder(recorder);
+  }
+
+  /**
+   * Підписка на потоки символу відкритої позиції
+   */
+  subscribeToSymbol(symbol) {
+    return this.websocket.subscribeToSymbol(symbol);
+  }
+
+  /**
+   * Відписка від потоків символу
+   */
+  unsubscribeFromSymbol(symbol) {
+    return this.websocket.unsubscribeFromSymbol(symbol);
+  }
+
+  /**
+   * Зупинка моніторингу
+   */
+  async stop() {
+    logger.info('⏹️ Зупинка гібридного моніторингу...');
+
+    await this.websocket.stop();
+    await this.polling.stop();
+    this.restorePolling();
+
+    this.seenSymbols.clear();
+    this.detections.clear();
+    this.isRunning = false;
+
+    logger.info('✅ Гібридний моніторинг зупинено');
+  }
+
+  /**
+   * Отримання статусу
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      websocket: this.websocket.getStatus(),
+      polling: this.polling.getStatus(),
+      firstDetections: {
+        websocket: this.stats.websocket,
+        polling: this.stats.polling
+      },
+      confirmed: this.stats.confirmed,
+      recentDetections: Array.from(this.detections.entries()).map(([symbol, d]) => ({
+        symbol,
+        source: d.source,
+        confirmedBy: d.confirmedBy,
+        leadMs: d.leadMs
+      }))
+    };
+  }
+}
+
+module.exports = { HybridMonitor };
\ No newline at end of file
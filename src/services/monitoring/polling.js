@@ -4,6 +4,16 @@ const EventEmitter = require('events');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 const { BinanceClient } = require('../binance/client');
+const constants = require('../../config/constants');
+const { getSymbolRegistry } = require('../binance/symbol-registry');
+const { getTradingSymbols, isMonitoredSymbol, classifyKnownSymbols, updatePausedSymbols } = require('../../utils/symbols');
+
+// Статуси символів, які очікують початку торгів
+const PENDING_STATUSES = [
+  constants.SYMBOL_STATUS.PRE_TRADING,
+  constants.SYMBOL_STATUS.BREAK,
+  constants.SYMBOL_STATUS.HALT
+];
 
 /**
  * Polling моніторинг для резервного відстеження нових лістингів
@@ -13,10 +23,17 @@ class PollingMonitor extends EventEmitter {
   constructor(binanceClient) {
     super();
     this.binanceClient = binanceClient;
+    this.symbolRegistry = getSymbolRegistry(binanceClient);
     this.knownSymbols = new Set();
+    this.seededSymbols = new Set(); // Символи, збережені в БД з попередніх запусків
+    this.pendingSymbols = new Map(); // Символи в очікуванні торгів: symbol -> status
+    this.pausedSymbols = new Map(); // Відомі символи з тимчасово зупиненими торгами: symbol -> status
     this.pollingInterval = null;
+    this.currentPollingInterval = config.monitoring.pollingInterval;
+    this.exchangeInfoInterval = null;
     this.isRunning = false;
     this.lastCheckTime = 0;
+    this.lastExchangeInfoCheck = 0;
   }
 
   /**
@@ -47,46 +64,62 @@ class PollingMonitor extends EventEmitter {
   async loadInitialSymbols() {
     try {
       const exchangeInfo = await this.binanceClient.getExchangeInfo();
+      this.symbolRegistry.update(exchangeInfo);
       
       // Фільтруємо символи згідно з конфігурацією
-      const symbols = exchangeInfo.symbols
-        .filter(s => {
-          // Фільтруємо за quote asset
-          if (!s.symbol.endsWith(config.trading.quoteAsset)) return false;
-          
-          // Фільтруємо активні пари
-          if (s.status !== 'TRADING') return false;
-          
-          // Виключаємо стейблкоїни якщо потрібно
-          if (config.trading.filters.excludeStablecoins) {
-            const stablecoins = ['USDC', 'BUSD', 'TUSD', 'USDP', 'DAI'];
-            const baseAsset = s.baseAsset;
-            if (stablecoins.includes(baseAsset)) return false;
-          }
-          
-          // Виключаємо певні токени
-          if (config.trading.filters.excludeTokens.includes(s.baseAsset)) {
-            return false;
-          }
-          
-          return true;
-        })
-        .map(s => s.symbol);
+      const symbols = getTradingSymbols(exchangeInfo).map(s => s.symbol);
       
       this.knownSymbols = new Set(symbols);
       logger.info(`📊 Завантажено ${this.knownSymbols.size} торгових пар`);
       
+      // Запам'ятовуємо пари, які ще не торгуються
+      this.checkStatusTransitions(exchangeInfo.symbols);
+      
     } catch (error) {
+      // Без exchangeInfo спираємось на збережений набір, інакше кожна пара виглядатиме новою
+      if (this.seededSymbols.size > 0) {
+        logger.warn(`⚠️ Не вдалося завантажити символи, використовуємо ${this.seededSymbols.size} збережених:`, error.message);
+        this.knownSymbols = new Set(this.seededSymbols);
+        return;
+      }
+      
       logger.error('❌ Помилка завантаження символів:', error);
       throw error;
     }
   }
 
+  /**
+   * Передача символів, збережених з попередніх запусків
+   */
+  seedKnownSymbols(symbols) {
+    this.seededSymbols = new Set(symbols);
+  }
+
   /**
    * Запуск періодичної перевірки
    */
   startPolling() {
-    const pollingInterval = config.monitoring.pollingInterval;
+    this.schedulePolling(this.currentPollingInterval);
+    
+    logger.info(`⏱️ Polling запущено з інтервалом ${this.currentPollingInterval}ms`);
+    
+    // Періодична перевірка exchangeInfo (делістинг та зміна статусів)
+    const exchangeInfoInterval = config.monitoring.exchangeInfoInterval;
+    
+    this.exchangeInfoInterval = setInterval(async () => {
+      await this.checkDelisting();
+    }, exchangeInfoInterval);
+    
+    logger.info(`⏱️ Перевірка статусів символів кожні ${exchangeInfoInterval}ms`);
+  }
+
+  /**
+   * Планування перевірки тікерів з заданим інтервалом
+   */
+  schedulePolling(interval) {
+    if (this.pollingInterval) {
+      clearInterval(this.pollingInterval);
+    }
     
     this.pollingInterval = setInterval(async () => {
       try {
@@ -95,9 +128,22 @@ class PollingMonitor extends EventEmitter {
         logger.error('❌ Помилка перевірки нових лістингів:', error);
         this.emit('error', error);
       }
-    }, pollingInterval);
+    }, interval);
+  }
+
+  /**
+   * Зміна інтервалу polling під час роботи
+   */
+  setPollingInterval(interval) {
+    if (interval === this.currentPollingInterval) return;
+    
+    this.currentPollingInterval = interval;
+    
+    if (this.pollingInterval) {
+      this.schedulePolling(interval);
+    }
     
-    logger.info(`⏱️ Polling запущено з інтервалом ${pollingInterval}ms`);
+    logger.info(`⏱️ Інтервал polling змінено на ${interval}ms`);
   }
 
   /**
@@ -109,6 +155,7 @@ class PollingMonitor extends EventEmitter {
       
       // Отримуємо поточні ціни всіх символів
       const tickers = await this.binanceClient.get24hrStats();
+      const receivedAt = Date.now();
       
       // Список для нових символів
       const newSymbols = [];
@@ -117,33 +164,47 @@ class PollingMonitor extends EventEmitter {
       for (const ticker of tickers) {
         const symbol = ticker.symbol;
         
+        // Перевіряємо чи це новий символ
+        if (this.knownSymbols.has(symbol)) continue;
+        
+        // Розділення на base/quote беремо з exchangeInfo
+        const symbolInfo = await this.symbolRegistry.resolve(symbol);
+        
         // Фільтруємо за нашими критеріями
-        if (!symbol.endsWith(config.trading.quoteAsset)) continue;
+        if (!symbolInfo || !isMonitoredSymbol(symbolInfo)) continue;
         
-        // Перевіряємо чи це новий символ
-        if (!this.knownSymbols.has(symbol)) {
-          logger.info(`🎉 Знайдено новий лістинг через polling: ${symbol}`);
-          
-          // Додаємо до списку нових
-          newSymbols.push(symbol);
-          
-          // Додаємо до відомих
-          this.knownSymbols.add(symbol);
-          
-          // Створюємо об'єкт лістингу
-          const listingData = {
-            symbol: symbol,
-            price: parseFloat(ticker.lastPrice),
-            volume: parseFloat(ticker.volume),
-            quoteVolume: parseFloat(ticker.quoteVolume),
-            priceChange: parseFloat(ticker.priceChange),
-            priceChangePercent: parseFloat(ticker.priceChangePercent),
-            timestamp: Date.now()
-          };
-          
-          // Емітуємо подію
-          this.emit('newListing', listingData);
-        }
+        // Пари не в TRADING обробляє відстеження статусів
+        if (symbolInfo.status !== constants.SYMBOL_STATUS.TRADING) continue;
+        
+        logger.info(`🎉 Знайдено новий лістинг через polling: ${symbol}`);
+        
+        // Додаємо до списку нових
+        newSymbols.push(symbol);
+        
+        // Додаємо до відомих
+        this.knownSymbols.add(symbol);
+        
+        // Створюємо об'єкт лістингу
+        const listingData = {
+          symbol: symbol,
+          baseAsset: symbolInfo.baseAsset,
+          quoteAsset: symbolInfo.quoteAsset,
+          price: parseFloat(ticker.lastPrice),
+          volume: parseFloat(ticker.volume),
+          quoteVolume: parseFloat(ticker.quoteVolume),
+          priceChange: parseFloat(ticker.priceChange),
+          priceChangePercent: parseFloat(ticker.priceChangePercent),
+          timestamp: Date.now(),
+          source: 'polling',
+          // REST відповідь не містить часу події на біржі
+          latency: {
+            eventTime: null,
+            receivedAt
+          }
+        };
+        
+        // Емітуємо подію
+        this.emit('newListing', listingData);
       }
       
       // Якщо знайдено нові символи - логуємо
@@ -158,29 +219,31 @@ class PollingMonitor extends EventEmitter {
   }
 
   /**
-   * Перевірка делістингу
+   * Перевірка делістингу та тимчасових пауз торгів
+   * Делістинг - пара зникла з exchangeInfo; HALT/BREAK лише призупиняють символ, він лишається відомим
    */
   async checkDelisting() {
     try {
       // Отримуємо всі символи
       const exchangeInfo = await this.binanceClient.getExchangeInfo();
+      this.symbolRegistry.update(exchangeInfo);
+      this.lastExchangeInfoCheck = Date.now();
       
-      // Перетворюємо в множину для швидкого пошуку
-      const currentSymbols = new Set(
-        exchangeInfo.symbols
-          .filter(s => s.status === 'TRADING' && s.symbol.endsWith(config.trading.quoteAsset))
-          .map(s => s.symbol)
-      );
+      // Перевіряємо пари, що очікують початку торгів
+      this.checkStatusTransitions(exchangeInfo.symbols);
       
-      // Перевіряємо відомі символи
-      const delisted = [...this.knownSymbols].filter(s => !currentSymbols.has(s));
+      const { delisted, ...statuses } = classifyKnownSymbols(exchangeInfo, this.knownSymbols);
+      this.emitPauseChanges(updatePausedSymbols(this.pausedSymbols, statuses));
       
       // Якщо знайдено делістинги - логуємо та емітуємо подію
       if (delisted.length > 0) {
         logger.warn(`⚠️ Делістинг символів: ${delisted.join(', ')}`);
         
         // Видаляємо з відомих
-        delisted.forEach(s => this.knownSymbols.delete(s));
+        delisted.forEach(s => {
+          this.knownSymbols.delete(s);
+          this.pausedSymbols.delete(s);
+        });
         
         // Емітуємо подію
         this.emit('delisting', { symbols: delisted });
@@ -191,6 +254,61 @@ class PollingMonitor extends EventEmitter {
     }
   }
 
+  /**
+   * Події зупинки та відновлення торгів відомих символів
+   */
+  emitPauseChanges({ paused, resumed }) {
+    if (paused.length > 0) {
+      logger.warn(`⏸️ Торги призупинено: ${paused.map(p => `${p.symbol} (${p.status})`).join(', ')}`);
+      this.emit('symbolPaused', { symbols: paused });
+    }
+    
+    if (resumed.length > 0) {
+      logger.info(`▶️ Торги відновлено: ${resumed.join(', ')}`);
+      this.emit('symbolResumed', { symbols: resumed });
+    }
+  }
+
+  /**
+   * Відстеження символів у статусах PRE_TRADING / BREAK / HALT
+   * Емітує statusTransition, коли такий символ переходить у TRADING, і додає його до відомих
+   */
+  checkStatusTransitions(symbolsInfo) {
+    for (const s of symbolsInfo) {
+      if (!isMonitoredSymbol(s)) continue;
+      
+      const previousStatus = this.pendingSymbols.get(s.symbol);
+      
+      if (PENDING_STATUSES.includes(s.status)) {
+        // Пари, що вже торгувались, обробляє перевірка делістингу
+        if (this.knownSymbols.has(s.symbol) || this.seededSymbols.has(s.symbol)) continue;
+        
+        if (previousStatus !== s.status) {
+          logger.info(`⏳ ${s.symbol} у статусі ${s.status}${previousStatus ? ` (був ${previousStatus})` : ''}`);
+          this.pendingSymbols.set(s.symbol, s.status);
+        }
+        continue;
+      }
+      
+      if (s.status === constants.SYMBOL_STATUS.TRADING && previousStatus) {
+        this.pendingSymbols.delete(s.symbol);
+        // Інакше наступна перевірка тікерів видасть той самий символ ще й як newListing
+        this.knownSymbols.add(s.symbol);
+        
+        logger.info(`🚦 ${s.symbol}: ${previousStatus} → ${s.status}`);
+        
+        this.emit('statusTransition', {
+          symbol: s.symbol,
+          baseAsset: s.baseAsset,
+          quoteAsset: s.quoteAsset,
+          from: previousStatus,
+          to: s.status,
+          timestamp: Date.now()
+        });
+      }
+    }
+  }
+
   /**
    * Оновлення списку символів
    */
@@ -214,8 +332,15 @@ class PollingMonitor extends EventEmitter {
       this.pollingInterval = null;
     }
     
+    if (this.exchangeInfoInterval) {
+      clearInterval(this.exchangeInfoInterval);
+      this.exchangeInfoInterval = null;
+    }
+    
     this.isRunning = false;
     this.knownSymbols.clear();
+    this.pendingSymbols.clear();
+    this.pausedSymbols.clear();
     
     logger.info('✅ Polling моніторинг зупинено');
   }
@@ -227,8 +352,10 @@ class PollingMonitor extends EventEmitter {
     return {
       isRunning: this.isRunning,
       knownSymbols: this.knownSymbols.size,
+      pendingSymbols: Object.fromEntries(this.pendingSymbols),
       lastCheckTime: this.lastCheckTime,
-      pollingInterval: config.monitoring.pollingInterval,
+      lastExchangeInfoCheck: this.lastExchangeInfoCheck,
+      pollingInterval: this.currentPollingInterval,
       uptime: this.lastCheckTime ? Date.now() - this.lastCheckTime : 0
     };
   }
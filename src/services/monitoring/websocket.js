@@ -4,6 +4,8 @@ const config = require('../../config');
 const logger = require('../../utils/logger');
 const { BinanceClient } = require('../binance/client');
 const constants = require('../../config/constants');
+const { getSymbolRegistry } = require('../binance/symbol-registry');
+const { getTradingSymbols, isMonitoredSymbol, classifyKnownSymbols, updatePausedSymbols } = require('../../utils/symbols');
 
 // Мапінг станів WebSocket
 const READY_STATES = {
@@ -26,8 +28,16 @@ class WebSocketMonitor extends EventEmitter {
     this.heartbeatInterval = null;
     this.lastHeartbeat = null;
     this.knownSymbols = new Set();
-    this.subscriptions = new Set();
+    this.seededSymbols = new Set(); // Символи, збережені в БД з попередніх запусків
+    this.subscriptions = new Set(); // Символи відкритих позицій з потоками @trade та @bookTicker
     this.binanceClient = binanceClient;
+    this.symbolRegistry = getSymbolRegistry(binanceClient);
+    this.resolvingSymbols = new Set();
+    this.lastSeen = new Map(); // symbol -> час останньої появи в !miniTicker@arr
+    this.lastDelistingCheck = 0;
+    this.isCheckingDelisting = false;
+    this.pausedSymbols = new Map(); // Відомі символи з тимчасово зупиненими торгами: symbol -> status
+    this.recorder = null; // MarketRecorder для запису сирих кадрів
   }
 
   /**
@@ -52,28 +62,40 @@ class WebSocketMonitor extends EventEmitter {
   async loadInitialSymbols() {
     try {
       const exchangeInfo = await this.binanceClient.getExchangeInfo();
-      const symbols = exchangeInfo.symbols
-        .filter(s => {
-          if (!s.symbol.endsWith(config.trading.quoteAsset)) return false;
-          if (s.status !== 'TRADING') return false;
-          if (config.trading.filters.excludeStablecoins) {
-            if (constants.STABLECOINS.includes(s.baseAsset)) return false;
-          }
-          if (config.trading.filters.excludeTokens.includes(s.baseAsset)) {
-            return false;
-          }
-          return true;
-        })
-        .map(s => s.symbol);
+      this.symbolRegistry.update(exchangeInfo);
+      const symbols = getTradingSymbols(exchangeInfo).map(s => s.symbol);
       
       this.knownSymbols = new Set(symbols);
+      this.markSeen(symbols, Date.now());
       logger.info(`📊 Завантажено ${this.knownSymbols.size} торгових пар`);
     } catch (error) {
+      // Без exchangeInfo спираємось на збережений набір, інакше кожна пара виглядатиме новою
+      if (this.seededSymbols.size > 0) {
+        logger.warn(`⚠️ Не вдалося завантажити символи, використовуємо ${this.seededSymbols.size} збережених:`, error.message);
+        this.knownSymbols = new Set(this.seededSymbols);
+        this.markSeen(this.seededSymbols, Date.now());
+        return;
+      }
+      
       logger.error('❌ Помилка завантаження символів:', error);
       throw error;
     }
   }
 
+  /**
+   * Передача символів, збережених з попередніх запусків
+   */
+  seedKnownSymbols(symbols) {
+    this.seededSymbols = new Set(symbols);
+  }
+
+  /**
+   * Підключення запису сирих кадрів для відтворення
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+
   /**
    * Налаштування потоків залежно від середовища
    */
@@ -131,11 +153,19 @@ class WebSocketMonitor extends EventEmitter {
             });
           }
 
+          // Після перепідключення відновлюємо потоки відкритих позицій
+          if (this.subscriptions.size > 0) {
+            this.sendStreamRequest('SUBSCRIBE', [...this.subscriptions]);
+          }
+
           this.emit('connected');
           resolve();
         });
         
         this.ws.on('message', (data) => {
+          if (this.recorder) {
+            this.recorder.recordFrame(data);
+          }
           this.handleMessage(data);
         });
         
@@ -178,6 +208,9 @@ class WebSocketMonitor extends EventEmitter {
    * Обробка вхідних повідомлень
    */
   handleMessage(data) {
+    // Час отримання фіксуємо до розбору повідомлення
+    const receivedAt = Date.now();
+    
     try {
       const message = JSON.parse(data);
       logger.debug('📨 Отримано повідомлення:', message);
@@ -191,16 +224,21 @@ class WebSocketMonitor extends EventEmitter {
         return;
       }
 
+      // Потоки угод та книги ордерів для відкритих позицій
+      if (this.handleSymbolStream(message.data || message)) {
+        return;
+      }
+
       // Обробка даних залежно від середовища
       if (config.binance.useTestnet) {
         // Testnet: індивідуальні тікеры
         if (message.stream && message.data) {
-          this.handleTestnetTicker(message.data);
+          this.handleTestnetTicker(message.data, receivedAt);
         }
       } else {
         // Mainnet: масиви тікерів
         if (message.stream === constants.WS_STREAMS.MINI_TICKER_ALL) {
-          this.handleMiniTickerArray(message.data);
+          this.handleMiniTickerArray(message.data, receivedAt);
         } else if (message.stream === constants.WS_STREAMS.TICKER_ALL) {
           this.handleTickerArray(message.data);
         }
@@ -211,59 +249,180 @@ class WebSocketMonitor extends EventEmitter {
   }
 
   /**
-   * Обробка індивідуального тікера (testnet)
+   * Обробка повідомлень @trade та @bookTicker
+   * Повертає true, якщо повідомлення належить потоку позиції
    */
-  handleTestnetTicker(data) {
-    const symbol = data.s;
-    if (!symbol.endsWith(config.trading.quoteAsset)) return;
-
-    if (!this.knownSymbols.has(symbol)) {
-      logger.info(`🎉 Знайдено новий лістинг: ${symbol}`);
-      this.emit('newListing', {
-        symbol: symbol,
-        price: parseFloat(data.c),
-        volume: parseFloat(data.v),
-        quoteVolume: parseFloat(data.q),
-        priceChange: parseFloat(data.p),
-        priceChangePercent: parseFloat(data.P),
-        timestamp: Date.now()
+  handleSymbolStream(data) {
+    if (!data || Array.isArray(data)) return false;
+
+    if (data.e === 'trade') {
+      this.emit('trade', {
+        symbol: data.s,
+        price: parseFloat(data.p),
+        quantity: parseFloat(data.q),
+        tradeTime: data.T
+      });
+      return true;
+    }
+
+    // bookTicker не має поля e, лише updateId та найкращі bid/ask
+    if (data.e === undefined && data.u !== undefined && data.b !== undefined && data.a !== undefined) {
+      this.emit('bookTicker', {
+        symbol: data.s,
+        bidPrice: parseFloat(data.b),
+        bidQty: parseFloat(data.B),
+        askPrice: parseFloat(data.a),
+        askQty: parseFloat(data.A)
       });
-      this.knownSymbols.add(symbol);
+      return true;
     }
+
+    return false;
+  }
+
+  /**
+   * Обробка індивідуального тікера (testnet)
+   */
+  handleTestnetTicker(data, receivedAt) {
+    this.checkTickerSymbol(data.s, data, receivedAt);
+  }
+
+  /**
+   * Перевірка символу з тікера на новий лістинг
+   */
+  checkTickerSymbol(symbol, ticker, receivedAt = Date.now()) {
+    if (this.knownSymbols.has(symbol)) return;
+
+    const symbolInfo = this.symbolRegistry.get(symbol);
+    if (symbolInfo) {
+      if (isMonitoredSymbol(symbolInfo)) {
+        this.emitNewListing(symbolInfo, ticker, receivedAt);
+      }
+      return;
+    }
+
+    // Пари немає в кеші exchangeInfo - дозапитуємо, не блокуючи обробку потоку
+    if (this.resolvingSymbols.has(symbol)) return;
+    this.resolvingSymbols.add(symbol);
+
+    this.symbolRegistry.resolve(symbol)
+      .then(resolved => {
+        if (resolved && isMonitoredSymbol(resolved) && !this.knownSymbols.has(symbol)) {
+          this.emitNewListing(resolved, ticker, receivedAt);
+        }
+      })
+      .finally(() => this.resolvingSymbols.delete(symbol));
+  }
+
+  /**
+   * Емітування нового лістингу
+   */
+  emitNewListing(symbolInfo, ticker, receivedAt) {
+    const { symbol, baseAsset, quoteAsset } = symbolInfo;
+
+    logger.info(`🎉 Знайдено новий лістинг: ${symbol}`);
+    this.knownSymbols.add(symbol);
+    this.lastSeen.set(symbol, receivedAt);
+
+    this.emit('newListing', {
+      symbol,
+      baseAsset,
+      quoteAsset,
+      price: parseFloat(ticker.c),
+      volume: parseFloat(ticker.v),
+      quoteVolume: parseFloat(ticker.q),
+      priceChange: parseFloat(ticker.p),
+      priceChangePercent: parseFloat(ticker.P),
+      timestamp: Date.now(),
+      source: 'websocket',
+      // E - час події на біржі
+      latency: {
+        eventTime: ticker.E || null,
+        receivedAt
+      }
+    });
   }
 
   /**
    * Обробка масиву міні тікерів (mainnet)
    */
-  handleMiniTickerArray(tickers) {
-    const currentSymbols = new Set();
-    
+  handleMiniTickerArray(tickers, receivedAt) {
     for (const ticker of tickers) {
-      const symbol = ticker.s;
-      if (!symbol.endsWith(config.trading.quoteAsset)) continue;
+      this.lastSeen.set(ticker.s, receivedAt);
+      this.checkTickerSymbol(ticker.s, ticker, receivedAt);
+    }
+    
+    this.checkStaleSymbols(receivedAt);
+  }
+
+  /**
+   * Фіксація часу появи символів у потоці
+   */
+  markSeen(symbols, timestamp) {
+    for (const symbol of symbols) {
+      this.lastSeen.set(symbol, timestamp);
+    }
+  }
+
+  /**
+   * Перевірка делістингу символів, що давно не з'являлись у потоці
+   * !miniTicker@arr містить лише пари зі змінами за останню секунду,
+   * тому відсутність символу підтверджуємо через exchangeInfo
+   * Делістинг - пара зникла з exchangeInfo; HALT/BREAK лише призупиняють символ до відновлення торгів
+   */
+  async checkStaleSymbols(now = Date.now()) {
+    if (this.isCheckingDelisting || now - this.lastDelistingCheck < config.monitoring.exchangeInfoInterval) {
+      return;
+    }
+    this.lastDelistingCheck = now;
+    
+    const { staleTimeout } = config.monitoring.delisting;
+    const stale = [...this.knownSymbols].filter(s => now - (this.lastSeen.get(s) || 0) > staleTimeout);
+    
+    // Призупинені пари перевіряємо щоразу, щоб помітити відновлення торгів
+    const candidates = [...new Set([...stale, ...this.pausedSymbols.keys()])];
+    if (candidates.length === 0) return;
+    
+    this.isCheckingDelisting = true;
+    
+    try {
+      const exchangeInfo = await this.binanceClient.getExchangeInfo();
+      this.symbolRegistry.update(exchangeInfo);
       
-      currentSymbols.add(symbol);
+      const { delisted, ...statuses } = classifyKnownSymbols(exchangeInfo, candidates);
       
-      if (!this.knownSymbols.has(symbol)) {
-        logger.info(`🎉 Знайдено новий лістинг: ${symbol}`);
-        this.emit('newListing', {
-          symbol: symbol,
-          price: parseFloat(ticker.c),
-          volume: parseFloat(ticker.v),
-          quoteVolume: parseFloat(ticker.q),
-          priceChange: parseFloat(ticker.p),
-          priceChangePercent: parseFloat(ticker.P),
-          timestamp: Date.now()
+      // Неліквідні та призупинені пари лишаються відомими - перевіримо їх знову після таймауту
+      [...statuses.trading, ...statuses.paused.map(p => p.symbol)].forEach(s => this.lastSeen.set(s, now));
+      this.emitPauseChanges(updatePausedSymbols(this.pausedSymbols, statuses));
+      
+      if (delisted.length > 0) {
+        logger.warn(`⚠️ Делістинг символів: ${delisted.join(', ')}`);
+        delisted.forEach(s => {
+          this.knownSymbols.delete(s);
+          this.lastSeen.delete(s);
+          this.pausedSymbols.delete(s);
         });
-        this.knownSymbols.add(symbol);
+        this.emit('delisting', { symbols: delisted });
       }
+    } catch (error) {
+      logger.error('❌ Помилка перевірки делістингу:', error);
+    } finally {
+      this.isCheckingDelisting = false;
+    }
+  }
+
+  /**
+   * Події зупинки та відновлення торгів відомих символів
+   */
+  emitPauseChanges({ paused, resumed }) {
+    if (paused.length > 0) {
+      logger.warn(`⏸️ Торги призупинено: ${paused.map(p => `${p.symbol} (${p.status})`).join(', ')}`);
+      this.emit('symbolPaused', { symbols: paused });
     }
     
-    const delisted = [...this.knownSymbols].filter(s => !currentSymbols.has(s));
-    if (delisted.length > 0) {
-      logger.warn(`⚠️ Делістинг символів: ${delisted.join(', ')}`);
-      delisted.forEach(s => this.knownSymbols.delete(s));
-      this.emit('delisting', { symbols: delisted });
+    if (resumed.length > 0) {
+      logger.info(`▶️ Торги відновлено: ${resumed.join(', ')}`);
+      this.emit('symbolResumed', { symbols: resumed });
     }
   }
 
@@ -272,7 +431,8 @@ class WebSocketMonitor extends EventEmitter {
    */
   handleTickerArray(tickers) {
     for (const ticker of tickers) {
-      if (!ticker.s.endsWith(config.trading.quoteAsset)) continue;
+      const symbolInfo = this.symbolRegistry.get(ticker.s);
+      if (!symbolInfo || !isMonitoredSymbol(symbolInfo)) continue;
       
       const volume24h = parseFloat(ticker.q);
       if (volume24h >= config.trading.filters.minVolume24h) {
@@ -334,30 +494,44 @@ class WebSocketMonitor extends EventEmitter {
     }, delay);
   }
 
+  /**
+   * Потоки символу для відстеження позиції
+   */
+  getSymbolStreams(symbol) {
+    const lowerSymbol = symbol.toLowerCase();
+
+    return [
+      `${lowerSymbol}${constants.WS_STREAMS.TRADE}`,
+      `${lowerSymbol}${constants.WS_STREAMS.BOOK_TICKER}`
+    ];
+  }
+
+  /**
+   * Надсилання SUBSCRIBE/UNSUBSCRIBE для символів
+   */
+  sendStreamRequest(method, symbols) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    const message = {
+      method,
+      params: symbols.flatMap(symbol => this.getSymbolStreams(symbol)),
+      id: Date.now()
+    };
+
+    this.ws.send(JSON.stringify(message));
+  }
+
   /**
    * Підписка на конкретний символ
+   * Без активного з'єднання підписка буде надіслана після підключення
    */
   async subscribeToSymbol(symbol) {
     if (this.subscriptions.has(symbol)) return;
     
     try {
-      const streams = [
-        `${symbol.toLowerCase()}@trade`,
-        `${symbol.toLowerCase()}@depth20`,
-        `${symbol.toLowerCase()}@kline_1m`
-      ];
-      
-      const subscribeMessage = {
-        method: 'SUBSCRIBE',
-        params: streams,
-        id: Date.now()
-      };
-      
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify(subscribeMessage));
-        this.subscriptions.add(symbol);
-        logger.debug(`📡 Підписано на ${symbol}`);
-      }
+      this.subscriptions.add(symbol);
+      this.sendStreamRequest('SUBSCRIBE', [symbol]);
+      logger.debug(`📡 Підписано на ${symbol}`);
     } catch (error) {
       logger.error(`❌ Помилка підписки на ${symbol}:`, error);
     }
@@ -370,23 +544,9 @@ class WebSocketMonitor extends EventEmitter {
     if (!this.subscriptions.has(symbol)) return;
     
     try {
-      const streams = [
-        `${symbol.toLowerCase()}@trade`,
-        `${symbol.toLowerCase()}@depth20`,
-        `${symbol.toLowerCase()}@kline_1m`
-      ];
-      
-      const unsubscribeMessage = {
-        method: 'UNSUBSCRIBE',
-        params: streams,
-        id: Date.now()
-      };
-      
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        this.ws.send(JSON.stringify(unsubscribeMessage));
-        this.subscriptions.delete(symbol);
-        logger.debug(`📡 Відписано від ${symbol}`);
-      }
+      this.subscriptions.delete(symbol);
+      this.sendStreamRequest('UNSUBSCRIBE', [symbol]);
+      logger.debug(`📡 Відписано від ${symbol}`);
     } catch (error) {
       logger.error(`❌ Помилка відписки від ${symbol}:`, error);
     }
@@ -413,7 +573,9 @@ class WebSocketMonitor extends EventEmitter {
     
     this.isConnected = false;
     this.knownSymbols.clear();
-    this.subscriptions.clear();
+    this.lastSeen.clear();
+    this.pausedSymbols.clear();
+    // Підписки позицій зберігаємо - вони відновляться при наступному запуску
     
     logger.info('✅ WebSocket моніторинг зупинено');
   }
@@ -120,6 +120,25 @@ class NotificationService {
           message = this.formatNewListingMessage(data);
           break;
           
+        case 'upcoming_listing':
+          if (!config.notifications.telegram.notifyOnNewListing) return;
+          
+          title = '📰 Анонсовано лістинг';
+          message = this.formatUpcomingListingMessage(data);
+          break;
+          
+        case 'missed_listings':
+          notificationType = constants.NOTIFICATION_TYPES.WARNING;
+          title = '🕳️ Пропущені лістинги';
+          message = this.formatMissedListingsMessage(data);
+          break;
+          
+        case 'delisting':
+          notificationType = constants.NOTIFICATION_TYPES.WARNING;
+          title = '🚫 Делістинг';
+          message = this.formatDelistingMessage(data);
+          break;
+          
         case 'buy_executed':
           if (!config.notifications.telegram.notifyOnBuy) return;
           
@@ -136,6 +155,20 @@ class NotificationService {
           message = this.formatSellMessage(data);
           break;
           
+        case 'partial_exit':
+          if (!config.notifications.telegram.notifyOnSell) return;
+          
+          title = '✂️ Частковий вихід';
+          message = this.formatPartialExitMessage(data);
+          break;
+          
+        case 'trailing_stop_updated':
+          if (!config.notifications.telegram.notifyOnSell) return;
+          
+          title = '🔼 Trailing stop';
+          message = this.formatTrailingStopMessage(data);
+          break;
+          
         case 'error':
           if (!config.notifications.telegram.notifyOnError) return;
           
@@ -288,6 +321,45 @@ class NotificationService {
 Час: ${new Date(data.timestamp).toLocaleString()}`;
   }
 
+  /**
+   * Форматування повідомлення про анонсований лістинг
+   */
+  formatUpcomingListingMessage(data) {
+    return `Символ: *${data.symbol}*
+Відкриття торгів: ${data.openTime ? new Date(data.openTime).toLocaleString() : 'Н/Д'}
+Анонс: ${data.title}`;
+  }
+
+  /**
+   * Форматування повідомлення про лістинги, пропущені під час простою
+   */
+  formatMissedListingsMessage(data) {
+    return `Середовище: ${data.environment}
+Символи: *${data.symbols.join(', ')}*
+Політика: ${data.policy === 'trade' ? 'купівля' : 'лише сповіщення'}`;
+  }
+
+  /**
+   * Форматування повідомлення про делістинг позиції
+   */
+  formatDelistingMessage(data) {
+    const { symbol, environment, result } = data;
+    
+    if (!result.success) {
+      return `Символ: *${symbol}*
+Середовище: ${environment}
+Не вдалося продати позицію: ${result.error}
+Потрібне ручне втручання`;
+    }
+    
+    const { position } = result;
+    
+    return `Символ: *${symbol}*
+Середовище: ${environment}
+Позицію продано за ${position.exitPrice}
+P&L: ${position.pnl.toFixed(2)} (${position.pnlPercent.toFixed(2)}%)`;
+  }
+
   /**
    * Форматування повідомлення про покупку
    */
@@ -317,6 +389,32 @@ P&L: ${position.pnl ? position.pnl.toFixed(2) : 'Н/Д'} USDT (${position.pnlPer
 Час: ${new Date(position.exitTime).toLocaleString()}`;
   }
 
+  /**
+   * Форматування повідомлення про частковий вихід (рівень TP драбини або часткове виконання)
+   */
+  formatPartialExitMessage(data) {
+    const { position } = data;
+    
+    return `Символ: *${position.symbol}*
+Середовище: ${position.environment}
+Продано: ${position.filledQty}${position.level ? ` (рівень ${position.level})` : ''}
+Середня ціна виходу: ${position.fills?.exit?.avgPrice ?? 'Н/Д'}
+Залишок: ${position.quantity}
+Причина: ${position.closeReason}`;
+  }
+
+  /**
+   * Форматування повідомлення про перенесення trailing stop
+   */
+  formatTrailingStopMessage(data) {
+    const { position } = data;
+    
+    return `Символ: *${position.symbol}*
+Середовище: ${position.environment}
+Stop loss: ${position.previousStopPrice} → ${position.stopLossPrice}
+Максимум ціни: ${position.trailing?.highWaterMark}`;
+  }
+
   /**
    * Форматування повідомлення про помилку
    */
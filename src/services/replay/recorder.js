@@ -0,0 +1,152 @@
+// src/services/replay/recorder.js
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// REST методи моніторів, відповіді яких записуються
+const RECORDED_METHODS = ['getExchangeInfo', 'get24hrStats', 'getCurrentPrice'];
+
+/**
+ * Скорочення відповіді до полів, які використовують монітори
+ * Повний exchangeInfo важить кілька мегабайт і запитується кожні кілька секунд
+ */
+function trimResponse(method, response) {
+  if (method === 'getExchangeInfo' && response && Array.isArray(response.symbols)) {
+    return {
+      serverTime: response.serverTime,
+      symbols: response.symbols.map(({ symbol, status, baseAsset, quoteAsset }) => ({
+        symbol,
+        status,
+        baseAsset,
+        quoteAsset
+      }))
+    };
+  }
+
+  if (method === 'get24hrStats' && Array.isArray(response)) {
+    return response.map(({ symbol, lastPrice, volume, quoteVolume, priceChange, priceChangePercent }) => ({
+      symbol,
+      lastPrice,
+      volume,
+      quoteVolume,
+      priceChange,
+      priceChangePercent
+    }));
+  }
+
+  return response;
+}
+
+/**
+ * Запис сирих кадрів WebSocket та REST відповідей моніторів у NDJSON
+ * Кожен рядок: { t, type: 'meta' | 'ws' | 'rest', ... }
+ */
+class MarketRecorder {
+  constructor(environment, file = null) {
+    this.environment = environment;
+    this.file = file || path.join(
+      config.monitoring.recording.dir,
+      `${environment}-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`
+    );
+    this.stream = null;
+    this.entries = 0;
+  }
+
+  /**
+   * Відкриття файлу запису
+   */
+  start() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+
+    this.stream.on('error', (error) => {
+      logger.error('❌ Помилка запису ринкових даних:', error);
+      this.stream = null;
+    });
+
+    this.write({
+      type: 'meta',
+      environment: this.environment,
+      useTestnet: config.binance.useTestnet
+    });
+
+    logger.info(`🎙️ Запис ринкових даних у ${this.file}`);
+  }
+
+  /**
+   * Запис рядка
+   */
+  write(entry) {
+    if (!this.stream) return;
+
+    this.stream.write(`${JSON.stringify({ t: Date.now(), ...entry })}\n`);
+    this.entries++;
+  }
+
+  /**
+   * Запис кадру WebSocket без змін
+   */
+  recordFrame(data) {
+    this.write({ type: 'ws', data: data.toString() });
+  }
+
+  /**
+   * Запис відповіді REST запиту
+   */
+  recordResponse(method, args, response) {
+    this.write({ type: 'rest', method, args, response: trimResponse(method, response) });
+  }
+
+  /**
+   * Клієнт, що записує відповіді REST методів моніторів
+   */
+  wrapClient(client) {
+    return new Proxy(client, {
+      get: (target, property) => {
+        const value = target[property];
+
+        if (!RECORDED_METHODS.includes(property) || typeof value !== 'function') {
+          return typeof value === 'function' ? value.bind(target) : value;
+        }
+
+        return async (...args) => {
+          const response = await value.apply(target, args);
+          this.recordResponse(property, args, response);
+          return response;
+        };
+      }
+    });
+  }
+
+  /**
+   * Закриття файлу запису
+   */
+  async stop() {
+    if (!this.stream) return;
+
+    const stream = this.stream;
+    this.stream = null;
+
+    await new Promise(resolve => stream.end(resolve));
+    logger.info(`🎙️ Запис завершено: ${this.entries} записів у ${this.file}`);
+  }
+
+  /**
+   * Отримання статусу
+   */
+  getStatus() {
+    return {
+      isRecording: Boolean(this.stream),
+      file: this.file,
+      entries: this.entries
+    };
+  }
+}
+
+module.exports = {
+  MarketRecorder,
+  RECORDED_METHODS,
+  trimResponse
+};
\ No newline at end of file
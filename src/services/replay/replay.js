@@ -0,0 +1,242 @@
+// src/services/replay/replay.js
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const logger = require('../../utils/logger');
+
+/**
+ * Читання NDJSON запису
+ */
+async function readRecording(file) {
+  const content = await fs.readFile(file, 'utf8');
+
+  return content
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Некоректний рядок ${index + 1} у ${file}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Клієнт Binance, що відповідає записаними REST відповідями
+ * Повертає останню відповідь, записану не пізніше поточного часу відтворення
+ */
+class ReplayClient {
+  constructor(entries) {
+    this.responses = new Map(); // method|args -> [{ t, response }]
+    this.currentTime = 0;
+    this.environment = 'replay';
+
+    for (const entry of entries) {
+      if (entry.type !== 'rest') continue;
+
+      const key = this.getKey(entry.method, entry.args);
+      if (!this.responses.has(key)) {
+        this.responses.set(key, []);
+      }
+      this.responses.get(key).push({ t: entry.t, response: entry.response });
+    }
+  }
+
+  /**
+   * Ключ запиту за методом та аргументами
+   */
+  getKey(method, args = []) {
+    const definedArgs = args.filter(arg => arg !== undefined && arg !== null);
+    return `${method}|${JSON.stringify(definedArgs)}`;
+  }
+
+  /**
+   * Встановлення часу відтворення
+   */
+  setTime(timestamp) {
+    this.currentTime = timestamp;
+  }
+
+  /**
+   * Остання записана відповідь на момент відтворення
+   */
+  findResponse(method, args) {
+    const records = this.responses.get(this.getKey(method, args)) || [];
+    let found = null;
+
+    for (const record of records) {
+      if (record.t > this.currentTime) break;
+      found = record;
+    }
+
+    return found ? found.response : undefined;
+  }
+
+  /**
+   * Відповідь або помилка, якщо запиту немає в записі
+   */
+  respond(method, args) {
+    const response = this.findResponse(method, args);
+
+    if (response === undefined) {
+      throw new Error(`Немає запису ${method}(${args.filter(Boolean).join(', ')}) на момент відтворення`);
+    }
+
+    return response;
+  }
+
+  async getExchangeInfo(symbol) {
+    const exact = this.findResponse('getExchangeInfo', [symbol]);
+    if (exact !== undefined || !symbol) {
+      return exact !== undefined ? exact : this.respond('getExchangeInfo', []);
+    }
+
+    // Запиту по символу не було - вибираємо символ з повного exchangeInfo
+    const full = this.respond('getExchangeInfo', []);
+    const symbols = full.symbols.filter(s => s.symbol === symbol);
+
+    if (symbols.length === 0) {
+      throw new Error(`Invalid symbol ${symbol}`);
+    }
+
+    return { ...full, symbols };
+  }
+
+  async get24hrStats(symbol) {
+    return this.respond('get24hrStats', [symbol]);
+  }
+
+  async getCurrentPrice(symbol) {
+    return this.respond('getCurrentPrice', [symbol]);
+  }
+}
+
+/**
+ * Відтворення запису через монітори
+ * WebSocket кадри передаються в handleMessage, записані опитування тікерів
+ * та exchangeInfo запускають відповідні перевірки PollingMonitor
+ */
+class ReplaySession extends EventEmitter {
+  constructor(entries, options = {}) {
+    super();
+    this.entries = entries.filter(entry => entry.type !== 'meta');
+    this.meta = entries.find(entry => entry.type === 'meta') || null;
+    this.speed = options.speed === undefined ? 1 : options.speed; // 0 - без пауз
+    this.client = new ReplayClient(entries);
+    this.websocketMonitors = [];
+    this.pollingMonitors = [];
+    this.isRunning = false;
+    this.stats = {
+      frames: 0,
+      polls: 0,
+      exchangeInfoChecks: 0
+    };
+  }
+
+  /**
+   * Створення сесії з файлу
+   */
+  static async fromFile(file, options) {
+    return new ReplaySession(await readRecording(file), options);
+  }
+
+  /**
+   * Підключення монітора, створеного з клієнтом сесії
+   * Гібридний монітор підключається обома складовими
+   */
+  attach(monitor) {
+    if (monitor.websocket && monitor.polling) {
+      this.attach(monitor.websocket);
+      this.attach(monitor.polling);
+      return this;
+    }
+
+    if (typeof monitor.handleMessage === 'function') {
+      this.websocketMonitors.push(monitor);
+    } else if (typeof monitor.checkForNewListings === 'function') {
+      this.pollingMonitors.push(monitor);
+    } else {
+      throw new Error('Непідтримуваний монітор для відтворення');
+    }
+
+    return this;
+  }
+
+  /**
+   * Відтворення запису
+   */
+  async run() {
+    if (this.entries.length === 0) {
+      logger.warn('⚠️ Запис порожній');
+      return this.stats;
+    }
+
+    this.isRunning = true;
+    const startTime = this.entries[0].t;
+    this.client.setTime(startTime);
+
+    // Початковий список символів з першого записаного exchangeInfo
+    for (const monitor of [...this.websocketMonitors, ...this.pollingMonitors]) {
+      await monitor.loadInitialSymbols();
+    }
+
+    let previousTime = startTime;
+
+    for (const entry of this.entries) {
+      if (!this.isRunning) break;
+
+      if (this.speed > 0 && entry.t > previousTime) {
+        await new Promise(resolve => setTimeout(resolve, (entry.t - previousTime) / this.speed));
+      }
+      previousTime = entry.t;
+      this.client.setTime(entry.t);
+
+      await this.replayEntry(entry);
+      this.emit('progress', entry);
+    }
+
+    this.isRunning = false;
+    this.emit('finished', this.stats);
+
+    return this.stats;
+  }
+
+  /**
+   * Передача запису моніторам
+   */
+  async replayEntry(entry) {
+    if (entry.type === 'ws') {
+      this.stats.frames++;
+      this.websocketMonitors.forEach(monitor => monitor.handleMessage(entry.data));
+      return;
+    }
+
+    if (entry.type !== 'rest' || (entry.args && entry.args.some(Boolean))) return;
+
+    if (entry.method === 'get24hrStats') {
+      this.stats.polls++;
+      for (const monitor of this.pollingMonitors) {
+        await monitor.checkForNewListings();
+      }
+    } else if (entry.method === 'getExchangeInfo') {
+      this.stats.exchangeInfoChecks++;
+      for (const monitor of this.pollingMonitors) {
+        await monitor.checkDelisting();
+      }
+    }
+  }
+
+  /**
+   * Зупинка відтворення
+   */
+  stop() {
+    this.isRunning = false;
+  }
+}
+
+module.exports = {
+  ReplayClient,
+  ReplaySession,
+  readRecording
+};
\ No newline at end of file
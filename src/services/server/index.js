@@ -10,6 +10,7 @@ const WebSocket = require('ws');
 const config = require('../../config');
 const logger = require('../../utils/logger');
 const { ErrorHandler } = require('../../utils/errors');
+const { getLatencyTracker } = require('../../utils/latency');
 
 /**
  * API Сервер для моніторингу та управління ботом
@@ -152,6 +153,12 @@ class APIServer {
       });
     });
     
+    // Метрики для Prometheus
+    this.app.get('/metrics', (req, res) => {
+      res.set('Content-Type', 'text/plain; version=0.0.4');
+      res.send(getLatencyTracker().toPrometheus());
+    });
+    
     // API маршрути
     const apiRouter = express.Router();
     
@@ -161,6 +168,35 @@ class APIServer {
       res.json(status);
     });
     
+    // Аналітика перших хвилин лістингів
+    apiRouter.get('/analytics/listings', async (req, res) => {
+      try {
+        const { limit = 100, environment } = req.query;
+        
+        const filters = {};
+        if (environment) {
+          filters.environment = environment;
+        }
+        
+        const analyzer = this.bot.services.listingAnalyzer;
+        const [listings, summary] = await Promise.all([
+          this.bot.services.database.getListingMetrics(filters, parseInt(limit)),
+          analyzer.getSummary(filters, parseInt(limit))
+        ]);
+        
+        res.json({ success: true, summary, listings });
+        
+      } catch (error) {
+        logger.error('❌ Помилка отримання аналітики лістингів:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    
+    // Затримки від виявлення лістингу до виконання ордера (p50/p95/p99)
+    apiRouter.get('/latency', (req, res) => {
+      res.json({ success: true, latency: getLatencyTracker().getReport() });
+    });
+    
     // Запуск/зупинка бота
     apiRouter.post('/control', async (req, res) => {
       try {
@@ -206,12 +242,15 @@ class APIServer {
     // Отримання історії позицій
     apiRouter.get('/positions/history', async (req, res) => {
       try {
-        const { limit = 50, offset = 0, status } = req.query;
+        const { limit = 50, offset = 0, status, closeReason, includeBlocked } = req.query;
         
         const filters = {};
         if (status) {
           filters.status = status;
         }
+        if (closeReason) {
+          filters.closeReason = closeReason;
+        }
         
         const result = await this.bot.services.database.getPositions(
           filters,
@@ -219,10 +258,16 @@ class APIServer {
           parseInt(offset)
         );
         
+        // Заблоковані покупки не мають позицій, рішення ризику зберігається з лістингом
+        const blocked = includeBlocked === 'true'
+          ? await this.bot.services.database.getAbortedListings(parseInt(limit))
+          : undefined;
+        
         res.json({
           success: true,
           positions: result.rows,
           total: result.count,
+          blocked,
           limit: parseInt(limit),
           offset: parseInt(offset)
         });
@@ -271,6 +316,93 @@ class APIServer {
       }
     });
     
+    // Налаштування trailing stop позиції
+    apiRouter.post('/positions/:symbol/trailing', async (req, res) => {
+      try {
+        const { enabled, activation, percent, step } = req.body;
+        
+        const result = await this.bot.services.trading.setTrailingStop(req.params.symbol, {
+          enabled: enabled === undefined ? undefined : enabled === true || enabled === 'true',
+          activation: activation === undefined ? undefined : parseFloat(activation),
+          percent: percent === undefined ? undefined : parseFloat(percent),
+          step: step === undefined ? undefined : parseFloat(step)
+        });
+        
+        if (!result.success) {
+          const status = result.error === 'Position not found' ? 404 : 400;
+          return res.status(status).json(result);
+        }
+        
+        res.json(result);
+        
+      } catch (error) {
+        logger.error(`❌ Помилка налаштування trailing stop ${req.params.symbol}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    
+    // Стан лімітів ризику портфеля
+    apiRouter.get('/risk', (req, res) => {
+      res.json({ success: true, risk: this.bot.services.trading.getRiskStatus() });
+    });
+    
+    // Ручне відновлення входів після зупинки лімітами ризику
+    apiRouter.post('/risk/reset', async (req, res) => {
+      try {
+        const result = await this.bot.services.trading.resetRiskHalt();
+        res.json(result);
+      } catch (error) {
+        logger.error('❌ Помилка скидання зупинки торгівлі:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    
+    // Календар розкладу торгівлі: дозволені періоди та найближчий дозволений момент
+    apiRouter.get('/schedule', (req, res) => {
+      const days = parseInt(req.query.days) || 7;
+      res.json({ success: true, schedule: this.bot.tradingSchedule.getCalendar(new Date(), days) });
+    });
+    
+    // Черга заблокованих лістингів на ручне схвалення
+    apiRouter.get('/approvals', async (req, res) => {
+      try {
+        const approvals = await this.bot.services.approvals.list();
+        res.json({ success: true, approvals });
+      } catch (error) {
+        logger.error('❌ Помилка отримання черги схвалення:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    
+    // Схвалення лістингу: покупка поза розкладом торгівлі, решта перевірок повторюється
+    apiRouter.post('/approvals/:symbol/approve', async (req, res) => {
+      try {
+        const result = await this.bot.approveListing(req.params.symbol);
+        
+        if (!result.success) {
+          const status = result.error === 'Listing not in approval queue' ? 404 : 400;
+          return res.status(status).json(result);
+        }
+        
+        res.json(result);
+        
+      } catch (error) {
+        logger.error(`❌ Помилка схвалення лістингу ${req.params.symbol}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    
+    // Відхилення лістингу з черги
+    apiRouter.post('/approvals/:symbol/reject', async (req, res) => {
+      try {
+        const result = await this.bot.services.approvals.reject(req.params.symbol);
+        res.status(result.success ? 200 : 404).json(result);
+      } catch (error) {
+        logger.error(`❌ Помилка відхилення лістингу ${req.params.symbol}:`, error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+    
     // Отримання конфігурації
     apiRouter.get('/config', (req, res) => {
       // Повертаємо конфігурацію без чутливих даних
@@ -75,6 +75,9 @@ class DatabaseService {
       // Синхронізуємо модель з БД
       await this.sequelize.sync();
       
+      // sync() створює лише відсутні таблиці - нові колонки додаємо в наявні
+      await this.migrate();
+      
       this.isConnected = true;
       
     } catch (error) {
@@ -83,6 +86,38 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Міграція наявних таблиць: додавання колонок, яких ще немає в БД
+   * Колонки лише додаються, тож міграція безпечна при кожному запуску
+   */
+  async migrate() {
+    const queryInterface = this.sequelize.getQueryInterface();
+    const added = [];
+    
+    for (const model of Object.values(this.models)) {
+      const table = model.getTableName();
+      const columns = await queryInterface.describeTable(table);
+      
+      for (const attribute of Object.values(model.getAttributes())) {
+        if (columns[attribute.field]) continue;
+        
+        // Старі рядки не мають значення, тому нова колонка допускає NULL
+        await queryInterface.addColumn(table, attribute.field, {
+          type: attribute.type,
+          allowNull: true,
+          defaultValue: attribute.defaultValue
+        });
+        added.push(`${table}.${attribute.field}`);
+      }
+    }
+    
+    if (added.length > 0) {
+      logger.info(`🗄️ Міграція БД: додано колонки ${added.join(', ')}`);
+    }
+    
+    return added;
+  }
+
   /**
    * Визначення моделей
    */
@@ -106,10 +141,25 @@ class DatabaseService {
         type: DataTypes.STRING,
         allowNull: false
       },
+      // Поточна кількість; після часткових виходів - залишок
       quantity: {
         type: DataTypes.FLOAT,
         allowNull: false
       },
+      // Запланована кількість входу та статус входу (FILLED або PARTIALLY_FILLED)
+      requestedQuantity: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      entryStatus: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Продана кількість частковими та повним виходом
+      exitedQuantity: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
       entryPrice: {
         type: DataTypes.FLOAT,
         allowNull: false
@@ -157,6 +207,97 @@ class DatabaseService {
       pnlPercent: {
         type: DataTypes.FLOAT,
         allowNull: true
+      },
+      // P&L без комісій; pnl та pnlPercent - чисті, після комісій входу й виходу
+      grossPnl: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      // Сума комісій у quote asset
+      commission: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      baseAsset: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      quoteAsset: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Маршрут покупки: пара лістингу та конвертація основного активу
+      route: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Стратегія входу, перша побачена ціна, прослизання та дочірні ордери
+      execution: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Рішення перевірок ризику, з яким відкрито позицію
+      riskDecision: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Теги символу (сектор, платформа запуску, seed, monitoring) для лімітів за тегами
+      tags: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Розмір за волатильністю перших угод та відстань до stop loss (частка ціни)
+      sizing: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      stopDistance: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      // Програмний stop loss: час активації, спроби розмістити ордери, спрацювання
+      softStop: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Максимальна ціна позиції та її час для виходу без нового максимуму
+      highPrice: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      highPriceAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Час підтягування stop loss за правилом виходу за часом
+      stopTightenedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // Рівні драбини take profit: ціна, кількість, ордер та виконання кожного рівня
+      takeProfitLevels: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // OCO список TP/SL, якщо ордери розміщено через OCO
+      orderListId: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+      },
+      // Trailing stop: налаштування позиції, максимальна ціна та поточний stop loss
+      trailing: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Виконання входу та виходу: обсяг, середня ціна, комісії за активами
+      fills: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Мітки часу від виявлення лістингу до підтвердження ордера
+      latency: {
+        type: DataTypes.JSON,
+        allowNull: true
       }
     }, {
       tableName: 'positions',
@@ -210,6 +351,46 @@ class DatabaseService {
       processed: {
         type: DataTypes.BOOLEAN,
         defaultValue: false
+      },
+      // Джерело, що першим виявило лістинг
+      source: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Джерело, що підтвердило лістинг (гібридний моніторинг)
+      confirmedBy: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // На скільки мс перше джерело випередило друге
+      confirmationLagMs: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Мітки часу етапів: eventTime, receivedAt, filterDecisionAt, orderSentAt, orderAckAt
+      latency: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Симуляція покупки по книзі ордерів: очікувана середня ціна та прослизання
+      slippageEstimate: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Рішення перевірок ризику перед покупкою: дія, правило розміру або блокування, усі перевірки
+      riskDecision: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
+      // Причина скасування покупки
+      abortReason: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Черга ручного схвалення заблокованого лістингу: статус, причини, середовище, строк
+      approval: {
+        type: DataTypes.JSON,
+        allowNull: true
       }
     }, {
       tableName: 'listings',
@@ -327,6 +508,313 @@ class DatabaseService {
         }
       ]
     });
+    
+    // Модель відомих торгових пар (зберігається між перезапусками)
+    this.models.KnownSymbol = this.sequelize.define('KnownSymbol', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      symbol: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      environment: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      baseAsset: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      quoteAsset: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      firstSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    }, {
+      tableName: 'known_symbols',
+      indexes: [
+        {
+          unique: true,
+          fields: ['symbol', 'environment']
+        }
+      ]
+    });
+    
+    // Журнал ордерів: запис створюється до відправки на біржу
+    this.models.Order = this.sequelize.define('Order', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      clientOrderId: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+      },
+      environment: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      symbol: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      side: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      type: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      // Намір ордера: позиція або лістинг (ref) та призначення (entry, protection, exit, ...)
+      ref: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      purpose: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Стан у журналі (ORDER_STATES) та останній статус біржі
+      state: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      exchangeStatus: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      orderId: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+      },
+      orderListId: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+      },
+      quantity: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      quoteOrderQty: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      price: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      stopPrice: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+      },
+      executedQty: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      cummulativeQuoteQty: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      }
+    }, {
+      tableName: 'orders',
+      indexes: [
+        {
+          fields: ['environment', 'state']
+        }
+      ]
+    });
+    
+    // Стан лімітів ризику середовища: P&L за день і тиждень, пік капіталу, зупинка входів
+    this.models.RiskState = this.sequelize.define('RiskState', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      environment: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+      },
+      // Поточний день (YYYY-MM-DD, UTC) та тиждень (понеділок, UTC)
+      dayKey: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      dailyRealized: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      // Зміна нереалізованого P&L з початку дня (тижня)
+      dailyUnrealized: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      // Нереалізований P&L відкритих позицій на початку дня (тижня)
+      dailyUnrealizedStart: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      // Денний P&L на момент ручного скидання, від нього рахується новий ліміт
+      dailyBaseline: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      weekKey: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      weeklyRealized: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      weeklyUnrealized: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      weeklyUnrealizedStart: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      // Останній нереалізований P&L відкритих позицій від входу
+      unrealizedPnl: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      equity: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      equityPeak: {
+        type: DataTypes.FLOAT,
+        defaultValue: 0
+      },
+      consecutiveLosses: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      halted: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+      },
+      haltReason: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      haltedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      tableName: 'risk_states'
+    });
+    
+    // Поведінка ціни та обсягу в перші хвилини після лістингу
+    this.models.ListingMetrics = this.sequelize.define('ListingMetrics', {
+      id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      symbol: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      environment: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      source: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      // Час першої свічки з торгами
+      listingTime: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      windowMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      interval: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      openPrice: {
+        type: DataTypes.FLOAT,
+        allowNull: false
+      },
+      peakPrice: {
+        type: DataTypes.FLOAT,
+        allowNull: false
+      },
+      // Максимальний ріст від ціни відкриття, %
+      maxSpikePercent: {
+        type: DataTypes.FLOAT,
+        allowNull: false
+      },
+      timeToPeakMs: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      // Найглибше падіння від ціни відкриття до піку, %
+      dipBeforePeakPercent: {
+        type: DataTypes.FLOAT,
+        allowNull: false
+      },
+      // Найглибше падіння після піку, %
+      drawdownFromPeakPercent: {
+        type: DataTypes.FLOAT,
+        allowNull: false
+      },
+      closePrice: {
+        type: DataTypes.FLOAT,
+        allowNull: false
+      },
+      volume: {
+        type: DataTypes.FLOAT,
+        allowNull: false
+      },
+      quoteVolume: {
+        type: DataTypes.FLOAT,
+        allowNull: false
+      },
+      trades: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      // Обсяг по хвилинах: [{ minute, volume, quoteVolume, trades }]
+      volumeCurve: {
+        type: DataTypes.JSON,
+        allowNull: false
+      }
+    }, {
+      tableName: 'listing_metrics',
+      indexes: [
+        {
+          unique: true,
+          fields: ['symbol', 'environment']
+        }
+      ]
+    });
   }
 
   /**
@@ -404,6 +892,126 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Запис ордера в журнал
+   */
+  async saveOrder(order) {
+    try {
+      return await this.models.Order.create(order);
+    } catch (error) {
+      logger.error('❌ Помилка збереження ордера:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Оновлення ордера в журналі
+   */
+  async updateOrder(clientOrderId, updates) {
+    try {
+      const [updatedRows] = await this.models.Order.update(updates, {
+        where: { clientOrderId }
+      });
+      
+      return updatedRows > 0;
+    } catch (error) {
+      logger.error('❌ Помилка оновлення ордера:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ордер з журналу за clientOrderId
+   */
+  async getOrder(clientOrderId) {
+    try {
+      return await this.models.Order.findOne({ where: { clientOrderId } });
+    } catch (error) {
+      logger.error('❌ Помилка отримання ордера:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Ордери журналу з clientOrderId, що починається з префікса (спроби одного наміру)
+   */
+  async getOrdersByClientIdPrefix(prefix) {
+    try {
+      return await this.models.Order.findAll({
+        where: {
+          clientOrderId: { [Op.startsWith]: prefix }
+        },
+        order: [['createdAt', 'ASC']]
+      });
+    } catch (error) {
+      logger.error('❌ Помилка отримання спроб ордера:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ордери журналу одного наміру (ref) в середовищі
+   */
+  async getOrdersByRef(environment, ref) {
+    try {
+      return await this.models.Order.findAll({
+        where: { environment, ref },
+        order: [['createdAt', 'ASC']]
+      });
+    } catch (error) {
+      logger.error('❌ Помилка отримання ордерів наміру:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ордери середовища, остаточний стан яких ще невідомий
+   */
+  async getUnresolvedOrders(environment) {
+    try {
+      const { ORDER_STATES } = config.constants;
+      
+      return await this.models.Order.findAll({
+        where: {
+          environment,
+          state: {
+            [Op.in]: [ORDER_STATES.NEW, ORDER_STATES.ACK, ORDER_STATES.PARTIAL]
+          }
+        },
+        order: [['createdAt', 'ASC']]
+      });
+    } catch (error) {
+      logger.error('❌ Помилка отримання незавершених ордерів:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Стан лімітів ризику всіх середовищ
+   */
+  async getRiskStates() {
+    try {
+      const states = await this.models.RiskState.findAll();
+      return states.map(state => state.get({ plain: true }));
+    } catch (error) {
+      logger.error('❌ Помилка отримання стану ризику:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Збереження стану лімітів ризику середовища
+   */
+  async saveRiskState(state) {
+    try {
+      const { id, createdAt, updatedAt, ...values } = state;
+      await this.models.RiskState.upsert(values);
+    } catch (error) {
+      logger.error('❌ Помилка збереження стану ризику:', error);
+      throw error;
+    }
+  }
+
   /**
    * Збереження лістингу
    */
@@ -425,6 +1033,97 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Оновлення лістингу
+   */
+  async updateListing(symbol, updates) {
+    try {
+      const [affectedRows] = await this.models.Listing.update(updates, {
+        where: { symbol }
+      });
+      
+      return affectedRows > 0;
+    } catch (error) {
+      logger.error('❌ Помилка оновлення лістингу:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримання відомих торгових пар середовища
+   */
+  async getKnownSymbols(environment) {
+    try {
+      return await this.models.KnownSymbol.findAll({
+        where: { environment },
+        order: [['firstSeenAt', 'ASC']]
+      });
+    } catch (error) {
+      logger.error('❌ Помилка отримання відомих символів:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Збереження відомих торгових пар
+   * Для нових записів фіксується firstSeenAt, для існуючих оновлюється lastSeenAt
+   */
+  async saveKnownSymbols(symbols, environment) {
+    if (symbols.length === 0) return;
+    
+    try {
+      const now = new Date();
+      
+      await this.models.KnownSymbol.bulkCreate(
+        symbols.map(({ symbol, baseAsset, quoteAsset }) => ({
+          symbol,
+          environment,
+          baseAsset: baseAsset || null,
+          quoteAsset: quoteAsset || null,
+          firstSeenAt: now,
+          lastSeenAt: now
+        })),
+        { updateOnDuplicate: ['lastSeenAt', 'updatedAt'] }
+      );
+    } catch (error) {
+      logger.error('❌ Помилка збереження відомих символів:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Збереження аналітики лістингу
+   */
+  async saveListingMetrics(metrics) {
+    try {
+      return await this.models.ListingMetrics.create(metrics);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        logger.warn(`⚠️ Аналітика лістингу ${metrics.symbol} вже існує`);
+        return null;
+      }
+      
+      logger.error('❌ Помилка збереження аналітики лістингу:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Отримання аналітики лістингів
+   */
+  async getListingMetrics(filters = {}, limit = 100) {
+    try {
+      return await this.models.ListingMetrics.findAll({
+        where: filters,
+        limit,
+        order: [['listingTime', 'DESC']]
+      });
+    } catch (error) {
+      logger.error('❌ Помилка отримання аналітики лістингів:', error);
+      throw error;
+    }
+  }
+
   /**
    * Збереження помилки
    */
@@ -536,6 +1235,10 @@ class DatabaseService {
         where.status = filters.status;
       }
       
+      if (filters.closeReason) {
+        where.closeReason = filters.closeReason;
+      }
+      
       if (filters.startDate && filters.endDate) {
         where.entryTime = {
           [Op.between]: [filters.startDate, filters.endDate]
@@ -554,6 +1257,52 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Лістинги, покупку яких заблоковано перевірками ризику або прослизання
+   */
+  async getAbortedListings(limit = 100) {
+    try {
+      return await this.models.Listing.findAll({
+        where: {
+          abortReason: {
+            [Op.ne]: null
+          }
+        },
+        attributes: ['symbol', 'price', 'timestamp', 'source', 'riskDecision', 'slippageEstimate', 'abortReason'],
+        limit,
+        order: [['timestamp', 'DESC']]
+      });
+    } catch (error) {
+      logger.error('❌ Помилка отримання заблокованих лістингів:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Лістинги, що чекають ручного схвалення
+   */
+  async getPendingApprovals() {
+    try {
+      const listings = await this.models.Listing.findAll({
+        where: {
+          approval: {
+            [Op.ne]: null
+          }
+        },
+        order: [['timestamp', 'DESC']],
+        limit: 100
+      });
+      
+      // JSON поле фільтруємо після вибірки
+      return listings
+        .map(listing => listing.get({ plain: true }))
+        .filter(listing => listing.approval.status === 'pending');
+    } catch (error) {
+      logger.error('❌ Помилка отримання черги схвалення:', error);
+      throw error;
+    }
+  }
+
   /**
    * Видалення старих логів
    */
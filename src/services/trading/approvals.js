@@ -0,0 +1,161 @@
+// src/services/trading/approvals.js
+
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const APPROVAL_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Черга лістингів, заблокованих розкладом торгівлі mainnet
+ * Лістинг чекає ручного схвалення до APPROVAL_TTL; рішення зберігається з лістингом у БД,
+ * тож черга переживає перезапуск
+ */
+class ApprovalQueue {
+  constructor(database) {
+    this.database = database;
+    this.entries = new Map(); // symbol -> запис черги
+  }
+
+  /**
+   * Відновлення записів, що ще чекають рішення
+   */
+  async load() {
+    const listings = await this.database.getPendingApprovals();
+
+    for (const listing of listings) {
+      const { approval, ...listingData } = listing;
+      this.entries.set(listing.symbol, {
+        ...approval,
+        symbol: listing.symbol,
+        listing: { ...listingData, environment: approval.environment }
+      });
+    }
+
+    await this.expireStale();
+
+    if (this.entries.size > 0) {
+      logger.info(`📋 У черзі на схвалення ${this.entries.size} лістингів`);
+    }
+  }
+
+  /**
+   * Додавання заблокованого лістингу
+   */
+  async add(listingData, reasons) {
+    const now = Date.now();
+    const entry = {
+      symbol: listingData.symbol,
+      status: APPROVAL_STATUS.PENDING,
+      environment: listingData.environment,
+      reasons,
+      queuedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.trading.schedule.approvalTtl).toISOString(),
+      decidedAt: null,
+      listing: listingData
+    };
+
+    this.entries.set(entry.symbol, entry);
+    await this.persist(entry);
+
+    logger.info(`📋 ${entry.symbol} додано в чергу на схвалення до ${entry.expiresAt}: ${reasons.join('; ')}`);
+
+    return entry;
+  }
+
+  /**
+   * Записи, що чекають рішення
+   */
+  async list() {
+    await this.expireStale();
+    return [...this.entries.values()].map(({ listing, ...entry }) => ({ ...entry, price: listing.price }));
+  }
+
+  /**
+   * Запис, що чекає рішення
+   */
+  async get(symbol) {
+    await this.expireStale();
+    return this.entries.get(symbol) || null;
+  }
+
+  /**
+   * Схвалення: запис виходить з черги, лістинг повертається для покупки
+   */
+  async approve(symbol, environment) {
+    return this.decide(symbol, APPROVAL_STATUS.APPROVED, environment);
+  }
+
+  /**
+   * Відхилення запису
+   */
+  async reject(symbol) {
+    return this.decide(symbol, APPROVAL_STATUS.REJECTED);
+  }
+
+  /**
+   * Рішення щодо запису; схвалити можна лише в середовищі, де лістинг заблоковано
+   */
+  async decide(symbol, status, environment = null) {
+    await this.expireStale();
+
+    const entry = this.entries.get(symbol);
+
+    if (!entry) {
+      return { success: false, error: 'Listing not in approval queue' };
+    }
+
+    if (environment && entry.environment !== environment) {
+      return { success: false, error: `Listing was queued in ${entry.environment}, current environment is ${environment}` };
+    }
+
+    entry.status = status;
+    entry.decidedAt = new Date().toISOString();
+
+    this.entries.delete(symbol);
+    await this.persist(entry);
+
+    logger.info(`📋 ${symbol}: ${status === APPROVAL_STATUS.APPROVED ? 'схвалено' : 'відхилено'} вручну`);
+
+    return { success: true, entry };
+  }
+
+  /**
+   * Прострочені записи позначаються expired
+   */
+  async expireStale() {
+    const now = Date.now();
+
+    for (const entry of this.entries.values()) {
+      if (new Date(entry.expiresAt).getTime() > now) continue;
+
+      entry.status = APPROVAL_STATUS.EXPIRED;
+      entry.decidedAt = new Date(now).toISOString();
+
+      this.entries.delete(entry.symbol);
+      await this.persist(entry);
+
+      logger.info(`📋 ${entry.symbol}: час на схвалення минув`);
+    }
+  }
+
+  /**
+   * Збереження стану запису з лістингом
+   */
+  async persist({ listing, symbol, ...approval }) {
+    try {
+      await this.database.updateListing(symbol, { approval });
+    } catch (error) {
+      logger.error(`❌ Не вдалося зберегти стан схвалення ${symbol}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  ApprovalQueue,
+  APPROVAL_STATUS
+};
\ No newline at end of file
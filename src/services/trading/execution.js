@@ -0,0 +1,246 @@
+// src/services/trading/execution.js
+
+const config = require('../../config');
+const logger = require('../../utils/logger');
+const constants = require('../../config/constants');
+
+const { EXECUTION_STRATEGIES } = constants;
+
+/**
+ * Виконання входу в позицію обраною стратегією
+ * market - один ринковий ордер, якщо ціна не пішла далі за максимальне прослизання
+ * ladder - IOC лімітні ордери зі ступінчасто зростаючою ціною до межі прослизання
+ * sliced - IOC лімітні ордери частинами через рівні проміжки часу
+ */
+class EntryExecutor {
+  constructor(orderManager, calculator, getPrice) {
+    this.orderManager = orderManager;
+    this.calculator = calculator;
+    this.getPrice = getPrice; // symbol -> актуальна ціна (кеш потоків або REST)
+  }
+
+  /**
+   * Купівля quantity символу від першої побаченої ціни referencePrice
+   * intent - намір входу для clientOrderId ордерів ({ ref }), кожен дочірній ордер має власне призначення
+   */
+  async execute({ strategy, symbol, quantity, quoteAmount, referencePrice, symbolInfo, intent = {} }) {
+    const settings = config.trading.execution[strategy];
+
+    if (!settings) {
+      return { success: false, error: `Unknown execution strategy: ${strategy}` };
+    }
+
+    const execution = {
+      strategy,
+      referencePrice,
+      maxSlippage: settings.maxSlippage,
+      limitPrice: this.roundPrice(referencePrice * (1 + settings.maxSlippage), symbolInfo),
+      intent,
+      orders: []
+    };
+
+    logger.trade(`🎯 Вхід у ${symbol} стратегією ${strategy}: ${quantity} @ ${referencePrice}, межа ${execution.limitPrice}`);
+
+    switch (strategy) {
+      case EXECUTION_STRATEGIES.LADDER:
+        await this.executeLadder(symbol, quantity, symbolInfo, execution, settings);
+        break;
+      case EXECUTION_STRATEGIES.SLICED:
+        await this.executeSliced(symbol, quantity, symbolInfo, execution, settings);
+        break;
+      default:
+        await this.executeMarket(symbol, quantity, quoteAmount, symbolInfo, execution);
+    }
+
+    return this.summarize(symbol, quantity, execution, symbolInfo);
+  }
+
+  /**
+   * Один ринковий ордер
+   * Ринковий ордер не обмежує ціну, тому межу перевіряємо перед відправкою
+   */
+  async executeMarket(symbol, quantity, quoteAmount, symbolInfo, execution) {
+    const price = await this.getPrice(symbol);
+
+    if (price > execution.limitPrice) {
+      execution.error = `Price ${price} exceeds max slippage limit ${execution.limitPrice}`;
+      return;
+    }
+
+    const options = { symbolInfo, referencePrice: price, intent: { ...execution.intent, purpose: 'entry' } };
+
+    await this.placeChild(execution, () => (config.trading.useQuoteOrderQty && quoteAmount
+      ? this.orderManager.placeQuoteMarketBuyOrder(symbol, quoteAmount, options)
+      : this.orderManager.placeMarketBuyOrder(symbol, quantity, options)));
+  }
+
+  /**
+   * Драбина IOC ордерів: кожен крок купує залишок за вищою ціною
+   */
+  async executeLadder(symbol, quantity, symbolInfo, execution, { steps }) {
+    const { referencePrice, maxSlippage } = execution;
+    let remaining = quantity;
+
+    for (let step = 1; step <= steps; step++) {
+      const price = this.roundPrice(referencePrice * (1 + maxSlippage * step / steps), symbolInfo);
+
+      const order = await this.placeChild(execution, () =>
+        this.orderManager.placeLimitBuyOrder(symbol, remaining, price, constants.TIME_IN_FORCE.IOC, {
+          symbolInfo,
+          referencePrice,
+          intent: { ...execution.intent, purpose: `entry-step${step}` }
+        })
+      );
+      if (!order) break;
+
+      remaining = this.roundQuantity(remaining - order.executedQty, symbolInfo);
+      if (!this.isTradable(remaining, price, symbolInfo)) break;
+    }
+  }
+
+  /**
+   * Частини з однаковим лімітом ціни, невиконаний залишок переходить у наступну
+   */
+  async executeSliced(symbol, quantity, symbolInfo, execution, { slices, interval }) {
+    const { limitPrice } = execution;
+
+    // Кожна частина має проходити MIN_NOTIONAL
+    const minNotional = this.getMinNotional(symbolInfo);
+    const maxSlices = minNotional > 0 ? Math.floor((quantity * limitPrice) / minNotional) : slices;
+    const count = Math.max(1, Math.min(slices, maxSlices));
+
+    let remaining = quantity;
+
+    for (let slice = 0; slice < count; slice++) {
+      if (slice > 0) {
+        await new Promise(resolve => setTimeout(resolve, interval));
+      }
+
+      const isLast = slice === count - 1;
+      const sliceQty = isLast ? remaining : this.roundQuantity(remaining / (count - slice), symbolInfo);
+
+      const order = await this.placeChild(execution, () =>
+        this.orderManager.placeLimitBuyOrder(symbol, sliceQty, limitPrice, constants.TIME_IN_FORCE.IOC, {
+          symbolInfo,
+          referencePrice: execution.referencePrice,
+          intent: { ...execution.intent, purpose: `entry-slice${slice}` }
+        })
+      );
+      if (!order) break;
+
+      remaining = this.roundQuantity(remaining - order.executedQty, symbolInfo);
+      if (!this.isTradable(remaining, limitPrice, symbolInfo)) break;
+    }
+  }
+
+  /**
+   * Розміщення дочірнього ордера та запис результату
+   */
+  async placeChild(execution, placeOrder) {
+    const result = await placeOrder();
+
+    if (!result.success) {
+      execution.error = result.error;
+      execution.filterType = result.filterType;
+      return null;
+    }
+
+    const order = {
+      orderId: result.orderId,
+      orderType: result.orderType,
+      price: result.price,
+      executedQty: result.executedQty,
+      avgPrice: result.avgPrice,
+      fills: result.fills,
+      status: result.status,
+      time: result.time,
+      isSimulated: result.isSimulated,
+      quoteOrderQtyFallback: result.quoteOrderQtyFallback
+    };
+
+    execution.orders.push(order);
+    return order;
+  }
+
+  /**
+   * Зведений результат у форматі ордера OrderManager
+   */
+  summarize(symbol, quantity, execution, symbolInfo) {
+    const filled = execution.orders.filter(order => order.executedQty > 0);
+    const executedQty = filled.reduce((sum, order) => sum + order.executedQty, 0);
+
+    if (executedQty <= 0) {
+      const error = execution.error || `No fills within max slippage ${execution.maxSlippage * 100}%`;
+      logger.warn(`⚠️ Вхід у ${symbol} (${execution.strategy}) не виконано: ${error}`);
+      return { success: false, error, filterType: execution.filterType, execution };
+    }
+
+    const avgPrice = filled.reduce((sum, order) => sum + order.executedQty * order.avgPrice, 0) / executedQty;
+    execution.slippagePercent = ((avgPrice - execution.referencePrice) / execution.referencePrice) * 100;
+
+    const last = execution.orders[execution.orders.length - 1];
+
+    // Ринковий ордер на суму купує кількість, яку визначає біржа, тому повноту показує його статус;
+    // для IOC ордерів вхід неповний, якщо невиконаний залишок ще можна було купити
+    const isComplete = execution.strategy === EXECUTION_STRATEGIES.MARKET
+      ? last.status === constants.ORDER_STATUS.FILLED
+      : !this.isTradable(this.roundQuantity(quantity - executedQty, symbolInfo), execution.limitPrice, symbolInfo);
+
+    logger.trade(`🎯 Вхід у ${symbol}: ${executedQty}/${quantity} @ ${avgPrice}, прослизання ${execution.slippagePercent.toFixed(2)}%, ордерів: ${execution.orders.length}`);
+
+    return {
+      success: true,
+      orderId: filled[0].orderId,
+      symbol,
+      side: constants.ORDER_SIDES.BUY,
+      quantity,
+      executedQty,
+      avgPrice,
+      status: isComplete ? constants.ORDER_STATUS.FILLED : constants.ORDER_STATUS.PARTIALLY_FILLED,
+      time: last.time,
+      isSimulated: last.isSimulated,
+      execution
+    };
+  }
+
+  /**
+   * Округлення ціни вниз до tickSize, щоб не перевищити межу
+   * Допуск 1e-9 кроку компенсує похибку дробової арифметики (1.012 / 0.001 = 1011.999...)
+   */
+  roundPrice(price, symbolInfo) {
+    const filter = symbolInfo?.filters?.find(f => f.filterType === 'PRICE_FILTER');
+    const tickSize = filter ? parseFloat(filter.tickSize) : 0;
+
+    return tickSize > 0 ? this.calculator.roundToStepSize(price + tickSize * 1e-9, tickSize) : price;
+  }
+
+  /**
+   * Округлення кількості вниз до stepSize
+   */
+  roundQuantity(quantity, symbolInfo) {
+    const filter = symbolInfo?.filters?.find(f => f.filterType === 'LOT_SIZE');
+    const stepSize = filter ? parseFloat(filter.stepSize) : 0;
+
+    return stepSize > 0 ? this.calculator.roundToStepSize(quantity + stepSize * 1e-9, stepSize) : quantity;
+  }
+
+  /**
+   * Мінімальна вартість ордера з MIN_NOTIONAL або NOTIONAL
+   */
+  getMinNotional(symbolInfo) {
+    const filter = symbolInfo?.filters?.find(f => f.filterType === 'MIN_NOTIONAL' || f.filterType === 'NOTIONAL');
+    return filter ? parseFloat(filter.minNotional) : 0;
+  }
+
+  /**
+   * Чи можна розмістити ордер на залишок
+   */
+  isTradable(quantity, price, symbolInfo) {
+    const lotSize = symbolInfo?.filters?.find(f => f.filterType === 'LOT_SIZE');
+    const minQty = lotSize ? parseFloat(lotSize.minQty) : 0;
+
+    return quantity > 0 && quantity >= minQty && quantity * price >= this.getMinNotional(symbolInfo);
+  }
+}
+
+module.exports = { EntryExecutor };
\ No newline at end of file
@@ -5,9 +5,21 @@ const config = require('../../config');
 const logger = require('../../utils/logger');
 const { getBinanceClientFactory } = require('../binance/client-factory');
 const { OrderManager } = require('../binance/orders');
+const { OrderJournal } = require('../binance/order-journal');
 const { PositionCalculator } = require('./calculator');
 const { RiskManager } = require('./risk');
+const { RiskEngine } = require('./risk-engine');
+const { QuoteRouter } = require('./routing');
+const { MarketDataCache } = require('./market-data');
+const { EntryExecutor } = require('./execution');
+const { SlippageGuard } = require('./slippage');
+const { VolatilitySizer } = require('./sizing');
+const { SymbolTags } = require('./tags');
+const { FillLedger } = require('../binance/fills');
+const { getSymbolFilter, floorToStep } = require('../binance/filters');
+const { getLatencyTracker } = require('../../utils/latency');
 const constants = require('../../config/constants');
+const { OrderFilterError } = require('../../utils/errors');
 
 /**
  * Оновлений торговий сервіс з підтримкою різних середовищ
@@ -21,12 +33,28 @@ class TradingService extends EventEmitter {
     this.clientFactory = getBinanceClientFactory();
     this.binanceClient = null;
     this.orderManager = null;
+    this.orderJournal = null;
+    this.quoteRouter = null;
+    this.entryExecutor = null;
+    this.slippageGuard = null;
+    this.volatilitySizer = null;
+    this.fillLedger = null;
     
     this.calculator = new PositionCalculator();
     this.riskManager = new RiskManager();
+    // Ліміти портфеля спільні для всіх середовищ
+    this.riskEngine = new RiskEngine(database);
+    // Теги символів для лімітів за сектором і платформою запуску
+    this.symbolTags = new SymbolTags();
+    // Ціни та спреди відкритих позицій з WebSocket потоків
+    this.marketData = new MarketDataCache();
     
     this.isActive = false;
     this.activePositions = new Map();
+    this.exitingPositions = new Set(); // Позиції в процесі примусового виходу
+    this.pendingEntries = new Set(); // Базові активи з покупкою в процесі
+    this.blockedSymbols = new Set(); // Символи, якими більше не торгуємо (делістинг)
+    this.pausedSymbols = new Map(); // Символи з тимчасово зупиненими торгами (HALT, BREAK): symbol -> status
     this.accountInfo = null;
     this.lastBalanceUpdate = 0;
     
@@ -61,6 +89,16 @@ class TradingService extends EventEmitter {
       // Завантажуємо активні позиції з БД
       await this.loadActivePositions();
       
+      // Відновлюємо стан лімітів ризику, зокрема зупинку входів
+      await this.riskEngine.load();
+      
+      // Теги символів для лімітів експозиції за сектором і платформою запуску
+      await this.symbolTags.load();
+      this.symbolTags.startRefresh();
+      
+      // Звіряємо ордери, стан яких невідомий після зупинки, до відновлення торгівлі
+      await this.reconcileOrders();
+      
       // Запускаємо моніторинг позицій
       this.startPositionMonitoring();
       
@@ -87,7 +125,13 @@ class TradingService extends EventEmitter {
     try {
       // Створюємо клієнт для поточного середовища
       this.binanceClient = this.clientFactory.getCurrentClient();
-      this.orderManager = new OrderManager(this.binanceClient);
+      this.orderJournal = new OrderJournal(this.database, this.binanceClient.environment);
+      this.orderManager = new OrderManager(this.binanceClient, this.orderJournal);
+      this.quoteRouter = new QuoteRouter(this.binanceClient);
+      this.entryExecutor = this.createEntryExecutor();
+      this.slippageGuard = new SlippageGuard(this.binanceClient, this.marketData);
+      this.volatilitySizer = new VolatilitySizer(this.binanceClient, this.marketData, this.riskManager);
+      this.fillLedger = new FillLedger(this.binanceClient, symbol => this.getMarketPrice(symbol));
       
       // Валідуємо клієнт
       if (this.binanceClient.isTestnet && this.binanceClient.validateTestEnvironment) {
@@ -125,7 +169,14 @@ class TradingService extends EventEmitter {
       
       // Перемикаємо клієнт
       this.binanceClient = await this.clientFactory.switchEnvironment(environmentName);
-      this.orderManager = new OrderManager(this.binanceClient);
+      this.orderJournal = new OrderJournal(this.database, this.binanceClient.environment);
+      this.orderManager = new OrderManager(this.binanceClient, this.orderJournal);
+      this.quoteRouter = new QuoteRouter(this.binanceClient);
+      this.entryExecutor = this.createEntryExecutor();
+      this.slippageGuard = new SlippageGuard(this.binanceClient, this.marketData);
+      this.volatilitySizer = new VolatilitySizer(this.binanceClient, this.marketData, this.riskManager);
+      this.fillLedger = new FillLedger(this.binanceClient, symbol => this.getMarketPrice(symbol));
+      this.marketData.clear();
       
       // Оновлюємо налаштування для нового середовища
       this.updateEnvironmentSettings();
@@ -133,6 +184,9 @@ class TradingService extends EventEmitter {
       // Оновлюємо інформацію про акаунт
       await this.updateAccountInfo();
       
+      // Звіряємо незавершені ордери нового середовища
+      await this.reconcileOrders();
+      
       // Відновлюємо роботу якщо було активно
       if (wasActive) {
         await this.resume();
@@ -199,12 +253,25 @@ class TradingService extends EventEmitter {
     }
   }
 
+  /**
+   * Оновлення балансу після виконання ордера, інакше капітал рахує витрачені кошти разом з вартістю позиції
+   * Помилка не скасовує вже виконану операцію, капітал рахується за останнім відомим балансом
+   */
+  async refreshBalance() {
+    try {
+      await this.updateAccountInfo();
+    } catch (error) {
+      logger.warn('⚠️ Баланс не оновлено після виконання ордера, капітал за останнім відомим балансом');
+    }
+  }
+
   /**
    * Виконання покупки з урахуванням середовища
    */
   async executeBuy(listingData) {
     const timer = logger.startTimer();
     const { symbol } = listingData;
+    let reservedAsset = null;
     
     try {
       logger.trade(`🛒 Початок покупки ${symbol} в ${this.binanceClient.environment}`, { 
@@ -218,6 +285,22 @@ class TradingService extends EventEmitter {
         return { success: false, error: 'Position already exists' };
       }
       
+      if (this.blockedSymbols.has(symbol)) {
+        logger.warn(`⚠️ Торгівлю ${symbol} заблоковано`);
+        return { success: false, error: 'Symbol is blocked' };
+      }
+      
+      if (this.pausedSymbols.has(symbol)) {
+        logger.warn(`⚠️ Торги ${symbol} призупинено (${this.pausedSymbols.get(symbol)})`);
+        return { success: false, error: 'Symbol trading is paused' };
+      }
+      
+      // Ліміти ризику портфеля зупиняють нові входи до ручного скидання
+      if (this.riskEngine.isHalted()) {
+        logger.warn(`⚠️ Покупку ${symbol} пропущено: нові входи зупинено лімітами ризику`);
+        return { success: false, error: 'Trading halted by risk limits' };
+      }
+      
       // Перевіряємо ліміт позицій з урахуванням середовища
       if (this.activePositions.size >= this.maxPositions) {
         logger.warn(`⚠️ Досягнуто ліміт позицій: ${this.maxPositions} для ${this.binanceClient.environment}`);
@@ -238,23 +321,97 @@ class TradingService extends EventEmitter {
         await this.updateAccountInfo();
       }
       
-      // Отримуємо інформацію про символ
-      const symbolInfo = await this.binanceClient.getSymbolInfo(symbol);
-      if (!symbolInfo) {
-        throw new Error(`Symbol info not found for ${symbol}`);
+      // Маршрут покупки: quote asset лістингу, розмір ордера та можлива конвертація
+      const route = await this.quoteRouter.planRoute(symbol, asset => this.getAvailableBalance(asset));
+      const tradeSymbol = route.symbol;
+      
+      // Лістинг того ж токена на іншому quote веде до пари чи активу, який вже тримаємо або купуємо
+      if (this.hasAssetExposure(route)) {
+        logger.warn(`⚠️ Позиція в ${route.baseAsset} (${tradeSymbol}) вже існує або відкривається`);
+        return { success: false, error: 'Position already exists' };
       }
       
+      reservedAsset = route.baseAsset;
+      this.pendingEntries.add(reservedAsset);
+      
       // Розраховуємо розмір ордера з урахуванням середовища
-      const availableBalance = this.getAvailableBalance();
-      const orderSize = this.calculateOrderSizeForEnvironment(availableBalance);
+      let orderSize = this.calculateRouteOrderSize(route);
       
-      if (orderSize < config.trading.baseOrderSize) {
-        logger.warn(`⚠️ Недостатньо коштів. Доступно: ${availableBalance}, Потрібно: ${config.trading.baseOrderSize}`);
+      if (orderSize < route.orderSize) {
+        logger.warn(`⚠️ Недостатньо коштів. Розмір: ${orderSize}, Потрібно: ${route.orderSize} ${route.quoteAsset}`);
         return { success: false, error: 'Insufficient balance' };
       }
       
-      // Отримуємо поточну ціну
-      const currentPrice = listingData.price || await this.binanceClient.getCurrentPrice(symbol);
+      // Розмір за волатильністю перших угод: збиток до stop loss - фіксована частка капіталу
+      const sizing = await this.calculateVolatilitySizing(route);
+      if (sizing.mode === 'volatility') {
+        orderSize = sizing.orderSize;
+      }
+      
+      // Перевірки ризику до конвертації: розмір за stop loss і диверсифікацією, ліміти акаунту
+      const riskDecision = await this.evaluateTradeRisk(symbol, route, orderSize, sizing);
+      
+      // Причину скасування пишемо лише при блокуванні, щоб не затерти причину іншої перевірки
+      const riskUpdates = { riskDecision };
+      if (riskDecision.action === 'block') {
+        riskUpdates.abortReason = riskDecision.reason;
+      }
+      
+      await this.database.updateListing(symbol, riskUpdates)
+        .catch(error => logger.warn(`⚠️ Не вдалося зберегти рішення ризику ${symbol}:`, error.message));
+      
+      if (riskDecision.action === 'block') {
+        logger.warn(`⚠️ Покупку ${tradeSymbol} заблоковано правилом ${riskDecision.blockedBy}: ${riskDecision.reason}`);
+        return { success: false, error: riskDecision.reason, riskDecision };
+      }
+      
+      if (riskDecision.action === 'downsize') {
+        orderSize *= riskDecision.orderSize / riskDecision.requestedSize;
+        logger.warn(`⚠️ Ордер ${tradeSymbol} зменшено правилом ${riskDecision.sizedBy} до ${orderSize} ${route.quoteAsset}`);
+      }
+      
+      // Конвертуємо основний актив у quote asset лістингу
+      if (route.conversion) {
+        const conversionResult = await this.executeConversion(route.conversion, { ref: `listing:${symbol}`, purpose: 'conversion' });
+        
+        if (!conversionResult.success) {
+          throw new Error(`Conversion via ${route.conversion.symbol} failed: ${conversionResult.error}`);
+        }
+        
+        route.conversion.orderId = conversionResult.orderId;
+        route.conversion.executedQty = conversionResult.executedQty;
+        
+        await this.updateAccountInfo();
+        orderSize = Math.min(orderSize, this.getAvailableBalance(route.quoteAsset));
+      }
+      
+      // Отримуємо інформацію про символ
+      const symbolInfo = await this.binanceClient.getSymbolInfo(tradeSymbol);
+      if (!symbolInfo) {
+        throw new Error(`Symbol info not found for ${tradeSymbol}`);
+      }
+      
+      // Отримуємо поточну ціну (ціна лістингу актуальна лише для тієї ж пари)
+      const currentPrice = (tradeSymbol === symbol && listingData.price) ||
+        await this.binanceClient.getCurrentPrice(tradeSymbol);
+      
+      // Симулюємо покупку по книзі ордерів: зменшуємо або скасовуємо при великому прослизанні
+      const slippageCheck = await this.slippageGuard.check(tradeSymbol, orderSize, currentPrice);
+      
+      const slippageUpdates = { slippageEstimate: slippageCheck.estimate };
+      if (slippageCheck.action === 'abort') {
+        slippageUpdates.abortReason = slippageCheck.reason;
+      }
+      
+      await this.database.updateListing(symbol, slippageUpdates)
+        .catch(error => logger.warn(`⚠️ Не вдалося зберегти оцінку прослизання ${symbol}:`, error.message));
+      
+      if (slippageCheck.action === 'abort') {
+        logger.warn(`⚠️ Покупку ${tradeSymbol} скасовано: ${slippageCheck.reason}`);
+        return { success: false, error: slippageCheck.reason, slippage: slippageCheck.estimate };
+      }
+      
+      orderSize = slippageCheck.quoteAmount;
       
       // Розраховуємо кількість для покупки
       const quantity = this.calculator.calculateQuantity(
@@ -267,36 +424,92 @@ class TradingService extends EventEmitter {
         throw new Error('Invalid quantity calculated');
       }
       
-      // Виконуємо ринковий ордер
-      logger.trade(`📈 Виконання ринкового ордера: ${quantity} ${symbol} @ ~${currentPrice}`);
-      
-      const orderResult = await this.orderManager.placeMarketBuyOrder(symbol, quantity);
+      // Виконуємо вхід стратегією поточного середовища
+      const strategy = this.getEntryStrategy();
+      
+      const latency = { ...listingData.latency, orderSentAt: Date.now() };
+      const orderResult = await this.entryExecutor.execute({
+        strategy,
+        symbol: tradeSymbol,
+        quantity,
+        quoteAmount: orderSize,
+        referencePrice: currentPrice,
+        symbolInfo,
+        intent: { ref: `listing:${symbol}` }
+      });
+      latency.orderAckAt = Date.now();
       
       if (!orderResult.success) {
+        if (orderResult.filterType) {
+          throw new OrderFilterError(orderResult.error, orderResult.filterType, { symbol: tradeSymbol });
+        }
         throw new Error(orderResult.error || 'Order placement failed');
       }
       
+      // Час виконання ордера на біржі
+      latency.transactTime = orderResult.time || null;
+      
+      if (orderResult.status === constants.ORDER_STATUS.PARTIALLY_FILLED) {
+        logger.warn(`⚠️ Вхід у ${tradeSymbol} виконано частково: ${orderResult.executedQty} з ${quantity}`);
+      }
+      
+      // Фактичні виконання входу: середньозважена ціна та комісії
+      const assets = { baseAsset: symbolInfo.baseAsset, quoteAsset: route.quoteAsset };
+      const entryFills = await this.fillLedger.summarize(
+        await this.fillLedger.collect(tradeSymbol, orderResult.execution.orders),
+        assets
+      );
+      
+      // Комісія в базовому активі зменшує кількість, яку можна продати
+      const lotSize = getSymbolFilter(symbolInfo, 'LOT_SIZE');
+      const heldQuantity = entryFills.qty > 0
+        ? floorToStep(entryFills.qty - entryFills.baseCommission, lotSize ? parseFloat(lotSize.stepSize) : 0)
+        : orderResult.executedQty;
+      
       // Зберігаємо позицію
       const position = {
         symbol,
         orderId: orderResult.orderId,
-        quantity: orderResult.executedQty,
-        entryPrice: orderResult.avgPrice,
+        quantity: heldQuantity,
+        requestedQuantity: quantity,
+        entryStatus: orderResult.status,
+        exitedQuantity: 0,
+        entryPrice: entryFills.avgPrice || orderResult.avgPrice,
         entryTime: new Date(),
         status: constants.POSITION_STATUS.OPEN,
         side: constants.ORDER_SIDES.BUY,
         environment: this.binanceClient.environment,
-        ...listingData
+        ...listingData,
+        symbol: tradeSymbol,
+        quoteAsset: route.quoteAsset,
+        route: tradeSymbol !== symbol || route.conversion ? {
+          listingSymbol: symbol,
+          conversion: route.conversion
+        } : null,
+        baseAsset: assets.baseAsset,
+        riskDecision,
+        tags: riskDecision.tags,
+        sizing,
+        stopDistance: sizing.stopDistance || null,
+        execution: orderResult.execution,
+        fills: { entry: entryFills },
+        commission: entryFills.commissionQuote,
+        trailing: this.createTrailingSettings(entryFills.avgPrice || orderResult.avgPrice),
+        latency
       };
       
       await this.database.savePosition(position);
-      this.activePositions.set(symbol, position);
+      this.activePositions.set(tradeSymbol, position);
+      await this.refreshBalance();
       
-      timer.done(`✅ Покупка ${symbol} виконана успішно в ${this.binanceClient.environment}`, {
-        symbol,
-        quantity: orderResult.executedQty,
-        avgPrice: orderResult.avgPrice,
-        cost: orderResult.executedQty * orderResult.avgPrice,
+      this.recordLatency(listingData, latency);
+      
+      timer.done(`✅ Покупка ${tradeSymbol} виконана успішно в ${this.binanceClient.environment}`, {
+        symbol: tradeSymbol,
+        quantity: position.quantity,
+        avgPrice: position.entryPrice,
+        cost: entryFills.quoteQty || orderResult.executedQty * orderResult.avgPrice,
+        commission: entryFills.commissions,
         environment: this.binanceClient.environment,
         isSimulated: orderResult.isSimulated
       });
@@ -325,18 +538,130 @@ class TradingService extends EventEmitter {
       
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        filterType: error.filterType
       };
+    } finally {
+      this.pendingEntries.delete(reservedAsset);
+    }
+  }
+
+  /**
+   * Чи є позиція або покупка в процесі в парі маршруту чи в його базовому активі
+   */
+  hasAssetExposure(route) {
+    if (this.activePositions.has(route.symbol) || this.pendingEntries.has(route.baseAsset)) {
+      return true;
+    }
+    
+    return Array.from(this.activePositions.values())
+      .some(position => this.getPositionAssets(position).baseAsset === route.baseAsset);
+  }
+
+  /**
+   * Рішення ризику перед покупкою
+   * Суми перераховуються в QUOTE_ASSET; відстань до stop loss - DEFAULT_SL_PERCENT від ціни входу
+   * або розрахована за волатильністю
+   */
+  async evaluateTradeRisk(symbol, route, orderSize, sizing = { mode: 'fixed' }) {
+    let balance = this.getAvailableBalance();
+    
+    if (route.quoteAsset !== config.trading.quoteAsset) {
+      balance += await this.convertToMainQuote(this.getAvailableBalance(route.quoteAsset), route.quoteAsset);
+    }
+    
+    const positions = [];
+    for (const position of this.activePositions.values()) {
+      positions.push({
+        symbol: position.symbol,
+        baseAsset: position.baseAsset,
+        quantity: position.quantity,
+        entryPrice: await this.convertToMainQuote(position.entryPrice, position.quoteAsset),
+        stopLossPrice: position.stopLossPrice ? await this.convertToMainQuote(position.stopLossPrice, position.quoteAsset) : null,
+        // Теги на момент відкриття, для старих позицій - поточні
+        tags: position.tags || this.symbolTags.getTags(position.symbol, position.baseAsset)
+      });
+    }
+    
+    const isVolatilitySized = sizing.mode === 'volatility';
+    
+    const decision = this.riskManager.evaluateTrade({
+      balance,
+      equity: isVolatilitySized ? await this.convertToMainQuote(sizing.equity, route.quoteAsset) : balance,
+      orderSize: await this.convertToMainQuote(orderSize, route.quoteAsset),
+      positions,
+      baseAsset: route.baseAsset,
+      tags: this.symbolTags.getTags(route.symbol, route.baseAsset),
+      // Лише співвідношення stop loss до ціни входу, тож ціна входу умовна
+      entryPrice: 1,
+      stopLossPrice: 1 - (sizing.stopDistance || config.trading.defaultSL),
+      maxPositions: this.maxPositions,
+      stopBasedRisk: isVolatilitySized
+    });
+    
+    logger.debug(`🛡️ Рішення ризику ${symbol}: ${decision.action}`, decision);
+    
+    return decision;
+  }
+
+  /**
+   * Розмір ордера за волатильністю в quote asset маршруту (SIZING_MODE=volatility)
+   * Обмежений MAX_ORDER_SIZE маршруту та доступним балансом; без даних лишається fixed
+   */
+  async calculateVolatilitySizing(route) {
+    if (config.trading.sizing.mode !== 'volatility') {
+      return { mode: 'fixed' };
+    }
+    
+    const { equity } = await this.calculateEquity();
+    const quoteRate = await this.convertToMainQuote(1, route.quoteAsset);
+    
+    if (!(equity > 0) || !(quoteRate > 0)) {
+      return { mode: 'fixed', reason: 'Equity unknown' };
+    }
+    
+    const sizing = await this.volatilitySizer.size(route.symbol, equity / quoteRate);
+    
+    if (sizing.mode !== 'volatility') {
+      logger.info(`📐 ${route.symbol}: розмір fixed (${sizing.reason})`);
+      return sizing;
     }
+    
+    // Баланс для конвертації перевіряється після неї
+    const available = route.conversion
+      ? Infinity
+      : this.getAvailableBalance(route.quoteAsset) * config.trading.risk.useOfBalance;
+    
+    sizing.orderSize = Math.min(sizing.orderSize, route.maxOrderSize, available);
+    
+    return sizing;
+  }
+
+  /**
+   * Виконавець входу для поточного клієнта
+   */
+  createEntryExecutor() {
+    return new EntryExecutor(this.orderManager, this.calculator, symbol => this.getMarketPrice(symbol));
+  }
+
+  /**
+   * Стратегія входу для поточного середовища
+   */
+  getEntryStrategy() {
+    const environment = this.clientFactory.environmentManager.getCurrentEnvironment().name;
+    return config.trading.execution.strategy[environment] || config.trading.execution.strategy.mainnet;
   }
 
   /**
    * Розрахунок розміру ордера з урахуванням середовища
    */
-  calculateOrderSizeForEnvironment(availableBalance) {
+  calculateOrderSizeForEnvironment(availableBalance, limits = {}) {
+    const maxOrderSize = limits.maxOrderSize || config.trading.maxOrderSize;
+    
     let baseSize = this.riskManager.calculateOrderSize(
       availableBalance,
-      this.activePositions.size
+      this.activePositions.size,
+      { baseOrderSize: limits.orderSize, maxOrderSize }
     );
     
     // Коригуємо розмір для різних середовищ
@@ -345,12 +670,51 @@ class TradingService extends EventEmitter {
       baseSize = Math.min(baseSize * 2, availableBalance * 0.5);
     } else if (this.binanceClient.isMainnet) {
       // На mainnet більш консервативний підхід
-      baseSize = Math.min(baseSize, config.trading.maxOrderSize * 0.8);
+      baseSize = Math.min(baseSize, maxOrderSize * 0.8);
     }
     
     return baseSize;
   }
 
+  /**
+   * Розрахунок розміру ордера для маршруту покупки
+   */
+  calculateRouteOrderSize(route) {
+    if (!route.conversion) {
+      return this.calculateOrderSizeForEnvironment(this.getAvailableBalance(route.quoteAsset), route);
+    }
+    
+    // При конвертації ризик оцінюємо за балансом основного активу
+    // та переносимо частку від базового розміру на quote asset лістингу
+    const fundingSize = this.calculateOrderSizeForEnvironment(this.getAvailableBalance());
+    
+    return route.orderSize * Math.min(fundingSize / config.trading.baseOrderSize, 1);
+  }
+
+  /**
+   * Конвертація основного активу в quote asset лістингу
+   */
+  async executeConversion(conversion, intent = {}) {
+    const { symbol, side, amount } = conversion;
+    
+    const [symbolInfo, price] = await Promise.all([
+      this.binanceClient.getSymbolInfo(symbol),
+      this.binanceClient.getCurrentPrice(symbol)
+    ]);
+    
+    // BUY: quote asset лістингу - базовий актив пари, купуємо amount
+    // SELL: продаємо основний актив на amount quote asset лістингу
+    const quantity = side === constants.ORDER_SIDES.BUY
+      ? this.calculator.calculateQuantity(amount * price, price, symbolInfo)
+      : this.calculator.calculateQuantity(amount, price, symbolInfo);
+    
+    logger.trade(`🔀 Конвертація через ${symbol}: ${side} ${quantity} @ ~${price}`);
+    
+    return side === constants.ORDER_SIDES.BUY
+      ? this.orderManager.placeMarketBuyOrder(symbol, quantity, { intent })
+      : this.orderManager.placeMarketSellOrder(symbol, quantity, intent);
+  }
+
   /**
    * Оцінка ризику торгівлі
    */
@@ -434,6 +798,8 @@ class TradingService extends EventEmitter {
       }
     }
 
+    baseStatus.risk = this.riskEngine.getStatus();
+
     if (this.binanceClient?.isMainnet) {
       baseStatus.safetyFeatures = this.binanceClient.safetyFeatures;
       baseStatus.dailyStats = this.binanceClient.dailyStats;
@@ -481,6 +847,8 @@ class TradingService extends EventEmitter {
       clearInterval(this.positionMonitorInterval);
     }
     
+    this.symbolTags.stopRefresh();
+    
     // Безпечне завершення клієнта
     if (this.binanceClient?.safeShutdown) {
       await this.binanceClient.safeShutdown();
@@ -513,6 +881,129 @@ class TradingService extends EventEmitter {
     }
   }
 
+  /**
+   * Звірка незавершених ордерів журналу з біржею
+   * Виконана купівля входу без активної позиції означає збій посеред executeBuy - позицію відновлюємо
+   */
+  async reconcileOrders() {
+    try {
+      const { executed } = await this.orderJournal.reconcile(this.binanceClient);
+      const entries = new Map(); // ref лістингу -> виконані ордери входу
+      
+      for (const order of executed) {
+        if (order.side !== constants.ORDER_SIDES.BUY || this.activePositions.has(order.symbol)) continue;
+        
+        if (order.ref?.startsWith('listing:') && order.purpose?.startsWith('entry')) {
+          entries.set(order.ref, [...(entries.get(order.ref) || []), order]);
+          continue;
+        }
+        
+        logger.error(`🚨 ${order.symbol}: купівлю ${order.clientOrderId} виконано (${order.executedQty}), але позиції немає - перевірте баланс вручну`);
+        
+        this.emit('orphanOrder', {
+          ...order,
+          environment: this.binanceClient.environment
+        });
+      }
+      
+      for (const [ref, orders] of entries) {
+        await this.recoverPosition(ref, orders);
+      }
+      
+    } catch (error) {
+      logger.error('❌ Помилка звірки ордерів:', error);
+    }
+  }
+
+  /**
+   * Відновлення позиції з виконаних ордерів входу лістингу (ref)
+   * Кількість і ціна беруться з фактичних виконань, далі позиція отримує TP/SL як після executeBuy
+   */
+  async recoverPosition(ref, orders) {
+    const symbol = orders[0].symbol;
+    
+    try {
+      // Дочірні ордери входу, звірені ще до збою, теж належать позиції
+      const known = await this.orderJournal.getExecutedOrders(ref);
+      const entryOrders = [
+        ...orders,
+        ...known.filter(record => record.symbol === symbol &&
+          record.purpose?.startsWith('entry') &&
+          !orders.some(order => order.clientOrderId === record.clientOrderId))
+      ].map(order => ({
+        ...order,
+        executedQty: parseFloat(order.executedQty),
+        cummulativeQuoteQty: parseFloat(order.cummulativeQuoteQty) || 0
+      })).sort((a, b) => (a.time || 0) - (b.time || 0));
+      
+      const symbolInfo = await this.binanceClient.getSymbolInfo(symbol);
+      const assets = { baseAsset: symbolInfo.baseAsset, quoteAsset: symbolInfo.quoteAsset };
+      const entryFills = await this.fillLedger.summarize(
+        await this.fillLedger.collect(symbol, entryOrders),
+        assets
+      );
+      
+      const executedQty = entryOrders.reduce((sum, order) => sum + order.executedQty, 0);
+      const quoteQty = entryOrders.reduce((sum, order) => sum + order.cummulativeQuoteQty, 0);
+      const lotSize = getSymbolFilter(symbolInfo, 'LOT_SIZE');
+      const quantity = entryFills.qty > 0
+        ? floorToStep(entryFills.qty - entryFills.baseCommission, lotSize ? parseFloat(lotSize.stepSize) : 0)
+        : executedQty;
+      const entryPrice = entryFills.avgPrice || (executedQty > 0 ? quoteQty / executedQty : 0);
+      const listingSymbol = ref.slice('listing:'.length);
+      
+      const position = {
+        symbol,
+        orderId: entryOrders[0].orderId,
+        quantity,
+        requestedQuantity: executedQty,
+        entryStatus: constants.ORDER_STATUS.FILLED,
+        exitedQuantity: 0,
+        entryPrice,
+        entryTime: new Date(entryOrders[0].time || Date.now()),
+        status: constants.POSITION_STATUS.OPEN,
+        side: constants.ORDER_SIDES.BUY,
+        environment: this.binanceClient.environment,
+        quoteAsset: assets.quoteAsset,
+        route: listingSymbol !== symbol ? { listingSymbol, conversion: null } : null,
+        baseAsset: assets.baseAsset,
+        tags: this.symbolTags.getTags(symbol, assets.baseAsset),
+        execution: { orders: entryOrders },
+        fills: { entry: entryFills },
+        commission: entryFills.commissionQuote,
+        trailing: this.createTrailingSettings(entryPrice)
+      };
+      
+      await this.database.savePosition(position);
+      this.activePositions.set(symbol, position);
+      await this.refreshBalance();
+      
+      logger.warn(`♻️ ${symbol}: позицію відновлено з журналу ордерів (${quantity} за ${entryPrice})`);
+      
+      const protection = await this.setTakeProfitStopLoss({ position });
+      
+      this.emit('positionRecovered', {
+        ...position,
+        protected: protection.success,
+        environment: this.binanceClient.environment
+      });
+      
+      return { success: true, position };
+      
+    } catch (error) {
+      logger.error(`🚨 ${symbol}: не вдалося відновити позицію з журналу ордерів - перевірте баланс вручну:`, error);
+      
+      for (const order of orders) {
+        this.emit('orphanOrder', {
+          ...order,
+          environment: this.binanceClient.environment
+        });
+      }
+      
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Отримання доступного балансу
    */
@@ -534,31 +1025,39 @@ class TradingService extends EventEmitter {
       logger.trade(`⚙️ Встановлення TP/SL для ${symbol} в ${this.binanceClient.environment}`);
       
       // Розраховуємо ціни TP та SL
+      // Відстань до stop loss з розміру за волатильністю, інакше типова
       const prices = this.calculator.calculateTPSL(
         entryPrice,
         config.trading.defaultTP,
-        config.trading.defaultSL
+        position.stopDistance || config.trading.defaultSL
       );
       
       let result;
       
+      // Драбина TP: OCO на кожному рівні і stop loss на кількість поза рівнями
+      if (config.trading.takeProfitLadder.levels.length > 0) {
+        result = await this.placeTakeProfitLadder(position, prices);
+      }
+      
       // Спробуємо створити OCO ордер
-      if (config.trading.useOCO) {
+      if (!result && config.trading.useOCO) {
         result = await this.orderManager.placeOCOOrder(
           symbol,
           quantity,
           prices.takeProfit,
-          prices.stopLoss
+          prices.stopLoss,
+          this.getOrderIntent(position, 'protection')
         );
       }
       
       // Якщо OCO не вдалося або не підтримується - створюємо окремі ордери
-      if (!result || !result.success) {
+      // (непокриту кількість драбини, яку біржа не прийняла, стереже програмний стоп)
+      if (!result?.levels && (!result || !result.success)) {
         logger.warn('⚠️ OCO ордер не вдався, створюємо окремі ордери');
         
         const [tpResult, slResult] = await Promise.all([
-          this.orderManager.placeLimitSellOrder(symbol, quantity, prices.takeProfit),
-          this.orderManager.placeStopLossOrder(symbol, quantity, prices.stopLoss)
+          this.orderManager.placeLimitSellOrder(symbol, quantity, prices.takeProfit, this.getOrderIntent(position, 'protection')),
+          this.orderManager.placeStopLossOrder(symbol, quantity, prices.stopLoss, this.getOrderIntent(position, 'protection'))
         ]);
         
         result = {
@@ -573,6 +1072,11 @@ class TradingService extends EventEmitter {
       position.stopLossPrice = prices.stopLoss;
       position.tpOrderId = result.tpOrder?.orderId || result.orders?.[0]?.orderId;
       position.slOrderId = result.slOrder?.orderId || result.orders?.[1]?.orderId;
+      position.orderListId = result.orderListId || null;
+      position.takeProfitLevels = result.levels || null;
+      
+      // Без stop loss на біржі ціну відстежує програмний стоп
+      this.updateSoftStopState(position);
       
       await this.database.updatePosition(position);
       
@@ -599,6 +1103,152 @@ class TradingService extends EventEmitter {
     }
   }
 
+  /**
+   * Драбина take profit: OCO ордер на кожному рівні (ліміт на рівні та stop loss на його кількість)
+   * і окремий stop loss на кількість, яку рівні не покривають
+   * Відкритий ордер на спот блокує баланс, тому stop loss на всю кількість біржа відхилила б;
+   * рівень, що не проходить фільтри символу або не прийнятий біржею, лишається в непокритій кількості
+   */
+  async placeTakeProfitLadder(position, prices) {
+    const { symbol, quantity, entryPrice } = position;
+    const { levels, remainder } = config.trading.takeProfitLadder;
+    
+    const symbolInfo = await this.binanceClient.getSymbolInfo(symbol);
+    const lotSize = getSymbolFilter(symbolInfo, 'LOT_SIZE');
+    const stepSize = lotSize ? parseFloat(lotSize.stepSize) : 0;
+    
+    const plan = levels.map(({ fraction, percent }) => ({ fraction, percent, quantity: floorToStep(quantity * fraction, stepSize) }));
+    
+    // Залишок продається на DEFAULT_TP_PERCENT або підтягується trailing stop
+    if (remainder === 'tp') {
+      const planned = plan.reduce((sum, level) => sum + level.quantity, 0);
+      plan.push({ fraction: null, percent: config.trading.defaultTP, quantity: floorToStep(quantity - planned, stepSize) });
+    } else {
+      position.trailing = { ...position.trailing, enabled: true };
+    }
+    
+    const placed = [];
+    
+    for (const level of plan) {
+      const price = this.entryExecutor.roundPrice(entryPrice * (1 + level.percent), symbolInfo);
+      
+      if (!this.entryExecutor.isTradable(level.quantity, price, symbolInfo)) {
+        logger.warn(`⚠️ ${symbol}: рівень TP +${(level.percent * 100).toFixed(1)}% (${level.quantity}) не проходить фільтри, пропущено`);
+        continue;
+      }
+      
+      placed.push(await this.placeLadderLevel(position, {
+        level: placed.length + 1,
+        fraction: level.fraction,
+        percent: level.percent,
+        price,
+        quantity: level.quantity
+      }, prices.stopLoss));
+    }
+    
+    position.takeProfitLevels = placed;
+    const slResult = await this.placeUncoveredStopLoss(position, prices.stopLoss, symbolInfo);
+    
+    logger.trade(`🪜 Драбина TP ${symbol}: ${placed.map(level => `${level.quantity} @ ${level.price}`).join(', ')}`);
+    
+    return {
+      success: placed.every(level => level.orderId) && (!slResult || slResult.success),
+      levels: placed,
+      slOrder: slResult
+    };
+  }
+
+  /**
+   * OCO ордер рівня драбини TP на кількість рівня; новий ордер рахує виконання з нуля
+   */
+  async placeLadderLevel(position, level, stopPrice) {
+    const { symbol } = position;
+    const result = await this.orderManager.placeOCOOrder(
+      symbol,
+      level.quantity,
+      level.price,
+      stopPrice,
+      this.getOrderIntent(position, `ladder-${level.level}`)
+    );
+    
+    if (!result.success) {
+      logger.error(`❌ Не вдалося розмістити рівень TP ${level.level} ${symbol} @ ${level.price}: ${result.error}`);
+    }
+    
+    return {
+      ...level,
+      filledQty: 0,
+      orderId: result.success ? result.orders[0]?.orderId : null,
+      slOrderId: result.success ? result.orders[1]?.orderId : null,
+      orderListId: result.success ? result.orderListId || null : null,
+      status: result.success ? constants.ORDER_STATUS.NEW : constants.ORDER_STATUS.REJECTED
+    };
+  }
+
+  /**
+   * Кількість позиції, яку не покривають OCO рівнів драбини TP
+   */
+  getUncoveredQuantity(position, stepSize = 0) {
+    const covered = this.getOpenLadderLevels(position)
+      .filter(level => level.slOrderId)
+      .reduce((sum, level) => sum + level.quantity - level.filledQty, 0);
+    
+    // Кількості кратні кроку лоту, округлення прибирає похибку суми з плаваючою комою
+    return floorToStep(Math.max(parseFloat((position.quantity - covered).toFixed(8)), 0), stepSize);
+  }
+
+  /**
+   * Stop loss на кількість поза рівнями драбини; null, якщо рівні покривають усю позицію
+   */
+  async placeUncoveredStopLoss(position, stopPrice, symbolInfo) {
+    const lotSize = getSymbolFilter(symbolInfo, 'LOT_SIZE');
+    const quantity = this.getUncoveredQuantity(position, lotSize ? parseFloat(lotSize.stepSize) : 0);
+    
+    if (!(quantity > 0)) return null;
+    
+    const slResult = await this.orderManager.placeStopLossOrder(position.symbol, quantity, stopPrice, this.getOrderIntent(position, 'protection'));
+    
+    if (!slResult.success) {
+      logger.error(`❌ Не вдалося розмістити stop loss ${position.symbol} на ${quantity}: ${slResult.error}`);
+    }
+    
+    return slResult;
+  }
+
+  /**
+   * Відкриті рівні драбини TP позиції
+   */
+  getOpenLadderLevels(position) {
+    return (position.takeProfitLevels || []).filter(level => level.status !== constants.ORDER_STATUS.FILLED);
+  }
+
+  /**
+   * Рівень драбини TP, якому належить ордер (ліміт або stop loss його OCO)
+   */
+  getLadderLevel(position, orderId) {
+    return (position.takeProfitLevels || []).find(level => [level.orderId, level.slOrderId]
+      .some(id => id && String(id) === String(orderId))) || null;
+  }
+
+  /**
+   * Ідентифікатори всіх захисних ордерів позиції: TP (або обидва леги OCO рівнів драбини) та SL
+   */
+  getProtectiveOrderIds(position) {
+    const takeProfitIds = position.takeProfitLevels?.length
+      ? this.getOpenLadderLevels(position).flatMap(level => [level.orderId, level.slOrderId])
+      : [position.tpOrderId];
+    
+    return [...takeProfitIds, position.slOrderId].filter(Boolean);
+  }
+
+  /**
+   * Чи є ордер take profit позиції (єдиний TP або ліміт рівня драбини)
+   */
+  isTakeProfitOrder(position, orderId) {
+    return String(orderId) === String(position.tpOrderId) ||
+      (position.takeProfitLevels || []).some(level => level.orderId && String(level.orderId) === String(orderId));
+  }
+
   /**
    * Моніторинг активних позицій
    */
@@ -621,10 +1271,15 @@ class TradingService extends EventEmitter {
     const positions = Array.from(this.activePositions.values());
     
     for (const position of positions) {
+      // Позицію вже закриває forceExit
+      if (this.exitingPositions.has(position.symbol)) continue;
+      
       try {
         // Отримуємо поточну ціну
-        const currentPrice = await this.binanceClient.getCurrentPrice(position.symbol);
+        const currentPrice = await this.getMarketPrice(position.symbol);
+        const spread = this.marketData.getSpread(position.symbol);
         position.currentPrice = currentPrice;
+        position.spreadPercent = spread ? spread.spreadPercent : null;
         
         // Розраховуємо P&L
         const pnl = this.calculator.calculatePnL(
@@ -636,15 +1291,32 @@ class TradingService extends EventEmitter {
         position.pnl = pnl.amount;
         position.pnlPercent = pnl.percentage;
         
-        // Оновлюємо статус позиції
-        const newStatus = this.determinePositionStatus(pnl.percentage);
+        // Під час паузи торгів біржа не приймає ордери - виходи чекають відновлення
+        if (this.pausedSymbols.has(position.symbol)) continue;
+        
+        // Оновлюємо статус позиції (частково закрита лишається такою до повного закриття)
+        const newStatus = position.exitedQuantity > 0
+          ? constants.POSITION_STATUS.PARTIALLY_CLOSED
+          : this.determinePositionStatus(pnl.percentage);
         if (newStatus !== position.status) {
           position.status = newStatus;
           await this.database.updatePosition(position);
         }
         
-        // Перевіряємо статус ордерів
-        if (position.tpOrderId || position.slOrderId) {
+        // Програмний stop loss, поки біржа не приймає захисні ордери
+        if (await this.checkSoftStop(position, currentPrice)) continue;
+        
+        // Виходи за часом утримання та відсутністю нового максимуму
+        if (await this.evaluateTimeExits(position, currentPrice)) continue;
+        
+        // Підтягуємо trailing stop за максимальною ціною
+        if (position.trailing?.enabled) {
+          await this.updateTrailingStop(position, currentPrice);
+          if (!this.activePositions.has(position.symbol)) continue;
+        }
+        
+        // Перевіряємо статус ордерів (у драбини TP може не бути ні tpOrderId, ні окремого stop loss)
+        if (this.getProtectiveOrderIds(position).length > 0) {
           await this.checkOrderStatus(position);
         }
         
@@ -655,6 +1327,7 @@ class TradingService extends EventEmitter {
           currentPrice,
           pnl: pnl.amount,
           pnlPercent: pnl.percentage,
+          spreadPercent: position.spreadPercent,
           environment: position.environment
         });
         
@@ -663,30 +1336,432 @@ class TradingService extends EventEmitter {
       }
     }
 
+    // Денний P&L і просідання з урахуванням нереалізованого результату
+    await this.updateRiskMarkToMarket();
+
     // Виводимо статус після перевірки всіх позицій
     this.logTradingStatus();
   }
 
   /**
-   * Перевірка статусу ордерів
+   * Угода з потоку @trade: оновлення кешу цін і перевірка програмного стопу без очікування циклу моніторингу
    */
-  async checkOrderStatus(position) {
-    try {
-      const orders = await this.binanceClient.getOpenOrders(position.symbol);
-      
-      const tpOrder = orders.find(o => o.orderId === position.tpOrderId);
-      const slOrder = orders.find(o => o.orderId === position.slOrderId);
-      
-      // Якщо один з ордерів виконано - закриваємо позицію
-      if ((!tpOrder && position.tpOrderId) || (!slOrder && position.slOrderId)) {
-        const filledOrder = await this.binanceClient.getOrder(
-          position.symbol,
-          position.tpOrderId || position.slOrderId
-        );
+  handleTrade(trade) {
+    this.marketData.updateTrade(trade);
+    
+    const position = this.activePositions.get(trade.symbol);
+    
+    if (position?.softStop?.active && trade.price <= position.stopLossPrice && !this.exitingPositions.has(trade.symbol)) {
+      this.triggerSoftStop(position, trade.price)
+        .catch(error => logger.error(`❌ Помилка програмного стопу ${trade.symbol}:`, error));
+    }
+  }
+
+  /**
+   * Стан програмного stop loss: активний, поки позиція має ціну stop loss, але не має ордера на біржі
+   * Повертає true, якщо стан змінився
+   */
+  updateSoftStopState(position) {
+    if (!config.trading.softStop.enabled) return false;
+    
+    const { symbol } = position;
+    const isNeeded = Boolean(position.stopLossPrice) && !this.hasStopLossOrder(position);
+    
+    if (isNeeded && !position.softStop?.active) {
+      position.softStop = { active: true, since: Date.now(), attempts: 0, lastAttemptAt: Date.now() };
+      
+      logger.warn(`🛡️ ${symbol}: біржа не прийняла stop loss, бот сам стежить за ціною ${position.stopLossPrice}`);
+      
+      this.emit('softStopActivated', {
+        ...position,
+        environment: this.binanceClient.environment
+      });
+      return true;
+    }
+    
+    if (!isNeeded && position.softStop?.active) {
+      position.softStop = { ...position.softStop, active: false, resolvedAt: Date.now() };
+      
+      logger.trade(`✅ ${symbol}: stop loss прийнято біржею після ${position.softStop.attempts} спроб, програмний стоп вимкнено`);
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Програмний stop loss: продаж ринком при перетині ціни stop loss
+   * та періодичні спроби розмістити захисні ордери на біржі
+   * Повертає true, якщо позицію закрито
+   */
+  async checkSoftStop(position, currentPrice) {
+    if (this.updateSoftStopState(position)) {
+      await this.database.updatePosition(position);
+    }
+    
+    if (!position.softStop?.active) return false;
+    
+    if (currentPrice <= position.stopLossPrice) {
+      return this.triggerSoftStop(position, currentPrice);
+    }
+    
+    if (Date.now() - position.softStop.lastAttemptAt >= config.trading.softStop.retryInterval) {
+      await this.retryProtectiveOrders(position);
+    }
+    
+    return false;
+  }
+
+  /**
+   * Повторне розміщення відсутніх захисних ордерів; наявні ордери не чіпаємо
+   */
+  async retryProtectiveOrders(position) {
+    position.softStop = {
+      ...position.softStop,
+      attempts: position.softStop.attempts + 1,
+      lastAttemptAt: Date.now()
+    };
+    
+    await this.restoreProtection(position, this.getProtectiveOrderIds(position).map(String));
+    
+    this.updateSoftStopState(position);
+    await this.database.updatePosition(position);
+  }
+
+  /**
+   * Продаж ринком за програмним stop loss
+   */
+  async triggerSoftStop(position, price) {
+    const { symbol } = position;
+    
+    logger.warn(`🛑 ${symbol}: ціна ${price} перетнула stop loss ${position.stopLossPrice}, продаж ринком (програмний стоп)`);
+    
+    position.softStop = { ...position.softStop, triggeredAt: Date.now(), triggerPrice: price };
+    
+    const result = await this.forceExit(symbol, this.getStopCloseReason(position));
+    return result.success;
+  }
+
+  /**
+   * Типові налаштування trailing stop для нової позиції
+   */
+  createTrailingSettings(entryPrice) {
+    const { enabled, activation, percent, step } = config.trading.trailingStop;
+    
+    return {
+      enabled,
+      activation,
+      percent,
+      step,
+      active: false,
+      highWaterMark: entryPrice
+    };
+  }
+
+  /**
+   * Налаштування trailing stop окремої позиції
+   */
+  async setTrailingStop(symbol, settings = {}) {
+    const position = this.activePositions.get(symbol);
+    
+    if (!position) {
+      return { success: false, error: 'Position not found' };
+    }
+    
+    const { enabled, activation, percent, step } = settings;
+    
+    if (percent !== undefined && !(percent > 0 && percent < 1)) {
+      return { success: false, error: 'Trail percent must be between 0 and 1' };
+    }
+    if (activation !== undefined && !(activation >= 0)) {
+      return { success: false, error: 'Activation threshold must be non-negative' };
+    }
+    if (step !== undefined && !(step >= 0 && step < 1)) {
+      return { success: false, error: 'Step must be between 0 and 1' };
+    }
+    
+    const updates = Object.fromEntries(
+      Object.entries({ enabled, activation, percent, step }).filter(([, value]) => value !== undefined)
+    );
+    
+    position.trailing = {
+      ...this.createTrailingSettings(position.entryPrice),
+      ...position.trailing,
+      ...updates
+    };
+    
+    await this.database.updatePosition(position);
+    
+    logger.trade(`⚙️ Trailing stop ${symbol}: ${JSON.stringify(position.trailing)}`);
+    
+    return { success: true, trailing: position.trailing };
+  }
+
+  /**
+   * Trailing stop: оновлення максимальної ціни та переставлення stop loss
+   * Після активації stop loss тримається на відстані percent від максимуму
+   * і переставляється, коли піднявся більше ніж на step від поточного
+   */
+  async updateTrailingStop(position, currentPrice) {
+    const { symbol } = position;
+    const trailing = { ...position.trailing };
+    
+    if (currentPrice > (trailing.highWaterMark || 0)) {
+      trailing.highWaterMark = currentPrice;
+    }
+    
+    const isActivated = !trailing.active && trailing.highWaterMark >= position.entryPrice * (1 + trailing.activation);
+    if (isActivated) {
+      trailing.active = true;
+      logger.trade(`📈 Trailing stop ${symbol} активовано на ${trailing.highWaterMark}`);
+    }
+    
+    position.trailing = trailing;
+    
+    if (isActivated) {
+      await this.database.updatePosition(position);
+    }
+    
+    if (!trailing.active) return;
+    
+    const stopPrice = this.calculator.calculateTrailingStopLoss(
+      position.entryPrice,
+      trailing.highWaterMark,
+      trailing.percent
+    );
+    
+    // Ціна вже нижча за trailing stop: стоп-ордер з такою ціною біржа не прийме
+    if (currentPrice <= stopPrice) {
+      logger.trade(`📉 ${symbol}: ціна ${currentPrice} перетнула trailing stop ${stopPrice}`);
+      await this.forceExit(symbol, constants.CLOSE_REASONS.TRAILING_STOP);
+      return;
+    }
+    
+    if (stopPrice <= (position.stopLossPrice || 0) * (1 + trailing.step)) return;
+    
+    const previousStopPrice = position.stopLossPrice;
+    const newStopPrice = await this.replaceStopLoss(position, stopPrice);
+    if (newStopPrice === null) return;
+    
+    position.trailing = { ...position.trailing, stopPrice: newStopPrice, updatedAt: Date.now() };
+    
+    await this.database.updatePosition(position);
+    
+    logger.trade(`🔼 Trailing stop ${symbol}: ${previousStopPrice} → ${newStopPrice} (максимум ${position.trailing.highWaterMark})`);
+    
+    this.emit('trailingStopUpdated', {
+      ...position,
+      previousStopPrice,
+      environment: this.binanceClient.environment
+    });
+  }
+
+  /**
+   * Правила виходу за часом для позицій лістингів
+   * Продаж після максимального часу утримання або якщо ціна не оновлювала максимум протягом вікна,
+   * підтягування stop loss до ціни після заданого часу
+   * Повертає true, якщо позицію закрито
+   */
+  async evaluateTimeExits(position, currentPrice) {
+    const { symbol } = position;
+    const { maxHoldMinutes, noNewHighMinutes, tightenAfterMinutes, tightenStopPercent } = config.trading.timeExits;
+    const now = Date.now();
+    const entryTime = new Date(position.entryTime).getTime();
+    const heldMinutes = (now - entryTime) / 60000;
+    
+    if (currentPrice > (position.highPrice || 0)) {
+      position.highPrice = currentPrice;
+      position.highPriceAt = new Date(now);
+      await this.database.updatePosition(position);
+    }
+    
+    if (maxHoldMinutes > 0 && heldMinutes >= maxHoldMinutes) {
+      logger.trade(`⏰ ${symbol}: утримується ${heldMinutes.toFixed(1)} хв, ліміт ${maxHoldMinutes} хв`);
+      const result = await this.forceExit(symbol, constants.CLOSE_REASONS.TIME_EXIT);
+      return result.success;
+    }
+    
+    const highAt = position.highPriceAt ? new Date(position.highPriceAt).getTime() : entryTime;
+    if (noNewHighMinutes > 0 && now - highAt >= noNewHighMinutes * 60000) {
+      logger.trade(`⏰ ${symbol}: немає нового максимуму ${position.highPrice} протягом ${noNewHighMinutes} хв`);
+      const result = await this.forceExit(symbol, constants.CLOSE_REASONS.NO_NEW_HIGH);
+      return result.success;
+    }
+    
+    if (tightenAfterMinutes > 0 && heldMinutes >= tightenAfterMinutes && !position.stopTightenedAt) {
+      const stopPrice = currentPrice * (1 - tightenStopPercent);
+      
+      // Stop loss лише підтягується, нижчий за поточний не ставимо
+      if (stopPrice > (position.stopLossPrice || 0)) {
+        const previousStopPrice = position.stopLossPrice;
+        const newStopPrice = await this.replaceStopLoss(position, stopPrice);
+        if (newStopPrice === null) return false;
         
-        if (filledOrder && filledOrder.status === constants.ORDER_STATUS.FILLED) {
-          await this.closePosition(position, filledOrder);
-        }
+        logger.trade(`⏰ ${symbol}: stop loss підтягнуто після ${tightenAfterMinutes} хв: ${previousStopPrice} → ${newStopPrice}`);
+      }
+      
+      position.stopTightenedAt = new Date(now);
+      await this.database.updatePosition(position);
+    }
+    
+    return false;
+  }
+
+  /**
+   * Переставлення stop loss на нову ціну
+   * Скасування лега OCO скасовує весь список, тому OCO ставиться заново разом з TP;
+   * якщо біржа відхилила нову ціну, повертається старий stop loss
+   * Повертає нову ціну stop loss або null, якщо stop loss не переставлено
+   */
+  async replaceStopLoss(position, stopPrice) {
+    const { symbol } = position;
+    const symbolInfo = await this.binanceClient.getSymbolInfo(symbol);
+    const newStopPrice = this.entryExecutor.roundPrice(stopPrice, symbolInfo);
+    const previousStopPrice = position.stopLossPrice;
+    
+    if (position.slOrderId) {
+      const cancelResult = await this.orderManager.cancelOrder(symbol, position.slOrderId);
+      
+      if (!cancelResult.success) {
+        logger.warn(`⚠️ Не вдалося скасувати stop loss ${symbol}: ${cancelResult.error}`);
+        return null;
+      }
+    }
+    
+    position.stopLossPrice = newStopPrice;
+    
+    if (position.takeProfitLevels?.length) {
+      // Stop loss драбини - це леги OCO рівнів і stop loss поза рівнями, переставляються всі
+      await this.restoreLadderLevels(position, []);
+    } else if (position.orderListId) {
+      await this.restoreProtection(position);
+    } else {
+      position.slOrderId = null;
+      await this.restoreProtection(position, [position.tpOrderId].filter(Boolean).map(String));
+    }
+    
+    if (this.hasStopLossOrder(position)) {
+      return newStopPrice;
+    }
+    
+    logger.warn(`⚠️ ${symbol}: біржа не прийняла stop loss ${newStopPrice}, повертаємо ${previousStopPrice}`);
+    
+    position.stopLossPrice = previousStopPrice;
+    await this.restoreProtection(position, this.getProtectiveOrderIds(position).map(String));
+    
+    return null;
+  }
+
+  /**
+   * Чи захищена вся кількість позиції stop loss ордерами на біржі
+   */
+  hasStopLossOrder(position) {
+    return Boolean(position.slOrderId) || this.getUncoveredQuantity(position) === 0;
+  }
+
+  /**
+   * Кількість базового активу позиції, не заблокована відкритими ордерами
+   * Stop loss на більшу кількість біржа відхилить
+   */
+  async getFreeQuantity(position, symbolInfo) {
+    try {
+      await this.updateAccountInfo();
+    } catch (error) {
+      logger.warn(`⚠️ ${position.symbol}: вільна кількість за останнім відомим балансом`);
+    }
+    
+    const lotSize = getSymbolFilter(symbolInfo, 'LOT_SIZE');
+    const { baseAsset } = this.getPositionAssets(position);
+    
+    return floorToStep(Math.min(position.quantity, this.getAvailableBalance(baseAsset)), lotSize ? parseFloat(lotSize.stepSize) : 0);
+  }
+
+  /**
+   * Причина закриття за stop loss: trailing stop, якщо він уже підтягував ордер,
+   * або підтягнутий за часом stop loss
+   */
+  getStopCloseReason(position) {
+    if (position.trailing?.active) {
+      return constants.CLOSE_REASONS.TRAILING_STOP;
+    }
+    
+    return position.stopTightenedAt
+      ? constants.CLOSE_REASONS.TIME_STOP
+      : constants.CLOSE_REASONS.STOP_LOSS;
+  }
+
+  /**
+   * Облік затримки від виявлення лістингу до виконання ордера
+   */
+  recordLatency(listingData, latency) {
+    const stages = getLatencyTracker().record({
+      monitor: listingData.source,
+      environment: this.binanceClient.environment || listingData.environment,
+      latency
+    });
+
+    if (stages) {
+      logger.trade(`⏱️ ${listingData.symbol}: від виявлення до виконання ${stages.detectionToFill}ms`, stages);
+    }
+
+    // Помилка збереження затримок не впливає на відкриту позицію
+    this.database.updateListing(listingData.symbol, { latency })
+      .catch(error => logger.warn(`⚠️ Не вдалося зберегти затримки ${listingData.symbol}: ${error.message}`));
+  }
+
+  /**
+   * Поточна ціна символу
+   * Береться з кешу WebSocket потоків, REST запит лише якщо даних немає або вони застаріли
+   */
+  async getMarketPrice(symbol) {
+    const cachedPrice = this.marketData.getPrice(symbol);
+    if (cachedPrice !== null) {
+      return cachedPrice;
+    }
+
+    return this.binanceClient.getCurrentPrice(symbol);
+  }
+
+  /**
+   * Перевірка статусу ордерів
+   * Повне виконання TP/SL закриває позицію, часткове - зменшує її до залишку,
+   * зниклий без виконання захисний ордер переставляється на залишок
+   */
+  async checkOrderStatus(position) {
+    try {
+      const openOrders = await this.binanceClient.getOpenOrders(position.symbol);
+      const openIds = openOrders.map(o => String(o.orderId));
+      const orders = [];
+      
+      // Стан усіх ордерів потрібен до рішення: після виконання SL біржа скасовує TP в OCO
+      for (const orderId of this.getProtectiveOrderIds(position)) {
+        const openOrder = openOrders.find(o => String(o.orderId) === String(orderId));
+        orders.push(openOrder || await this.binanceClient.getOrder(position.symbol, orderId));
+      }
+      
+      await this.orderJournal.syncOrders(orders);
+      
+      // З драбиною кожен ордер (рівень або stop loss поза рівнями) закриває лише свою частину позиції
+      const filledOrder = orders.find(o => o.status === constants.ORDER_STATUS.FILLED);
+      if (filledOrder && position.takeProfitLevels?.length) {
+        await this.applyPartialExit(position, filledOrder, openIds);
+        return;
+      }
+      if (filledOrder) {
+        await this.closePosition(position, filledOrder);
+        return;
+      }
+      
+      const partialOrder = orders.find(o => parseFloat(o.executedQty) > this.getExitedOrderQty(position, o.orderId));
+      if (partialOrder) {
+        await this.applyPartialExit(position, partialOrder, openIds);
+        return;
+      }
+      
+      if (orders.some(o => !openIds.includes(String(o.orderId)))) {
+        logger.warn(`⚠️ Захисний ордер ${position.symbol} скасовано без виконання, переставляємо`);
+        await this.restoreProtection(position, openIds);
+        await this.database.updatePosition(position);
       }
       
     } catch (error) {
@@ -694,6 +1769,221 @@ class TradingService extends EventEmitter {
     }
   }
 
+  /**
+   * Виконана кількість ордера виходу, вже врахована в позиції
+   */
+  getExitedOrderQty(position, orderId) {
+    return position.fills?.exitOrders?.[orderId]?.executedQty || 0;
+  }
+
+  /**
+   * Часткове виконання TP або SL: позиція зменшується до залишку і лишається відкритою,
+   * захисні ордери переставляються на залишкову кількість
+   */
+  async applyPartialExit(position, order, openIds) {
+    const { symbol } = position;
+    const filledQty = parseFloat(order.executedQty) - this.getExitedOrderQty(position, order.orderId);
+    const closeReason = this.isTakeProfitOrder(position, order.orderId)
+      ? constants.CLOSE_REASONS.TAKE_PROFIT
+      : this.getStopCloseReason(position);
+    const level = this.getLadderLevel(position, order.orderId);
+    
+    const symbolInfo = await this.binanceClient.getSymbolInfo(symbol);
+    const lotSize = getSymbolFilter(symbolInfo, 'LOT_SIZE');
+    
+    await this.recordExitFills(position, order, { reason: closeReason, level: level?.level });
+    
+    const previousStopPrice = position.stopLossPrice;
+    if (level) {
+      this.updateLadderLevel(position, level, order);
+    }
+    
+    position.quantity = floorToStep(position.quantity - filledQty, lotSize ? parseFloat(lotSize.stepSize) : 0);
+    position.exitedQuantity = (position.exitedQuantity || 0) + filledQty;
+    position.status = constants.POSITION_STATUS.PARTIALLY_CLOSED;
+    
+    logger.trade(`✂️ ${symbol}: ${closeReason} виконано частково (${filledQty}), залишок ${position.quantity} [${this.binanceClient.environment}]`);
+    
+    // Залишок, який не пройде фільтри символу, вже не продати - позиція закрита
+    const price = position.currentPrice || await this.getMarketPrice(symbol);
+    if (!this.entryExecutor.isTradable(position.quantity, price, symbolInfo)) {
+      for (const orderId of this.getProtectiveOrderIds(position)) {
+        await this.orderManager.cancelOrder(symbol, orderId);
+      }
+      
+      const exitFills = position.fills.exit;
+      await this.finalizePosition(position, exitFills ? exitFills.avgPrice : parseFloat(order.price), closeReason, exitFills);
+      return;
+    }
+    
+    // Частково виконаний окремий ордер, що лишився відкритим, вже покриває залишок, OCO переставляється цілком;
+    // OCO рівнів драбини мають власну кількість і переставляються, лише якщо біржа скасувала лег
+    // або stop loss перенесено на беззбиток
+    const keepIds = position.takeProfitLevels?.length
+      ? (position.stopLossPrice === previousStopPrice ? openIds : [])
+      : openIds.filter(id => id === String(order.orderId));
+    await this.restoreProtection(position, keepIds);
+    
+    await this.database.updatePosition(position);
+    await this.refreshBalance();
+    
+    this.emit('positionPartiallyClosed', {
+      ...position,
+      closeReason,
+      filledQty,
+      level: level?.level,
+      environment: this.binanceClient.environment
+    });
+  }
+
+  /**
+   * Оновлення рівня драбини TP після виконання лега його OCO
+   * Виконання рахується за обома легами; перший повністю виконаний TP переносить stop loss на ціну входу
+   */
+  updateLadderLevel(position, level, order) {
+    const isFirstFill = !position.takeProfitLevels.some(l => l.status === constants.ORDER_STATUS.FILLED);
+    const isTakeProfit = String(order.orderId) === String(level.orderId);
+    
+    position.takeProfitLevels = position.takeProfitLevels.map(l => (l.level === level.level ? {
+      ...l,
+      filledQty: this.getExitedOrderQty(position, l.orderId) + this.getExitedOrderQty(position, l.slOrderId),
+      status: order.status
+    } : l));
+    
+    if (order.status !== constants.ORDER_STATUS.FILLED) return;
+    
+    if (!isTakeProfit) {
+      logger.trade(`🛑 ${position.symbol}: stop loss рівня TP ${level.level} виконано`);
+      return;
+    }
+    
+    logger.trade(`🪜 ${position.symbol}: рівень TP ${level.level} виконано @ ${level.price}`);
+    
+    if (isFirstFill && config.trading.takeProfitLadder.breakevenAfterFirst && position.stopLossPrice < position.entryPrice) {
+      logger.trade(`🛡️ ${position.symbol}: stop loss перенесено на беззбиток ${position.entryPrice}`);
+      position.stopLossPrice = position.entryPrice;
+    }
+  }
+
+  /**
+   * Переставлення TP/SL ордерів на поточну кількість позиції
+   * Ордери з keepIds не чіпаємо (OCO - лише якщо лишились обидва леги);
+   * скасування вже скасованого біржею ордера повертає "Unknown order"
+   */
+  async restoreProtection(position, keepIds = []) {
+    const { symbol, quantity } = position;
+    const isKept = orderId => Boolean(orderId) && keepIds.includes(String(orderId));
+    
+    if (position.takeProfitLevels?.length) {
+      await this.restoreLadderLevels(position, keepIds);
+      return;
+    }
+    
+    // Виконання або скасування одного лега OCO знімає другий, а скасування будь-якого лега - весь список,
+    // тож OCO переставляється цілком на поточну кількість
+    if (position.orderListId || (config.trading.useOCO && position.takeProfitPrice)) {
+      if (isKept(position.tpOrderId) && isKept(position.slOrderId)) return;
+      
+      for (const orderId of [position.tpOrderId, position.slOrderId].filter(Boolean)) {
+        await this.orderManager.cancelOrder(symbol, orderId);
+      }
+      
+      const result = await this.orderManager.placeOCOOrder(
+        symbol,
+        quantity,
+        position.takeProfitPrice,
+        position.stopLossPrice,
+        this.getOrderIntent(position, 'protection')
+      );
+      
+      if (result.success) {
+        position.tpOrderId = result.orders[0]?.orderId;
+        position.slOrderId = result.orders[1]?.orderId;
+        position.orderListId = result.orderListId || null;
+        return;
+      }
+      
+      logger.warn(`⚠️ Не вдалося переставити OCO для ${symbol}: ${result.error}, ставимо окремі ордери`);
+      
+      position.tpOrderId = null;
+      position.slOrderId = null;
+      keepIds = [];
+    }
+    
+    position.orderListId = null;
+    
+    if (!isKept(position.tpOrderId)) {
+      if (position.tpOrderId) {
+        await this.orderManager.cancelOrder(symbol, position.tpOrderId);
+      }
+      
+      const tpResult = await this.orderManager.placeLimitSellOrder(symbol, quantity, position.takeProfitPrice, this.getOrderIntent(position, 'protection'));
+      if (!tpResult.success) {
+        logger.error(`❌ Не вдалося переставити TP для ${symbol}: ${tpResult.error}`);
+      }
+      position.tpOrderId = tpResult.success ? tpResult.orderId : null;
+    }
+    
+    if (!isKept(position.slOrderId)) {
+      if (position.slOrderId) {
+        await this.orderManager.cancelOrder(symbol, position.slOrderId);
+      }
+      
+      // Окремий TP блокує свою кількість, stop loss ставиться лише на вільну
+      const symbolInfo = await this.binanceClient.getSymbolInfo(symbol);
+      const freeQuantity = await this.getFreeQuantity(position, symbolInfo);
+      const slResult = freeQuantity > 0
+        ? await this.orderManager.placeStopLossOrder(symbol, freeQuantity, position.stopLossPrice, this.getOrderIntent(position, 'protection'))
+        : { success: false, error: 'No free quantity' };
+      
+      if (!slResult.success) {
+        logger.error(`❌ Не вдалося переставити SL для ${symbol}: ${slResult.error}`);
+      }
+      position.slOrderId = slResult.success ? slResult.orderId : null;
+    }
+  }
+
+  /**
+   * Переставлення OCO невиконаних рівнів драбини TP на їх залишкову кількість
+   * і stop loss на кількість поза рівнями
+   * Stop loss поза рівнями блокує баланс, тому перед переставленням рівнів він знімається
+   */
+  async restoreLadderLevels(position, keepIds) {
+    const { symbol } = position;
+    const isKept = orderId => Boolean(orderId) && keepIds.includes(String(orderId));
+    const replaced = this.getOpenLadderLevels(position).filter(level => !isKept(level.orderId) || !isKept(level.slOrderId));
+    
+    const hasStopLoss = isKept(position.slOrderId) || (!position.slOrderId && this.getUncoveredQuantity(position) === 0);
+    if (replaced.length === 0 && hasStopLoss) return;
+    
+    if (position.slOrderId) {
+      await this.orderManager.cancelOrder(symbol, position.slOrderId);
+      position.slOrderId = null;
+    }
+    
+    const levels = [];
+    
+    for (const level of position.takeProfitLevels) {
+      if (!replaced.includes(level)) {
+        levels.push(level);
+        continue;
+      }
+      
+      // Скасування одного лега OCO скасовує весь список, другий поверне "Unknown order"
+      for (const orderId of [level.orderId, level.slOrderId].filter(Boolean)) {
+        await this.orderManager.cancelOrder(symbol, orderId);
+      }
+      
+      levels.push(await this.placeLadderLevel(position, { ...level, quantity: level.quantity - level.filledQty }, position.stopLossPrice));
+    }
+    
+    position.takeProfitLevels = levels;
+    
+    const symbolInfo = await this.binanceClient.getSymbolInfo(symbol);
+    const slResult = await this.placeUncoveredStopLoss(position, position.stopLossPrice, symbolInfo);
+    position.slOrderId = slResult?.success ? slResult.orderId : null;
+  }
+
   /**
    * Закриття позиції
    */
@@ -702,65 +1992,367 @@ class TradingService extends EventEmitter {
       logger.trade(`📊 Закриття позиції ${position.symbol} в ${this.binanceClient.environment}`);
       
       // Визначаємо причину закриття
-      const closeReason = filledOrder.orderId === position.tpOrderId
+      const closeReason = this.isTakeProfitOrder(position, filledOrder.orderId)
         ? constants.CLOSE_REASONS.TAKE_PROFIT
-        : constants.CLOSE_REASONS.STOP_LOSS;
+        : this.getStopCloseReason(position);
+      
+      // Скасовуємо решту захисних ордерів
+      for (const orderId of this.getProtectiveOrderIds(position)) {
+        if (String(orderId) !== String(filledOrder.orderId)) {
+          await this.orderManager.cancelOrder(position.symbol, orderId);
+        }
+      }
+      
+      // Ціна стоп- та ринкових ордерів у відповіді 0, тому беремо фактичні виконання
+      const { exitPrice, exitFills } = await this.reconcileExit(position, filledOrder, closeReason);
+      await this.finalizePosition(position, exitPrice, closeReason, exitFills);
+      
+    } catch (error) {
+      logger.error(`❌ Помилка закриття позиції ${position.symbol}:`, error);
+    }
+  }
+
+  /**
+   * Примусовий вихід з позиції ринковим ордером
+   * Скасовує TP/SL ордери та продає всю кількість
+   */
+  async forceExit(symbol, closeReason) {
+    const position = this.activePositions.get(symbol);
+    
+    if (!position) {
+      return { success: false, error: 'Position not found' };
+    }
+    
+    if (this.exitingPositions.has(symbol)) {
+      return { success: false, error: 'Exit already in progress' };
+    }
+    
+    this.exitingPositions.add(symbol);
+    
+    try {
+      logger.trade(`🚪 Примусовий вихід з ${symbol} (${closeReason}) в ${this.binanceClient.environment}`);
+      
+      // Скасування одного ордера OCO скасовує обидва, другий поверне "Unknown order"
+      for (const orderId of this.getProtectiveOrderIds(position)) {
+        const cancelResult = await this.orderManager.cancelOrder(symbol, orderId);
+        if (!cancelResult.success) {
+          logger.warn(`⚠️ Не вдалося скасувати ордер ${orderId} для ${symbol}: ${cancelResult.error}`);
+        }
+      }
       
-      // Скасовуємо протилежний ордер
-      const orderToCancel = closeReason === constants.CLOSE_REASONS.TAKE_PROFIT
-        ? position.slOrderId
-        : position.tpOrderId;
+      const sellResult = await this.orderManager.placeMarketSellOrder(symbol, position.quantity, this.getOrderIntent(position, 'exit'));
       
-      if (orderToCancel) {
-        await this.orderManager.cancelOrder(position.symbol, orderToCancel);
+      if (!sellResult.success) {
+        throw new Error(sellResult.error || 'Market sell failed');
       }
       
-      // Розраховуємо фінальний P&L
-      const exitPrice = parseFloat(filledOrder.price);
-      const pnl = this.calculator.calculatePnL(
-        position.entryPrice,
-        exitPrice,
-        position.quantity
-      );
+      const { exitPrice, exitFills } = await this.reconcileExit(position, sellResult, closeReason);
+      await this.finalizePosition(position, exitPrice, closeReason, exitFills);
       
-      // Оновлюємо позицію
-      position.status = constants.POSITION_STATUS.CLOSED;
-      position.exitPrice = exitPrice;
-      position.exitTime = new Date();
-      position.closeReason = closeReason;
-      position.pnl = pnl.amount;
-      position.pnlPercent = pnl.percentage;
+      return {
+        success: true,
+        position,
+        order: sellResult
+      };
       
-      await this.database.updatePosition(position);
+    } catch (error) {
+      logger.error(`❌ Помилка примусового виходу з ${symbol}:`, error);
       
-      // Видаляємо з активних
-      this.activePositions.delete(position.symbol);
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      this.exitingPositions.delete(symbol);
+    }
+  }
+
+  /**
+   * Ціна та виконання виходу з позиції з урахуванням попередніх часткових виходів
+   * Без виконань середня ціна береться з відповіді ордера, в крайньому разі - ринкова
+   */
+  async reconcileExit(position, order, closeReason) {
+    await this.recordExitFills(position, order, { reason: closeReason });
+    
+    const exitFills = position.fills?.exit;
+    if (exitFills && exitFills.qty > 0) {
+      return { exitPrice: exitFills.avgPrice, exitFills };
+    }
+    
+    const executedQty = parseFloat(order.executedQty);
+    const quoteQty = parseFloat(order.cummulativeQuoteQty);
+    const exitPrice = (executedQty > 0 && quoteQty > 0 ? quoteQty / executedQty : 0) ||
+      parseFloat(order.avgPrice) || parseFloat(order.price) || await this.getMarketPrice(position.symbol);
+    
+    return { exitPrice, exitFills: null };
+  }
+
+  /**
+   * Облік виконань ордера виходу як окремої частини (leg) позиції з власним P&L
+   * Виконання ордера щоразу перераховуються повністю, тож повторна перевірка
+   * частково виконаного ордера не дублює угоди; fills.exit - зведення всіх виходів
+   */
+  async recordExitFills(position, order, leg = {}) {
+    let summary = null;
+    
+    try {
+      const fills = await this.fillLedger.getOrderFills(position.symbol, order);
       
-      // Оновлюємо статистику клієнта
-      if (this.binanceClient.updateDailyStats) {
-        this.binanceClient.updateDailyStats('trade', {}, { pnl: pnl.amount });
+      if (fills.length > 0) {
+        summary = await this.fillLedger.summarize(fills, this.getPositionAssets(position));
       }
+    } catch (error) {
+      logger.warn(`⚠️ Не вдалося отримати виконання ордера ${order.orderId} ${position.symbol}:`, error.message);
+    }
+    
+    const exitLeg = { executedQty: parseFloat(order.executedQty) || 0, ...leg, ...summary };
+    
+    if (summary && position.fills?.entry) {
+      Object.assign(exitLeg, this.fillLedger.calculateNetPnL(position.fills.entry, summary));
+    }
+    
+    const exitOrders = {
+      ...position.fills?.exitOrders,
+      [order.orderId]: exitLeg
+    };
+    const summaries = Object.values(exitOrders).filter(exit => exit.trades > 0);
+    
+    position.fills = {
+      ...position.fills,
+      exitOrders,
+      exit: summaries.length > 0 ? this.fillLedger.merge(summaries) : null
+    };
+  }
+
+  /**
+   * Намір ордера позиції для clientOrderId: позицію визначає ордер входу
+   */
+  getOrderIntent(position, purpose) {
+    return { ref: `position:${position.orderId}`, purpose };
+  }
+
+  /**
+   * Базовий та quote актив позиції (для позицій з БД базовий актив виводиться з символу)
+   */
+  getPositionAssets(position) {
+    const quoteAsset = position.quoteAsset || config.trading.quoteAsset;
+    const baseAsset = position.baseAsset || position.symbol.slice(0, -quoteAsset.length);
+    
+    return { baseAsset, quoteAsset };
+  }
+
+  /**
+   * Заборона подальшої торгівлі символом
+   */
+  blockSymbol(symbol) {
+    this.blockedSymbols.add(symbol);
+    this.pausedSymbols.delete(symbol);
+  }
+
+  /**
+   * Тимчасова зупинка торгів символу: без продажу та блокування
+   */
+  pauseSymbol(symbol, status) {
+    this.pausedSymbols.set(symbol, status);
+  }
+
+  /**
+   * Відновлення торгів символу
+   */
+  resumeSymbol(symbol) {
+    return this.pausedSymbols.delete(symbol);
+  }
+
+  /**
+   * Фіксація закритої позиції: P&L, БД, статистика та подія positionClosed
+   * З виконаннями входу та виходу P&L чистий, з урахуванням комісій обох сторін
+   */
+  async finalizePosition(position, exitPrice, closeReason, exitFills = null) {
+    // Продана кількість разом з попередніми частковими виходами
+    const closedQuantity = (position.exitedQuantity || 0) + position.quantity;
+    
+    // Розраховуємо фінальний P&L
+    const grossPnl = this.calculator.calculatePnL(
+      position.entryPrice,
+      exitPrice,
+      closedQuantity
+    );
+    
+    const entryFills = position.fills?.entry;
+    const pnl = { amount: grossPnl.amount, percentage: grossPnl.percentage };
+    
+    if (entryFills && exitFills) {
+      const net = this.fillLedger.calculateNetPnL(entryFills, exitFills);
       
-      logger.trade(`✅ Позиція ${position.symbol} закрита в ${this.binanceClient.environment}`, {
-        reason: closeReason,
-        entryPrice: position.entryPrice,
-        exitPrice,
-        pnl: pnl.amount,
-        pnlPercent: pnl.percentage,
-        environment: this.binanceClient.environment
-      });
+      pnl.amount = net.netPnl;
+      pnl.percentage = net.netPnlPercent;
+      position.commission = net.commission;
+      position.grossPnl = net.grossPnl;
+    } else {
+      position.grossPnl = grossPnl.amount;
+    }
+    
+    // Оновлюємо позицію
+    position.status = constants.POSITION_STATUS.CLOSED;
+    position.exitPrice = exitPrice;
+    position.exitTime = new Date();
+    position.closeReason = closeReason;
+    position.pnl = pnl.amount;
+    position.pnlPercent = pnl.percentage;
+    position.exitedQuantity = closedQuantity;
+    
+    await this.database.updatePosition(position);
+    
+    // Видаляємо з активних
+    this.activePositions.delete(position.symbol);
+    this.marketData.remove(position.symbol);
+    
+    // Оновлюємо статистику клієнта
+    if (this.binanceClient.updateDailyStats) {
+      this.binanceClient.updateDailyStats('trade', {}, { pnl: pnl.amount });
+    }
+    
+    await this.recordRiskTrade(position, pnl.amount);
+    
+    logger.trade(`✅ Позиція ${position.symbol} закрита в ${this.binanceClient.environment}`, {
+      reason: closeReason,
+      entryPrice: position.entryPrice,
+      exitPrice,
+      pnl: pnl.amount,
+      pnlPercent: pnl.percentage,
+      grossPnl: position.grossPnl,
+      commission: position.commission,
+      environment: this.binanceClient.environment
+    });
+    
+    this.emit('positionClosed', {
+      ...position,
+      environment: this.binanceClient.environment
+    });
+    
+    // Оновлюємо баланс
+    await this.updateAccountInfo();
+  }
+
+  /**
+   * Реалізований P&L закритої позиції в лімітах ризику
+   */
+  async recordRiskTrade(position, pnl) {
+    try {
+      const amount = await this.convertToMainQuote(pnl, position.quoteAsset);
+      // Позицію вже прибрано з активних: нереалізований P&L лише тих, що лишились
+      const { unrealizedPnl } = await this.calculateEquity();
+      const haltReason = await this.riskEngine.recordTrade(this.binanceClient.environment, amount, unrealizedPnl);
       
-      this.emit('positionClosed', {
-        ...position,
-        environment: this.binanceClient.environment
-      });
+      if (haltReason) {
+        this.emitTradingHalted(haltReason);
+      }
+    } catch (error) {
+      logger.error('❌ Помилка оновлення лімітів ризику:', error);
+    }
+  }
+
+  /**
+   * Переоцінка відкритих позицій і капіталу в лімітах ризику
+   * Капітал - баланси quote assets разом з поточною вартістю відкритих позицій
+   */
+  async updateRiskMarkToMarket() {
+    try {
+      const { unrealizedPnl, equity } = await this.calculateEquity();
       
-      // Оновлюємо баланс
-      await this.updateAccountInfo();
+      const haltReason = await this.riskEngine.updateMarkToMarket(this.binanceClient.environment, { unrealizedPnl, equity });
       
+      if (haltReason) {
+        this.emitTradingHalted(haltReason);
+      }
     } catch (error) {
-      logger.error(`❌ Помилка закриття позиції ${position.symbol}:`, error);
+      logger.error('❌ Помилка переоцінки лімітів ризику:', error);
+    }
+  }
+
+  /**
+   * Капітал у QUOTE_ASSET: баланси всіх налаштованих quote assets разом з поточною вартістю відкритих позицій
+   */
+  async calculateEquity() {
+    let unrealizedPnl = 0;
+    let positionsValue = 0;
+    
+    for (const position of this.activePositions.values()) {
+      const price = position.currentPrice || position.entryPrice;
+      
+      unrealizedPnl += await this.convertToMainQuote(position.pnl || 0, position.quoteAsset);
+      positionsValue += await this.convertToMainQuote(position.quantity * price, position.quoteAsset);
     }
+    
+    if (!this.accountInfo) {
+      return { equity: 0, unrealizedPnl };
+    }
+    
+    const quoteAssets = new Set([config.trading.quoteAsset, ...config.trading.quoteAssets.map(q => q.asset)]);
+    let balancesValue = 0;
+    
+    for (const asset of quoteAssets) {
+      const balance = this.accountInfo.balances.find(b => b.asset === asset);
+      if (!balance) continue;
+      
+      balancesValue += await this.convertToMainQuote(parseFloat(balance.free) + parseFloat(balance.locked), asset);
+    }
+    
+    return { equity: balancesValue + positionsValue, unrealizedPnl };
+  }
+
+  /**
+   * Сума в quote asset позиції, перерахована в QUOTE_ASSET
+   */
+  async convertToMainQuote(amount, quoteAsset) {
+    if (!quoteAsset || quoteAsset === config.trading.quoteAsset || amount === 0) {
+      return amount;
+    }
+    
+    try {
+      return amount * await this.getMarketPrice(`${quoteAsset}${config.trading.quoteAsset}`);
+    } catch (error) {
+      // Пара може існувати лише у зворотному напрямку (напр. USDTTRY)
+      try {
+        return amount / await this.getMarketPrice(`${config.trading.quoteAsset}${quoteAsset}`);
+      } catch (inverseError) {
+        logger.warn(`⚠️ Не вдалося перерахувати ${quoteAsset} в ${config.trading.quoteAsset}:`, inverseError.message);
+        return 0;
+      }
+    }
+  }
+
+  /**
+   * Подія зупинки входів лімітами ризику
+   */
+  emitTradingHalted(reason) {
+    this.emit('tradingHalted', {
+      reason,
+      environment: this.binanceClient.environment
+    });
+  }
+
+  /**
+   * Стан лімітів ризику з потенційним збитком відкритих позицій до stop loss
+   */
+  getRiskStatus() {
+    const positions = Array.from(this.activePositions.values()).filter(p => p.stopLossPrice);
+    
+    return {
+      ...this.riskEngine.getStatus(),
+      openRisk: this.riskManager.calculateSessionRisk(this.getAvailableBalance(), positions)
+    };
+  }
+
+  /**
+   * Ручне відновлення входів після зупинки лімітами ризику
+   */
+  async resetRiskHalt() {
+    const result = await this.riskEngine.reset();
+    
+    this.emit('tradingResumed', result);
+    
+    return { success: true, ...result };
   }
 
   /**
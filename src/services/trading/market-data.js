@@ -0,0 +1,141 @@
+// src/services/trading/market-data.js
+
+const config = require('../../config');
+
+/**
+ * Кеш ринкових даних відкритих позицій
+ * Оновлюється з потоків @trade та @bookTicker, замінює REST запити ціни
+ */
+class MarketDataCache {
+  constructor(maxAge = config.monitoring.marketData.maxAge) {
+    this.maxAge = maxAge;
+    this.symbols = new Map(); // symbol -> { lastPrice, bidPrice, askPrice, spread, spreadPercent, ... }
+  }
+
+  /**
+   * Запис для символу
+   */
+  getEntry(symbol) {
+    if (!this.symbols.has(symbol)) {
+      this.symbols.set(symbol, {
+        lastPrice: null,
+        lastTradeAt: 0,
+        bidPrice: null,
+        bidQty: null,
+        askPrice: null,
+        askQty: null,
+        spread: null,
+        spreadPercent: null,
+        bookUpdatedAt: 0
+      });
+    }
+
+    return this.symbols.get(symbol);
+  }
+
+  /**
+   * Оновлення з потоку @trade
+   */
+  updateTrade({ symbol, price }) {
+    if (!symbol || !(price > 0)) return;
+
+    const entry = this.getEntry(symbol);
+    entry.lastPrice = price;
+    entry.lastTradeAt = Date.now();
+  }
+
+  /**
+   * Оновлення з потоку @bookTicker
+   */
+  updateBookTicker({ symbol, bidPrice, bidQty, askPrice, askQty }) {
+    if (!symbol || !(bidPrice > 0) || !(askPrice > 0)) return;
+
+    const entry = this.getEntry(symbol);
+    const midPrice = (bidPrice + askPrice) / 2;
+
+    entry.bidPrice = bidPrice;
+    entry.bidQty = bidQty;
+    entry.askPrice = askPrice;
+    entry.askQty = askQty;
+    entry.spread = askPrice - bidPrice;
+    entry.spreadPercent = (entry.spread / midPrice) * 100;
+    entry.bookUpdatedAt = Date.now();
+  }
+
+  /**
+   * Актуальна ціна символу або null, якщо дані застаріли
+   * Остання угода має пріоритет, інакше середина між bid та ask
+   */
+  getPrice(symbol) {
+    const entry = this.symbols.get(symbol);
+    if (!entry) return null;
+
+    const now = Date.now();
+
+    if (entry.lastPrice && now - entry.lastTradeAt <= this.maxAge) {
+      return entry.lastPrice;
+    }
+
+    if (entry.bidPrice && now - entry.bookUpdatedAt <= this.maxAge) {
+      return (entry.bidPrice + entry.askPrice) / 2;
+    }
+
+    return null;
+  }
+
+  /**
+   * Актуальний спред символу або null
+   */
+  getSpread(symbol) {
+    const entry = this.symbols.get(symbol);
+    if (!entry || !entry.bidPrice || Date.now() - entry.bookUpdatedAt > this.maxAge) {
+      return null;
+    }
+
+    return {
+      bidPrice: entry.bidPrice,
+      bidQty: entry.bidQty,
+      askPrice: entry.askPrice,
+      askQty: entry.askQty,
+      spread: entry.spread,
+      spreadPercent: entry.spreadPercent
+    };
+  }
+
+  /**
+   * Видалення символу після закриття позиції
+   */
+  remove(symbol) {
+    this.symbols.delete(symbol);
+  }
+
+  /**
+   * Очищення кешу
+   */
+  clear() {
+    this.symbols.clear();
+  }
+
+  /**
+   * Отримання статусу
+   */
+  getStatus() {
+    const now = Date.now();
+
+    return {
+      maxAge: this.maxAge,
+      symbols: Array.from(this.symbols.entries()).map(([symbol, entry]) => {
+        const updatedAt = Math.max(entry.lastTradeAt, entry.bookUpdatedAt);
+
+        return {
+          symbol,
+          lastPrice: entry.lastPrice,
+          spreadPercent: entry.spreadPercent,
+          ageMs: updatedAt ? now - updatedAt : null
+        };
+      })
+    };
+  }
+}
+
+module.exports = { MarketDataCache };
\ No newline at end of file
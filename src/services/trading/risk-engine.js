@@ -0,0 +1,270 @@
+// src/services/trading/risk-engine.js
+
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ключ дня (YYYY-MM-DD, UTC)
+ */
+function getDayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Ключ тижня: дата понеділка (UTC)
+ */
+function getWeekKey(date) {
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  return getDayKey(new Date(date.getTime() - daysSinceMonday * DAY_MS));
+}
+
+/**
+ * Ліміти ризику портфеля
+ * Зберігає в БД денний і тижневий P&L (реалізований та нереалізований), пік капіталу та
+ * серію збиткових угод кожного середовища. Порушення будь-якого ліміту зупиняє нові входи
+ * в усіх середовищах, поки зупинку не скинуть вручну
+ * Нереалізований P&L позицій рахується від входу, тому в денний і тижневий P&L іде лише
+ * його зміна від значення на початку дня (тижня)
+ */
+class RiskEngine {
+  constructor(database) {
+    this.database = database;
+    this.states = new Map(); // environment -> стан
+  }
+
+  /**
+   * Завантаження збереженого стану всіх середовищ
+   */
+  async load() {
+    const states = await this.database.getRiskStates();
+
+    for (const state of states) {
+      this.states.set(state.environment, state);
+    }
+
+    const halted = this.getHaltedState();
+    if (halted) {
+      logger.warn(`🚨 Нові входи зупинено лімітами ризику (${halted.environment}): ${halted.haltReason}`);
+    }
+  }
+
+  /**
+   * Стан середовища з перенесенням на новий день і тиждень
+   */
+  getState(environment) {
+    const now = new Date();
+    let state = this.states.get(environment);
+
+    if (!state) {
+      state = {
+        environment,
+        dayKey: getDayKey(now),
+        dailyRealized: 0,
+        dailyUnrealized: 0,
+        dailyUnrealizedStart: 0,
+        dailyBaseline: 0,
+        weekKey: getWeekKey(now),
+        weeklyRealized: 0,
+        weeklyUnrealized: 0,
+        weeklyUnrealizedStart: 0,
+        unrealizedPnl: 0,
+        equity: 0,
+        equityPeak: 0,
+        consecutiveLosses: 0,
+        halted: false,
+        haltReason: null,
+        haltedAt: null
+      };
+      this.states.set(environment, state);
+    }
+
+    if (state.dayKey !== getDayKey(now)) {
+      state.dayKey = getDayKey(now);
+      state.dailyRealized = 0;
+      state.dailyUnrealized = 0;
+      state.dailyUnrealizedStart = state.unrealizedPnl;
+      state.dailyBaseline = 0;
+    }
+
+    if (state.weekKey !== getWeekKey(now)) {
+      state.weekKey = getWeekKey(now);
+      state.weeklyRealized = 0;
+      state.weeklyUnrealized = 0;
+      state.weeklyUnrealizedStart = state.unrealizedPnl;
+    }
+
+    return state;
+  }
+
+  /**
+   * Закрита угода: реалізований P&L та серія збитків
+   * unrealizedPnl - нереалізований P&L позицій, що лишились відкритими, щоб закрита
+   * позиція не рахувалась двічі до наступної переоцінки
+   * Повертає причину зупинки, якщо угода порушила ліміт
+   */
+  async recordTrade(environment, pnl, unrealizedPnl = null) {
+    const state = this.getState(environment);
+
+    state.dailyRealized += pnl;
+    state.weeklyRealized += pnl;
+    state.consecutiveLosses = pnl < 0 ? state.consecutiveLosses + 1 : 0;
+
+    if (unrealizedPnl !== null) {
+      this.setUnrealized(state, unrealizedPnl);
+    }
+
+    return this.evaluate(state);
+  }
+
+  /**
+   * Переоцінка відкритих позицій та капіталу
+   * Повертає причину зупинки, якщо переоцінка порушила ліміт
+   */
+  async updateMarkToMarket(environment, { unrealizedPnl, equity }) {
+    const state = this.getState(environment);
+
+    this.setUnrealized(state, unrealizedPnl);
+
+    if (equity > 0) {
+      state.equity = equity;
+      state.equityPeak = Math.max(state.equityPeak, equity);
+    }
+
+    return this.evaluate(state);
+  }
+
+  /**
+   * Нереалізований P&L від входу та його зміна з початку дня і тижня
+   */
+  setUnrealized(state, unrealizedPnl) {
+    state.unrealizedPnl = unrealizedPnl;
+    state.dailyUnrealized = unrealizedPnl - state.dailyUnrealizedStart;
+    state.weeklyUnrealized = unrealizedPnl - state.weeklyUnrealizedStart;
+  }
+
+  /**
+   * Перевірка лімітів і збереження стану
+   */
+  async evaluate(state) {
+    const reason = !this.isHalted() ? this.checkLimits(state) : null;
+
+    if (reason) {
+      state.halted = true;
+      state.haltReason = reason;
+      state.haltedAt = new Date();
+
+      logger.error(`🚨 Нові входи зупинено в усіх середовищах (${state.environment}): ${reason}`);
+    }
+
+    await this.database.saveRiskState(state);
+
+    return reason;
+  }
+
+  /**
+   * Порушений ліміт середовища або null
+   */
+  checkLimits(state) {
+    const { enabled, maxDailyLoss, maxDrawdownPercent, maxConsecutiveLosses } = config.trading.riskEngine;
+
+    if (!enabled) return null;
+
+    const dailyLoss = -(state.dailyRealized + state.dailyUnrealized - state.dailyBaseline);
+    if (dailyLoss >= maxDailyLoss) {
+      return `Daily loss ${dailyLoss.toFixed(2)} reached limit ${maxDailyLoss}`;
+    }
+
+    const drawdown = this.getDrawdown(state);
+    if (drawdown >= maxDrawdownPercent) {
+      return `Drawdown ${(drawdown * 100).toFixed(2)}% from equity peak ${state.equityPeak.toFixed(2)} reached limit ${(maxDrawdownPercent * 100).toFixed(2)}%`;
+    }
+
+    if (state.consecutiveLosses >= maxConsecutiveLosses) {
+      return `${state.consecutiveLosses} consecutive losses reached limit ${maxConsecutiveLosses}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Просідання капіталу від піку (частка)
+   */
+  getDrawdown(state) {
+    return state.equityPeak > 0 ? Math.max(0, (state.equityPeak - state.equity) / state.equityPeak) : 0;
+  }
+
+  /**
+   * Стан середовища, яке зупинило входи
+   */
+  getHaltedState() {
+    return [...this.states.values()].find(state => state.halted) || null;
+  }
+
+  /**
+   * Чи зупинено нові входи (в будь-якому середовищі)
+   */
+  isHalted() {
+    return Boolean(this.getHaltedState());
+  }
+
+  /**
+   * Ручне скидання зупинки в усіх середовищах
+   * Поточний денний P&L стає точкою відліку ліміту, пік капіталу - поточним капіталом
+   */
+  async reset() {
+    const haltReason = this.getHaltedState()?.haltReason || null;
+
+    for (const state of this.states.values()) {
+      this.getState(state.environment);
+
+      state.halted = false;
+      state.haltReason = null;
+      state.haltedAt = null;
+      state.consecutiveLosses = 0;
+      state.dailyBaseline = Math.min(0, state.dailyRealized + state.dailyUnrealized);
+      state.equityPeak = state.equity;
+
+      await this.database.saveRiskState(state);
+    }
+
+    if (haltReason) {
+      logger.warn(`🔓 Зупинку входів скинуто вручну (була: ${haltReason})`);
+    }
+
+    return { wasHalted: Boolean(haltReason), haltReason };
+  }
+
+  /**
+   * Стан лімітів для API
+   */
+  getStatus() {
+    const halted = this.getHaltedState();
+
+    return {
+      enabled: config.trading.riskEngine.enabled,
+      halted: Boolean(halted),
+      haltReason: halted?.haltReason || null,
+      haltedAt: halted?.haltedAt || null,
+      haltedEnvironment: halted?.environment || null,
+      limits: config.trading.riskEngine,
+      environments: Object.fromEntries([...this.states.values()].map(state => [state.environment, {
+        day: state.dayKey,
+        dailyRealized: state.dailyRealized,
+        dailyUnrealized: state.dailyUnrealized,
+        dailyPnl: state.dailyRealized + state.dailyUnrealized,
+        week: state.weekKey,
+        weeklyRealized: state.weeklyRealized,
+        weeklyUnrealized: state.weeklyUnrealized,
+        weeklyPnl: state.weeklyRealized + state.weeklyUnrealized,
+        equity: state.equity,
+        equityPeak: state.equityPeak,
+        drawdownPercent: this.getDrawdown(state) * 100,
+        consecutiveLosses: state.consecutiveLosses
+      }]))
+    };
+  }
+}
+
+module.exports = { RiskEngine };
\ No newline at end of file
@@ -17,11 +17,15 @@ class RiskManager {
 
   /**
    * Розрахунок розміру ордера з урахуванням ризиків
+   * limits дозволяє задати base/max розмір для quote asset, відмінного від основного
    */
-  calculateOrderSize(balance, activePositionsCount) {
+  calculateOrderSize(balance, activePositionsCount, limits = {}) {
+    const baseOrderSize = limits.baseOrderSize || this.baseOrderSize;
+    const maxOrderSize = limits.maxOrderSize || this.maxOrderSize;
+    
     try {
       // Базовий розмір з конфігурації
-      let orderSize = this.baseOrderSize;
+      let orderSize = baseOrderSize;
       
       // Доступний для торгівлі баланс
       const availableBalance = balance * this.useOfBalance;
@@ -40,7 +44,7 @@ class RiskManager {
       );
       
       // Переконуємося, що розмір не перевищує максимальний
-      orderSize = Math.min(orderSize, this.maxOrderSize);
+      orderSize = Math.min(orderSize, maxOrderSize);
       
       // Переконуємося, що розмір не перевищує доступний баланс
       orderSize = Math.min(orderSize, availableBalance);
@@ -57,7 +61,7 @@ class RiskManager {
       
     } catch (error) {
       logger.error('❌ Помилка розрахунку розміру ордера:', error);
-      return this.baseOrderSize; // Повертаємо базовий розмір у випадку помилки
+      return baseOrderSize; // Повертаємо базовий розмір у випадку помилки
     }
   }
 
@@ -65,29 +69,159 @@ class RiskManager {
    * Перевірка прийнятності ризику для нової позиції
    */
   isRiskAcceptable(balance, activePositionsCount, orderSize) {
-    // Перевіряємо максимальну кількість позицій
-    if (activePositionsCount >= config.trading.maxPositions) {
-      logger.warn(`⚠️ Досягнуто ліміт позицій: ${config.trading.maxPositions}`);
-      return false;
+    const failed = this.getAcceptanceChecks(balance, activePositionsCount, orderSize).filter(check => !check.passed);
+    
+    for (const check of failed) {
+      logger.warn(`⚠️ ${check.reason}`);
     }
     
-    // Перевіряємо доступний баланс
+    return failed.length === 0;
+  }
+
+  /**
+   * Окремі перевірки прийнятності ризику: ліміт позицій, доступний баланс, ризик акаунту
+   */
+  getAcceptanceChecks(balance, activePositionsCount, orderSize, maxPositions = config.trading.maxPositions, totalRiskAmount = orderSize * (activePositionsCount + 1)) {
     const availableBalance = balance * this.useOfBalance;
-    if (orderSize > availableBalance) {
-      logger.warn(`⚠️ Недостатньо коштів. Доступно: ${availableBalance}, Потрібно: ${orderSize}`);
-      return false;
+    const maxRiskAmount = balance * this.maxAccountRiskPercent;
+    
+    return [
+      {
+        rule: 'maxPositions',
+        passed: activePositionsCount < maxPositions,
+        value: activePositionsCount,
+        limit: maxPositions,
+        reason: `Досягнуто ліміт позицій: ${maxPositions}`
+      },
+      {
+        rule: 'availableBalance',
+        passed: orderSize <= availableBalance,
+        value: orderSize,
+        limit: availableBalance,
+        reason: `Недостатньо коштів. Доступно: ${availableBalance}, Потрібно: ${orderSize}`
+      },
+      {
+        rule: 'accountRisk',
+        passed: totalRiskAmount <= maxRiskAmount,
+        value: totalRiskAmount,
+        limit: maxRiskAmount,
+        reason: `Перевищено ліміт ризику. Поточний: ${totalRiskAmount}, Максимальний: ${maxRiskAmount}`
+      }
+    ];
+  }
+
+  /**
+   * Рішення перед покупкою: розмір за stop loss і диверсифікацією, потім перевірки прийнятності
+   * action: allow - купуємо як заплановано, downsize - на меншу суму (sizedBy), block - не купуємо (blockedBy)
+   * Суми в одному quote asset з balance; entryPrice і stopLossPrice задають лише відстань до stop loss
+   * stopBasedRisk: ризик акаунту - збиток до stop loss усіх позицій, а не їх розмір (розмір за волатильністю)
+   */
+  evaluateTrade({ balance, equity = balance, orderSize, positions, baseAsset, tags = [], entryPrice, stopLossPrice, maxPositions, stopBasedRisk = false }) {
+    const checks = [];
+    let size = orderSize;
+    let sizedBy = null;
+    
+    // Розмір, за якого спрацювання stop loss втрачає не більше maxPositionRiskPercent капіталу
+    const stopLossSize = this.calculateQuantityWithStopLoss(equity, entryPrice, stopLossPrice) * entryPrice;
+    checks.push({
+      rule: 'stopLossRisk',
+      passed: orderSize <= stopLossSize,
+      value: orderSize,
+      limit: stopLossSize
+    });
+    if (stopLossSize < size) {
+      size = stopLossSize;
+      sizedBy = 'stopLossRisk';
     }
     
-    // Перевіряємо загальний ризик по відкритих позиціях
-    const totalRiskAmount = orderSize * (activePositionsCount + 1);
-    const maxRiskAmount = balance * this.maxAccountRiskPercent;
+    // Частка балансу у відкритих позиціях разом з новою не більша за useOfBalance
+    const diversification = this.calculateRiskDiversification(balance, positions);
+    const exposureLimit = Math.max(0, balance * this.useOfBalance - diversification.totalValue);
+    checks.push({
+      rule: 'exposure',
+      passed: orderSize <= exposureLimit,
+      value: diversification.totalValue + orderSize,
+      limit: balance * this.useOfBalance
+    });
+    if (exposureLimit < size) {
+      size = exposureLimit;
+      sizedBy = 'exposure';
+    }
+    
+    // Той самий актив через іншу quote пару подвоює ризик
+    checks.push({
+      rule: 'assetConcentration',
+      passed: !diversification.assetGroups[baseAsset],
+      value: diversification.assetPercentages[baseAsset] || 0,
+      limit: 0,
+      reason: `Вже є позиція в ${baseAsset}`
+    });
     
-    if (totalRiskAmount > maxRiskAmount) {
-      logger.warn(`⚠️ Перевищено ліміт ризику. Поточний: ${totalRiskAmount}, Максимальний: ${maxRiskAmount}`);
-      return false;
+    // Корельовані лістинги (один сектор, платформа запуску) обмежені кількістю позицій
+    checks.push(...this.getTagExposureChecks(tags, positions));
+    
+    const stopDistance = (entryPrice - stopLossPrice) / entryPrice;
+    const totalRiskAmount = stopBasedRisk
+      ? this.calculateSessionRisk(balance, positions.filter(p => p.stopLossPrice)).totalRisk + size * stopDistance
+      : undefined;
+    
+    checks.push(...this.getAcceptanceChecks(balance, positions.length, size, maxPositions, totalRiskAmount));
+    
+    // Перевірки з reason блокують покупку, решта лише зменшують розмір
+    const blocking = checks.find(check => !check.passed && check.reason) ||
+      (size <= 0 ? { rule: sizedBy, reason: sizedBy ? `Розмір ордера зменшено до 0 правилом ${sizedBy}` : 'Нульовий розмір ордера' } : null);
+    
+    let action = 'allow';
+    if (blocking) {
+      action = 'block';
+    } else if (sizedBy) {
+      action = 'downsize';
+    }
+    
+    return {
+      action,
+      requestedSize: orderSize,
+      orderSize: blocking ? 0 : size,
+      balance,
+      sizedBy: blocking ? null : sizedBy,
+      blockedBy: blocking ? blocking.rule : null,
+      reason: blocking ? blocking.reason : null,
+      portfolioPercentage: diversification.portfolioPercentage,
+      tags,
+      checks,
+      evaluatedAt: new Date()
+    };
+  }
+
+  /**
+   * Перевірки лімітів позицій за тегами нового символу
+   * Точний ліміт тегу (sector:meme) має пріоритет над лімітом з "*" (sector:*)
+   */
+  getTagExposureChecks(tags, positions, limits = config.trading.tags.limits) {
+    const checks = [];
+    
+    for (const tag of tags) {
+      const wildcard = tag.includes(':') ? `${tag.split(':')[0]}:*` : null;
+      const limit = limits.find(l => l.tag === tag) || limits.find(l => l.tag === wildcard);
+      
+      if (!limit) continue;
+      
+      const tagged = positions.filter(position => (position.tags || []).includes(tag)).map(position => position.symbol);
+      
+      checks.push({
+        rule: 'tagExposure',
+        tag,
+        passed: tagged.length < limit.maxPositions,
+        value: tagged.length + 1,
+        limit: limit.maxPositions,
+        positions: tagged,
+        reason: tagged.length > 0
+          ? `Ліміт позицій з тегом ${tag}: ${limit.maxPositions} (відкрито: ${tagged.join(', ')})`
+          : `Ліміт позицій з тегом ${tag}: ${limit.maxPositions}`
+      });
     }
     
-    return true;
+    return checks;
   }
 
   /**
@@ -114,7 +248,7 @@ class RiskManager {
     const assetGroups = {};
     
     for (const position of positions) {
-      const baseAsset = position.symbol.replace(config.trading.quoteAsset, '');
+      const baseAsset = position.baseAsset || position.symbol.replace(config.trading.quoteAsset, '');
       
       if (!assetGroups[baseAsset]) {
         assetGroups[baseAsset] = {
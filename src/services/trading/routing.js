@@ -0,0 +1,92 @@
+// src/services/trading/routing.js
+
+const config = require('../../config');
+const constants = require('../../config/constants');
+const logger = require('../../utils/logger');
+const { getSymbolRegistry } = require('../binance/symbol-registry');
+const { getQuoteAssetConfig } = require('../../utils/symbols');
+
+/**
+ * Маршрутизація покупки між quote assets
+ * Визначає розмір ордера для quote asset лістингу та, за потреби, конвертацію основного активу
+ */
+class QuoteRouter {
+  constructor(binanceClient) {
+    this.symbolRegistry = getSymbolRegistry(binanceClient);
+  }
+
+  /**
+   * Побудова маршруту покупки
+   * getBalance(asset) повертає вільний баланс активу
+   */
+  async planRoute(symbol, getBalance) {
+    const symbolInfo = await this.symbolRegistry.resolve(symbol);
+    if (!symbolInfo) {
+      throw new Error(`Невідомий символ ${symbol}`);
+    }
+
+    const { baseAsset, quoteAsset } = symbolInfo;
+    const quoteConfig = getQuoteAssetConfig(quoteAsset);
+    if (!quoteConfig) {
+      throw new Error(`Quote asset ${quoteAsset} не увімкнено для торгівлі`);
+    }
+
+    const fundingAsset = config.trading.quoteAsset;
+    const { enabled, conversionBuffer } = config.trading.crossQuoteRouting;
+
+    const route = {
+      symbol,
+      baseAsset,
+      quoteAsset,
+      orderSize: quoteConfig.orderSize,
+      maxOrderSize: quoteAsset === fundingAsset ? config.trading.maxOrderSize : quoteConfig.orderSize,
+      conversion: null
+    };
+
+    // Конвертація не потрібна або вимкнена
+    if (!enabled || quoteAsset === fundingAsset || getBalance(quoteAsset) >= quoteConfig.orderSize) {
+      return route;
+    }
+
+    // Пара з основним активом вже існує - купуємо її напряму
+    const fundingPair = await this.symbolRegistry.findPair(baseAsset, fundingAsset);
+    if (fundingPair) {
+      const fundingConfig = getQuoteAssetConfig(fundingAsset);
+      const orderSize = fundingConfig ? fundingConfig.orderSize : config.trading.baseOrderSize;
+
+      logger.info(`🔀 ${symbol}: купівля через ${fundingPair.symbol}`);
+
+      return {
+        ...route,
+        symbol: fundingPair.symbol,
+        quoteAsset: fundingAsset,
+        orderSize,
+        maxOrderSize: config.trading.maxOrderSize,
+        routedFrom: symbol
+      };
+    }
+
+    // Нестача quote asset з запасом на комісію та рух ціни
+    const amount = (quoteConfig.orderSize - getBalance(quoteAsset)) * (1 + conversionBuffer);
+
+    // QUOTE/FUNDING (напр. FDUSDUSDT) - купуємо quote asset
+    const buyPair = await this.symbolRegistry.findPair(quoteAsset, fundingAsset);
+    if (buyPair) {
+      route.conversion = { symbol: buyPair.symbol, side: constants.ORDER_SIDES.BUY, asset: quoteAsset, amount };
+    } else {
+      // FUNDING/QUOTE (напр. USDTTRY) - продаємо основний актив
+      const sellPair = await this.symbolRegistry.findPair(fundingAsset, quoteAsset);
+      if (!sellPair) {
+        throw new Error(`Немає пари для конвертації ${fundingAsset} → ${quoteAsset}`);
+      }
+
+      route.conversion = { symbol: sellPair.symbol, side: constants.ORDER_SIDES.SELL, asset: quoteAsset, amount };
+    }
+
+    logger.info(`🔀 ${symbol}: конвертація ${fundingAsset} → ${quoteAsset} через ${route.conversion.symbol}`);
+
+    return route;
+  }
+}
+
+module.exports = { QuoteRouter };
\ No newline at end of file
@@ -0,0 +1,203 @@
+// src/services/trading/schedule.js
+
+const config = require('../../config');
+
+const MINUTE_MS = 60000;
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = DAY_MINUTES * MINUTE_MS;
+
+// Найдовший період, який переглядає календар
+const MAX_CALENDAR_DAYS = 14;
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Розклад торгівлі на mainnet
+ * Дозволені вікна по днях тижня, заборонені вікна та святкові дні в часовому поясі SCHEDULE_TIMEZONE;
+ * заборона та свято мають пріоритет над дозволом
+ */
+class TradingSchedule {
+  constructor(settings = config.trading.schedule) {
+    this.settings = settings;
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: settings.timezone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+
+  /**
+   * Дата, день тижня та хвилина доби в часовому поясі розкладу
+   */
+  getLocalTime(date) {
+    const parts = Object.fromEntries(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+      dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: WEEKDAY_INDEX[parts.weekday],
+      minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+  }
+
+  /**
+   * Зсув часового поясу розкладу від UTC у момент time, мс
+   */
+  getOffset(time) {
+    const { dateKey, minutes } = this.getLocalTime(new Date(time));
+    const [year, month, day] = dateKey.split('-').map(Number);
+
+    return Date.UTC(year, month - 1, day) + minutes * MINUTE_MS - Math.floor(time / MINUTE_MS) * MINUTE_MS;
+  }
+
+  /**
+   * Перша хвилина після переходу на інший зсув між from і to (літній/зимовий час)
+   */
+  findOffsetChange(from, to) {
+    const offset = this.getOffset(from);
+    let low = from;
+    let high = to;
+
+    while (high - low > MINUTE_MS) {
+      const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+
+      if (this.getOffset(middle) === offset) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    return high;
+  }
+
+  /**
+   * Моменти між start і end, коли результат check може змінитись: північ, межі вікон і переходи часу
+   * Місцевий час межі переводиться в UTC з кожним зсувом доби, тож межа, що повторюється
+   * під час переходу на зимовий час, враховується двічі; зайві моменти не змінюють календар
+   */
+  getBoundaries(start, end) {
+    const boundaryMinutes = new Set([0]);
+    for (const window of [...this.settings.allow, ...this.settings.deny]) {
+      boundaryMinutes.add(window.start);
+      boundaryMinutes.add(window.end % DAY_MINUTES);
+    }
+
+    const [year, month, day] = this.getLocalTime(new Date(start)).dateKey.split('-').map(Number);
+    const boundaries = new Set();
+
+    for (let base = Date.UTC(year, month - 1, day) - DAY_MS; base <= end + DAY_MS; base += DAY_MS) {
+      // Зсув протягом місцевої доби base (UTC-опівніч дати лежить в межах доби від місцевої)
+      const samples = [base - DAY_MS, base, base + DAY_MS, base + 2 * DAY_MS];
+      const offsets = new Set(samples.map(time => this.getOffset(time)));
+
+      for (let i = 1; i < samples.length; i++) {
+        if (this.getOffset(samples[i - 1]) !== this.getOffset(samples[i])) {
+          boundaries.add(this.findOffsetChange(samples[i - 1], samples[i]));
+        }
+      }
+
+      for (const minutes of boundaryMinutes) {
+        for (const offset of offsets) {
+          boundaries.add(base + minutes * MINUTE_MS - offset);
+        }
+      }
+    }
+
+    return [...boundaries].filter(time => time > start && time < end).sort((a, b) => a - b);
+  }
+
+  /**
+   * Вікно, що охоплює момент; вікно через північ продовжується наступного дня
+   */
+  findWindow(windows, { weekday, minutes }) {
+    const previousDay = (weekday + 6) % 7;
+
+    return windows.find(window => {
+      if (window.start < window.end) {
+        return window.days.includes(weekday) && minutes >= window.start && minutes < window.end;
+      }
+
+      return (window.days.includes(weekday) && minutes >= window.start) ||
+        (window.days.includes(previousDay) && minutes < window.end);
+    }) || null;
+  }
+
+  /**
+   * Чи можна торгувати в момент date
+   */
+  check(date = new Date()) {
+    const result = { allowed: true, reasons: [], localTime: null, window: null };
+
+    if (!this.settings.enabled) {
+      return result;
+    }
+
+    const local = this.getLocalTime(date);
+    const pad = value => String(value).padStart(2, '0');
+    result.localTime = `${local.dateKey} ${pad(Math.floor(local.minutes / 60))}:${pad(local.minutes % 60)}`;
+
+    if (this.settings.holidays.includes(local.dateKey)) {
+      result.reasons.push(`Святковий день ${local.dateKey}`);
+    }
+
+    const denied = this.findWindow(this.settings.deny, local);
+    if (denied) {
+      result.reasons.push(`Заборонене вікно ${denied.spec}`);
+    }
+
+    result.window = this.findWindow(this.settings.allow, local);
+    if (!result.window) {
+      result.reasons.push('Торгівля поза вікнами розкладу');
+    }
+
+    result.allowed = result.reasons.length === 0;
+    result.window = result.window?.spec || null;
+
+    return result;
+  }
+
+  /**
+   * Календар на days днів від from: періоди, коли торгівля дозволена, та найближчий дозволений момент
+   * Розклад перевіряється лише на межах, між якими результат не змінюється; переходи на літній час враховано
+   */
+  getCalendar(from = new Date(), days = 7) {
+    const start = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS;
+    const end = start + Math.min(Math.max(days, 1), MAX_CALENDAR_DAYS) * DAY_MS;
+    const periods = [];
+    let current = null;
+
+    for (const time of [start, ...this.getBoundaries(start, end)]) {
+      const { allowed } = this.check(new Date(time));
+
+      if (allowed && !current) {
+        // to: null - період триває після кінця календаря
+        current = { from: new Date(time).toISOString(), to: null };
+        periods.push(current);
+      } else if (!allowed && current) {
+        current.to = new Date(time).toISOString();
+        current = null;
+      }
+    }
+
+    const now = this.check(from);
+
+    return {
+      enabled: this.settings.enabled,
+      timezone: this.settings.timezone,
+      now,
+      // null - протягом періоду торгівля не дозволена
+      nextAllowedAt: now.allowed ? from.toISOString() : periods[0]?.from || null,
+      periods,
+      allow: this.settings.allow.map(window => window.spec),
+      deny: this.settings.deny.map(window => window.spec),
+      holidays: this.settings.holidays
+    };
+  }
+}
+
+module.exports = { TradingSchedule };
\ No newline at end of file
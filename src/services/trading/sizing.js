@@ -0,0 +1,136 @@
+// src/services/trading/sizing.js
+
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Інтервал цін для оцінки волатильності та кількість інтервалів у хвилині
+const BUCKET_MS = 1000;
+const BUCKETS_PER_MINUTE = 60;
+
+/**
+ * Реалізована волатильність за угодами [{ price, time }]
+ * Остання ціна кожної секунди, стандартне відхилення секундних лог-доходностей,
+ * приведене до хвилини (частка ціни)
+ */
+function measureVolatility(trades) {
+  const sorted = [...trades].sort((a, b) => a.time - b.time);
+  const closes = [];
+  let bucket = null;
+
+  for (const trade of sorted) {
+    const tradeBucket = Math.floor(trade.time / BUCKET_MS);
+
+    if (tradeBucket !== bucket) {
+      closes.push(trade.price);
+      bucket = tradeBucket;
+    } else {
+      closes[closes.length - 1] = trade.price;
+    }
+  }
+
+  const returns = closes.slice(1).map((price, i) => Math.log(price / closes[i]));
+  const mean = returns.reduce((sum, r) => sum + r, 0) / (returns.length || 1);
+  const variance = returns.length > 1
+    ? returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1)
+    : 0;
+
+  const prices = sorted.map(trade => trade.price);
+  const high = Math.max(...prices);
+  const low = Math.min(...prices);
+
+  return {
+    trades: sorted.length,
+    seconds: closes.length,
+    windowMs: sorted.length > 0 ? sorted[sorted.length - 1].time - sorted[0].time : 0,
+    volatility: Math.sqrt(variance) * Math.sqrt(BUCKETS_PER_MINUTE),
+    rangePercent: low > 0 ? ((high - low) / low) * 100 : 0,
+    lastPrice: prices[prices.length - 1]
+  };
+}
+
+/**
+ * Розмір ордера за волатильністю перших угод лістингу
+ * Stop loss ставиться на відстані volatilityMultiplier хвилинних волатильностей плюс спред,
+ * розмір - такий, щоб спрацювання stop loss коштувало maxPositionRiskPercent капіталу
+ */
+class VolatilitySizer {
+  constructor(binanceClient, marketData, riskManager) {
+    this.binanceClient = binanceClient;
+    this.marketData = marketData;
+    this.riskManager = riskManager;
+  }
+
+  /**
+   * Спред (частка ціни) з живого bookTicker або REST depth
+   */
+  async getSpread(symbol) {
+    const top = this.marketData.getSpread(symbol);
+
+    if (top) {
+      return top.spreadPercent / 100;
+    }
+
+    const depth = await this.binanceClient.getOrderBook(symbol, 5);
+    const bid = parseFloat(depth.bids[0]?.[0]);
+    const ask = parseFloat(depth.asks[0]?.[0]);
+
+    return bid > 0 && ask > 0 ? (ask - bid) / ((ask + bid) / 2) : 0;
+  }
+
+  /**
+   * Розмір ордера в quote asset символу для капіталу equity (у тому ж quote asset)
+   * mode: volatility - розраховано, fixed - даних недостатньо, розмір лишається звичайним
+   */
+  async size(symbol, equity) {
+    const { volatilityMultiplier, minTrades, maxStopPercent } = config.trading.sizing;
+    let trades;
+
+    try {
+      trades = (await this.binanceClient.getRecentTrades(symbol)).map(trade => ({
+        price: parseFloat(trade.price),
+        time: trade.time
+      }));
+    } catch (error) {
+      logger.warn(`⚠️ Не вдалося отримати угоди ${symbol} для оцінки волатильності:`, error.message);
+      return { mode: 'fixed', reason: `Recent trades unavailable: ${error.message}` };
+    }
+
+    if (trades.length < minTrades) {
+      return { mode: 'fixed', reason: `Only ${trades.length} trades, need ${minTrades}` };
+    }
+
+    const measurement = measureVolatility(trades);
+    const spread = await this.getSpread(symbol).catch(() => 0);
+
+    // Відстань до stop loss не вужча за DEFAULT_SL_PERCENT і не ширша за maxStopPercent
+    const rawStopDistance = volatilityMultiplier * measurement.volatility + spread;
+    const stopDistance = Math.min(Math.max(rawStopDistance, config.trading.defaultSL), maxStopPercent);
+
+    const entryPrice = measurement.lastPrice;
+    let orderSize = this.riskManager.calculateQuantityWithStopLoss(equity, entryPrice, entryPrice * (1 - stopDistance)) * entryPrice;
+
+    // Волатильність понад найширший stop loss зменшує розмір пропорційно
+    const isExtreme = rawStopDistance > maxStopPercent;
+    if (isExtreme) {
+      orderSize *= maxStopPercent / rawStopDistance;
+    }
+
+    logger.info(`📐 ${symbol}: волатильність ${(measurement.volatility * 100).toFixed(2)}%/хв, спред ${(spread * 100).toFixed(2)}%, stop loss ${(stopDistance * 100).toFixed(2)}%, розмір ${orderSize.toFixed(2)}${isExtreme ? ' (екстремальна волатильність)' : ''}`);
+
+    return {
+      mode: 'volatility',
+      orderSize,
+      stopDistance,
+      rawStopDistance,
+      isExtreme,
+      spread,
+      equity,
+      ...measurement
+    };
+  }
+}
+
+module.exports = {
+  VolatilitySizer,
+  measureVolatility
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+// src/services/trading/slippage.js
+
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+/**
+ * Симуляція купівлі на quoteAmount по рівнях asks [[price, qty], ...]
+ */
+function simulateFill(asks, quoteAmount) {
+  let remaining = quoteAmount;
+  let filledQty = 0;
+  let filledQuote = 0;
+  let levels = 0;
+
+  for (const [price, qty] of asks) {
+    if (remaining <= 0) break;
+
+    const levelQuote = Math.min(price * qty, remaining);
+    filledQty += levelQuote / price;
+    filledQuote += levelQuote;
+    remaining -= levelQuote;
+    levels++;
+  }
+
+  return {
+    filledQty,
+    filledQuote,
+    avgPrice: filledQty > 0 ? filledQuote / filledQty : null,
+    levels,
+    // Книги не вистачило на весь обсяг
+    exhausted: remaining > 0
+  };
+}
+
+/**
+ * Максимальна сума купівлі, за якої середня ціна не перевищує maxAvgPrice
+ */
+function maxQuoteWithinPrice(asks, maxAvgPrice) {
+  let qty = 0;
+  let quote = 0;
+
+  for (const [price, levelQty] of asks) {
+    if (price <= maxAvgPrice) {
+      qty += levelQty;
+      quote += price * levelQty;
+      continue;
+    }
+
+    // Частина рівня, яку можна взяти без перевищення: (quote + x * price) / (qty + x) <= maxAvgPrice
+    const partialQty = Math.min(levelQty, (maxAvgPrice * qty - quote) / (price - maxAvgPrice));
+    if (partialQty > 0) {
+      quote += partialQty * price;
+    }
+    break;
+  }
+
+  return quote;
+}
+
+/**
+ * Перевірка прослизання перед покупкою за глибиною книги ордерів
+ * Симулює виконання запланованої суми по asks, зменшує ордер або скасовує покупку,
+ * якщо очікувана середня ціна перевищує стелю прослизання від ціни лістингу
+ */
+class SlippageGuard {
+  constructor(binanceClient, marketData) {
+    this.binanceClient = binanceClient;
+    this.marketData = marketData;
+  }
+
+  /**
+   * Рівні asks з живого bookTicker, якщо верх книги покриває суму, інакше з REST depth
+   */
+  async getAsks(symbol, quoteAmount) {
+    const top = this.marketData.getSpread(symbol);
+
+    if (top && top.askPrice * top.askQty >= quoteAmount) {
+      return { source: 'bookTicker', asks: [[top.askPrice, top.askQty]] };
+    }
+
+    const depth = await this.binanceClient.getOrderBook(symbol, config.trading.slippageGuard.depthLimit);
+
+    return {
+      source: 'depth',
+      asks: depth.asks.map(([price, qty]) => [parseFloat(price), parseFloat(qty)])
+    };
+  }
+
+  /**
+   * Рішення щодо покупки на quoteAmount від ціни referencePrice
+   * action: proceed - купуємо як заплановано, downsize - купуємо на меншу суму, abort - не купуємо
+   */
+  async check(symbol, quoteAmount, referencePrice) {
+    const { enabled, maxSlippage, minOrderRatio } = config.trading.slippageGuard;
+
+    if (!enabled) {
+      return { action: 'proceed', quoteAmount, estimate: null };
+    }
+
+    const ceilingPrice = referencePrice * (1 + maxSlippage);
+    let book;
+
+    try {
+      book = await this.getAsks(symbol, quoteAmount);
+    } catch (error) {
+      // Без книги купуємо як раніше, ризик прослизання обмежує стратегія входу
+      logger.warn(`⚠️ Не вдалося отримати книгу ордерів ${symbol}, перевірку прослизання пропущено:`, error.message);
+      return { action: 'proceed', quoteAmount, estimate: { error: error.message } };
+    }
+
+    const fill = simulateFill(book.asks, quoteAmount);
+    const estimate = {
+      source: book.source,
+      referencePrice,
+      ceilingPrice,
+      bestAsk: book.asks.length > 0 ? book.asks[0][0] : null,
+      plannedQuote: quoteAmount,
+      expectedAvgPrice: fill.avgPrice,
+      expectedSlippagePercent: fill.avgPrice ? ((fill.avgPrice - referencePrice) / referencePrice) * 100 : null,
+      levels: fill.levels,
+      bookExhausted: fill.exhausted
+    };
+
+    if (fill.avgPrice !== null && fill.avgPrice <= ceilingPrice && !fill.exhausted) {
+      return { action: 'proceed', quoteAmount, estimate };
+    }
+
+    // Зменшуємо суму до тієї, що вкладається в стелю
+    const allowedQuote = Math.min(quoteAmount, maxQuoteWithinPrice(book.asks, ceilingPrice));
+    estimate.allowedQuote = allowedQuote;
+
+    if (allowedQuote < quoteAmount * minOrderRatio) {
+      let reason = `Expected slippage ${estimate.expectedSlippagePercent?.toFixed(2)}% exceeds ceiling ${(maxSlippage * 100).toFixed(2)}%`;
+
+      if (fill.avgPrice === null) {
+        reason = 'Order book has no asks';
+      } else if (fill.avgPrice <= ceilingPrice) {
+        reason = `Order book depth ${fill.filledQuote.toFixed(2)} is below planned ${quoteAmount}`;
+      }
+
+      logger.warn(`⚠️ ${symbol}: ${reason}, допустима сума ${allowedQuote.toFixed(2)} з ${quoteAmount}`);
+      return { action: 'abort', quoteAmount: 0, reason, estimate };
+    }
+
+    const downsized = simulateFill(book.asks, allowedQuote);
+    estimate.expectedAvgPrice = downsized.avgPrice;
+    estimate.expectedSlippagePercent = ((downsized.avgPrice - referencePrice) / referencePrice) * 100;
+
+    logger.warn(`⚠️ ${symbol}: ордер зменшено з ${quoteAmount} до ${allowedQuote.toFixed(2)} через глибину книги`);
+
+    return { action: 'downsize', quoteAmount: allowedQuote, estimate };
+  }
+}
+
+module.exports = {
+  SlippageGuard,
+  simulateFill,
+  maxQuoteWithinPrice
+};
\ No newline at end of file
@@ -0,0 +1,163 @@
+// src/services/trading/tags.js
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Теги продуктів Binance, що позначають платформу запуску токена, а не сектор
+const LAUNCH_TAGS = ['launchpool', 'launchpad', 'megadrop', 'hodler_airdrops'];
+
+// Теги продуктів Binance без значення
+const FLAG_TAGS = ['seed', 'monitoring'];
+
+/**
+ * Нормалізація тегів запису файлу до рядків "sector:meme", "launchpad:launchpool", "seed", "monitoring"
+ * Запис - масив готових тегів або об'єкт { sector, launchpad, seed, monitoring }
+ */
+function normalizeTags(entry) {
+  if (Array.isArray(entry)) {
+    return entry.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+  }
+
+  const tags = [];
+
+  for (const [type, value] of Object.entries(entry || {})) {
+    const key = type.toLowerCase();
+
+    if (value === true) {
+      tags.push(key);
+    } else if (value) {
+      for (const item of [].concat(value)) {
+        tags.push(`${key}:${String(item).trim().toLowerCase()}`);
+      }
+    }
+  }
+
+  return tags;
+}
+
+/**
+ * Теги продукту Binance: Seed і Monitoring - прапорці, Launchpool/Launchpad - платформа запуску,
+ * решта (Meme, AI, Gaming, ...) - сектор
+ */
+function mapExchangeTags(productTags = []) {
+  return productTags.map(tag => {
+    const value = String(tag).trim().toLowerCase();
+
+    if (FLAG_TAGS.includes(value)) return value;
+    if (LAUNCH_TAGS.includes(value)) return `launchpad:${value}`;
+    return `sector:${value}`;
+  });
+}
+
+/**
+ * Теги символів для лімітів експозиції
+ * Локальний файл (за символом або базовим активом) доповнюється тегами продуктів Binance
+ */
+class SymbolTags {
+  constructor(settings = config.trading.tags) {
+    this.settings = settings;
+    this.fileTags = new Map(); // symbol або baseAsset -> теги
+    this.exchangeTags = new Map(); // baseAsset -> теги
+    this.refreshInterval = null;
+  }
+
+  /**
+   * Завантаження тегів з файлу та біржі; без тегів ліміти за тегами не діють
+   */
+  async load() {
+    await Promise.all([this.loadFile(), this.refreshExchangeTags()]);
+
+    logger.info(`🏷️ Теги символів: ${this.fileTags.size} з файлу, ${this.exchangeTags.size} з біржі`);
+  }
+
+  /**
+   * Теги з локального файлу
+   */
+  async loadFile() {
+    const file = path.resolve(this.settings.file);
+    let content;
+
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`❌ Не вдалося прочитати файл тегів ${file}:`, error.message);
+      }
+      return;
+    }
+
+    try {
+      const entries = JSON.parse(content);
+
+      this.fileTags.clear();
+      for (const [key, entry] of Object.entries(entries)) {
+        this.fileTags.set(key.toUpperCase(), normalizeTags(entry));
+      }
+    } catch (error) {
+      logger.error(`❌ Некоректний JSON у файлі тегів ${file}:`, error.message);
+    }
+  }
+
+  /**
+   * Теги продуктів Binance (SYMBOL_TAGS_URL); попередні теги лишаються при помилці
+   */
+  async refreshExchangeTags() {
+    if (!this.settings.url) return;
+
+    try {
+      const response = await axios.get(this.settings.url, { timeout: config.binance.timeout.rest });
+      const products = response.data?.data || [];
+      const tags = new Map();
+
+      for (const product of products) {
+        if (!product.b || !product.tags?.length) continue;
+
+        const existing = tags.get(product.b) || [];
+        tags.set(product.b, [...new Set([...existing, ...mapExchangeTags(product.tags)])]);
+      }
+
+      this.exchangeTags = tags;
+    } catch (error) {
+      logger.warn('⚠️ Не вдалося оновити теги символів з біржі:', error.message);
+    }
+  }
+
+  /**
+   * Періодичне оновлення тегів з біржі
+   */
+  startRefresh() {
+    if (!this.settings.url || this.refreshInterval) return;
+
+    this.refreshInterval = setInterval(() => this.refreshExchangeTags(), this.settings.refreshInterval);
+  }
+
+  /**
+   * Зупинка оновлення
+   */
+  stopRefresh() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  }
+
+  /**
+   * Теги символу: файл за символом і базовим активом, теги біржі за базовим активом
+   */
+  getTags(symbol, baseAsset) {
+    return [...new Set([
+      ...(this.fileTags.get(symbol) || []),
+      ...(baseAsset ? this.fileTags.get(baseAsset.toUpperCase()) || [] : []),
+      ...(baseAsset ? this.exchangeTags.get(baseAsset) || [] : [])
+    ])];
+  }
+}
+
+module.exports = {
+  SymbolTags,
+  normalizeTags,
+  mapExchangeTags
+};
\ No newline at end of file
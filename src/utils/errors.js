@@ -55,6 +55,16 @@ class TradeError extends AppError {
   }
 }
 
+/**
+ * Ордер не проходить фільтр символу Binance (PRICE_FILTER, LOT_SIZE, NOTIONAL, ...)
+ */
+class OrderFilterError extends TradeError {
+  constructor(message, filterType, data = {}) {
+    super(message, 'ORDER_FILTER_REJECTED', data);
+    this.filterType = filterType;
+  }
+}
+
 /**
  * Помилка налаштувань
  */
@@ -226,6 +236,7 @@ module.exports = {
   ApiError,
   BinanceError,
   TradeError,
+  OrderFilterError,
   ConfigError,
   ErrorHandler
 };
\ No newline at end of file
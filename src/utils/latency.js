@@ -0,0 +1,187 @@
+// src/utils/latency.js
+
+// Межі бакетів гістограми detection-to-fill (секунди)
+const HISTOGRAM_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+// Скільки останніх вимірів зберігати для перцентилів
+const MAX_SAMPLES = 1000;
+const PERCENTILES = [50, 95, 99];
+
+let trackerInstance = null;
+
+/**
+ * Тривалості етапів між мітками часу лістингу (мс)
+ * Етап пропускається, якщо однієї з міток немає
+ */
+function calculateStages(latency = {}) {
+  const diff = (from, to) => (latency[from] && latency[to] ? latency[to] - latency[from] : null);
+
+  return {
+    eventToReceive: diff('eventTime', 'receivedAt'),
+    receiveToFilter: diff('receivedAt', 'filterDecisionAt'),
+    filterToSend: diff('filterDecisionAt', 'orderSentAt'),
+    sendToAck: diff('orderSentAt', 'orderAckAt'),
+    detectionToFill: diff('receivedAt', 'orderAckAt'),
+    eventToFill: diff('eventTime', 'orderAckAt')
+  };
+}
+
+/**
+ * Перцентиль за методом найближчого рангу
+ */
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return null;
+
+  const rank = Math.ceil((p / 100) * sortedValues.length);
+  return sortedValues[Math.max(0, rank - 1)];
+}
+
+/**
+ * Екранування значення мітки Prometheus
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Збір затримок лістингів від виявлення до виконання ордера
+ * Групує виміри за типом монітора та середовищем
+ */
+class LatencyTracker {
+  constructor() {
+    this.series = new Map(); // monitor|environment -> { monitor, environment, samples, stages, buckets, sum, count }
+  }
+
+  /**
+   * Серія вимірів для монітора та середовища
+   */
+  getSeries(monitor, environment) {
+    const key = `${monitor}|${environment}`;
+
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        monitor,
+        environment,
+        samples: [],
+        stages: {},
+        buckets: HISTOGRAM_BUCKETS.map(() => 0),
+        sum: 0,
+        count: 0
+      });
+    }
+
+    return this.series.get(key);
+  }
+
+  /**
+   * Запис затримок виконаної покупки
+   */
+  record({ monitor = 'unknown', environment = 'unknown', latency }) {
+    const stages = calculateStages(latency);
+    if (stages.detectionToFill === null) return null;
+
+    const series = this.getSeries(monitor, environment);
+    const seconds = stages.detectionToFill / 1000;
+
+    HISTOGRAM_BUCKETS.forEach((bound, index) => {
+      if (seconds <= bound) series.buckets[index]++;
+    });
+    series.sum += seconds;
+    series.count++;
+
+    this.pushSample(series.samples, stages.detectionToFill);
+
+    for (const [stage, value] of Object.entries(stages)) {
+      if (value === null) continue;
+      series.stages[stage] = series.stages[stage] || [];
+      this.pushSample(series.stages[stage], value);
+    }
+
+    return stages;
+  }
+
+  /**
+   * Додавання виміру з обмеженням розміру вибірки
+   */
+  pushSample(samples, value) {
+    samples.push(value);
+    if (samples.length > MAX_SAMPLES) {
+      samples.shift();
+    }
+  }
+
+  /**
+   * Перцентилі вибірки
+   */
+  summarize(samples) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const summary = { count: sorted.length };
+
+    for (const p of PERCENTILES) {
+      summary[`p${p}`] = percentile(sorted, p);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Звіт p50/p95/p99 за монітором та середовищем (мс)
+   */
+  getReport() {
+    return Array.from(this.series.values()).map(series => ({
+      monitor: series.monitor,
+      environment: series.environment,
+      detectionToFill: this.summarize(series.samples),
+      stages: Object.fromEntries(
+        Object.entries(series.stages).map(([stage, samples]) => [stage, this.summarize(samples)])
+      )
+    }));
+  }
+
+  /**
+   * Гістограма у текстовому форматі Prometheus
+   */
+  toPrometheus() {
+    const name = 'listing_detection_to_fill_seconds';
+    const lines = [
+      `# HELP ${name} Latency from local listing detection to order acknowledgement`,
+      `# TYPE ${name} histogram`
+    ];
+
+    for (const series of this.series.values()) {
+      const labels = `monitor="${escapeLabel(series.monitor)}",environment="${escapeLabel(series.environment)}"`;
+
+      HISTOGRAM_BUCKETS.forEach((bound, index) => {
+        lines.push(`${name}_bucket{${labels},le="${bound}"} ${series.buckets[index]}`);
+      });
+      lines.push(`${name}_bucket{${labels},le="+Inf"} ${series.count}`);
+      lines.push(`${name}_sum{${labels}} ${series.sum}`);
+      lines.push(`${name}_count{${labels}} ${series.count}`);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Очищення зібраних вимірів
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+/**
+ * Спільний трекер затримок
+ */
+function getLatencyTracker() {
+  if (!trackerInstance) {
+    trackerInstance = new LatencyTracker();
+  }
+
+  return trackerInstance;
+}
+
+module.exports = {
+  LatencyTracker,
+  getLatencyTracker,
+  calculateStages
+};
\ No newline at end of file
@@ -175,7 +175,7 @@ function createTransports() {
 // Створюємо логер
 const logger = winston.createLogger({
   levels: customLevels.levels,
-  level: 'info', // Початковий рівень, буде оновлено після завантаження конфігу
+  level: getConfig()?.logging?.level || 'info',
   format: logFormat,
   transports: createTransports(),
   exitOnError: false
@@ -184,12 +184,6 @@ const logger = winston.createLogger({
 // Додаємо кольори
 winston.addColors(customLevels.colors);
 
-// Оновлення рівня логування після повного завантаження конфігу
-setTimeout(() => {
-  const config = getConfig();
-  logger.level = config.logging.level;
-}, 0);
-
 // Таймер для вимірювання часу виконання
 logger.startTimer = function() {
   const start = Date.now();
@@ -0,0 +1,94 @@
+// src/utils/symbols.js
+
+const config = require('../config');
+const constants = require('../config/constants');
+
+/**
+ * Увімкнені quote assets з конфігурації
+ */
+function getQuoteAssets() {
+  return config.trading.quoteAssets.filter(q => q.enabled);
+}
+
+/**
+ * Налаштування увімкненого quote asset або null
+ */
+function getQuoteAssetConfig(asset) {
+  return getQuoteAssets().find(q => q.asset === asset) || null;
+}
+
+/**
+ * Перевірка, чи торгова пара з exchangeInfo підпадає під моніторинг лістингів
+ */
+function isMonitoredSymbol(symbolInfo) {
+  // Фільтруємо за quote asset з exchangeInfo
+  if (!getQuoteAssetConfig(symbolInfo.quoteAsset)) return false;
+  
+  // Виключаємо стейблкоїни якщо потрібно
+  if (config.trading.filters.excludeStablecoins &&
+      constants.STABLECOINS.includes(symbolInfo.baseAsset)) {
+    return false;
+  }
+  
+  // Виключаємо певні токени
+  if (config.trading.filters.excludeTokens.includes(symbolInfo.baseAsset)) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Активні торгові пари з exchangeInfo, що підпадають під моніторинг
+ */
+function getTradingSymbols(exchangeInfo) {
+  return exchangeInfo.symbols.filter(s =>
+    s.status === constants.SYMBOL_STATUS.TRADING && isMonitoredSymbol(s)
+  );
+}
+
+/**
+ * Стан відомих символів за exchangeInfo
+ * Делістинг - лише пара, якої більше немає на біржі; HALT, BREAK та інші статуси - тимчасова пауза
+ */
+function classifyKnownSymbols(exchangeInfo, symbols) {
+  const statuses = new Map(exchangeInfo.symbols.map(s => [s.symbol, s.status]));
+  const result = { delisted: [], paused: [], trading: [] };
+  
+  for (const symbol of symbols) {
+    const status = statuses.get(symbol);
+    
+    if (!status) {
+      result.delisted.push(symbol);
+    } else if (status === constants.SYMBOL_STATUS.TRADING) {
+      result.trading.push(symbol);
+    } else {
+      result.paused.push({ symbol, status });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Оновлення призупинених символів (symbol -> status)
+ * Повертає нові або змінені паузи та символи, що відновили торги
+ */
+function updatePausedSymbols(pausedSymbols, { paused, trading }) {
+  const changed = paused.filter(({ symbol, status }) => pausedSymbols.get(symbol) !== status);
+  changed.forEach(({ symbol, status }) => pausedSymbols.set(symbol, status));
+  
+  const resumed = trading.filter(symbol => pausedSymbols.has(symbol));
+  resumed.forEach(symbol => pausedSymbols.delete(symbol));
+  
+  return { paused: changed, resumed };
+}
+
+module.exports = {
+  getQuoteAssets,
+  getQuoteAssetConfig,
+  isMonitoredSymbol,
+  getTradingSymbols,
+  classifyKnownSymbols,
+  updatePausedSymbols
+};
\ No newline at end of file
@@ -0,0 +1,239 @@
+// tests/helpers/trading.js
+
+const { TradingService } = require('../../src/services/trading');
+const { FillLedger } = require('../../src/services/binance/fills');
+const { OrderJournal } = require('../../src/services/binance/order-journal');
+const config = require('../../src/config');
+const constants = require('../../src/config/constants');
+
+const SYMBOL = 'NEWUSDT';
+
+const SYMBOL_INFO = {
+  symbol: SYMBOL,
+  baseAsset: 'NEW',
+  quoteAsset: 'USDT',
+  filters: [
+    { filterType: 'PRICE_FILTER', tickSize: '0.0001' },
+    { filterType: 'LOT_SIZE', minQty: '0.01', stepSize: '0.01' },
+    { filterType: 'NOTIONAL', minNotional: '5' }
+  ]
+};
+
+const OPEN_STATUSES = [constants.ORDER_STATUS.NEW, constants.ORDER_STATUS.PARTIALLY_FILLED];
+
+/**
+ * Біржа в пам'яті: REST клієнт і OrderManager з jest.fn над спільною книгою ордерів
+ * Скасування або виконання лега OCO знімає другий лег, як на біржі;
+ * holdings - загальні залишки активів, відкриті ордери продажу блокують базовий актив;
+ * market.price - поточна ціна, за якою виконуються ринкові ордери; trades - угоди акаунта (myTrades)
+ */
+function createExchange({ holdings = {} } = {}) {
+  const orders = new Map();
+  const trades = [];
+  const market = { price: 1 };
+  let nextId = 1;
+
+  const place = (type, quantity, price, orderListId = null) => {
+    const orderId = nextId++;
+    orders.set(orderId, {
+      orderId,
+      type,
+      orderListId,
+      price: String(price),
+      origQty: String(quantity),
+      executedQty: '0',
+      status: constants.ORDER_STATUS.NEW
+    });
+    return orderId;
+  };
+
+  const closeList = (order, status) => {
+    if (!order.orderListId) return;
+
+    for (const other of orders.values()) {
+      if (other.orderListId === order.orderListId && other !== order && OPEN_STATUSES.includes(other.status)) {
+        other.status = status;
+      }
+    }
+  };
+
+  // Леги OCO блокують спільну кількість, тож список рахується один раз
+  const getLockedQuantity = () => {
+    const lists = new Set();
+    let locked = 0;
+
+    for (const order of orders.values()) {
+      if (!OPEN_STATUSES.includes(order.status) || lists.has(order.orderListId)) continue;
+      if (order.orderListId) lists.add(order.orderListId);
+      locked += parseFloat(order.origQty) - parseFloat(order.executedQty);
+    }
+    return locked;
+  };
+
+  const getBalances = () => Object.entries(holdings).map(([asset, total]) => {
+    const locked = asset === SYMBOL_INFO.baseAsset ? getLockedQuantity() : 0;
+    return { asset, free: String(total - locked), locked: String(locked) };
+  });
+
+  const client = {
+    environment: 'testnet',
+    getOpenOrders: async () => [...orders.values()].filter(o => OPEN_STATUSES.includes(o.status)).map(o => ({ ...o })),
+    getOrder: async (symbol, orderId) => ({ ...orders.get(Number(orderId)) }),
+    getAllOrders: async () => [...orders.values()].map(o => ({ ...o })),
+    getSymbolInfo: async () => SYMBOL_INFO,
+    getCurrentPrice: async () => market.price,
+    getMyTrades: async (symbol, { orderId }) => trades.filter(trade => trade.orderId === orderId),
+    getAccountInfo: async () => ({ balances: getBalances() })
+  };
+
+  const orderManager = {
+    placeOCOOrder: jest.fn(async (symbol, quantity, price, stopPrice) => {
+      const orderListId = nextId++;
+
+      return {
+        success: true,
+        orderListId,
+        orders: [
+          { orderId: place('LIMIT_MAKER', quantity, price, orderListId) },
+          { orderId: place('STOP_LOSS_LIMIT', quantity, stopPrice, orderListId) }
+        ]
+      };
+    }),
+    placeLimitSellOrder: jest.fn(async (symbol, quantity, price) => ({ success: true, orderId: place('LIMIT', quantity, price) })),
+    placeStopLossOrder: jest.fn(async (symbol, quantity, stopPrice) => ({ success: true, orderId: place('STOP_LOSS_LIMIT', quantity, stopPrice) })),
+    placeMarketSellOrder: jest.fn(async (symbol, quantity) => ({
+      success: true,
+      orderId: nextId++,
+      status: constants.ORDER_STATUS.FILLED,
+      executedQty: String(quantity),
+      cummulativeQuoteQty: String(quantity * market.price)
+    })),
+    cancelOrder: jest.fn(async (symbol, orderId) => {
+      const order = orders.get(Number(orderId));
+
+      if (!order || !OPEN_STATUSES.includes(order.status)) {
+        return { success: false, error: 'Unknown order sent.' };
+      }
+
+      order.status = constants.ORDER_STATUS.CANCELED;
+      closeList(order, constants.ORDER_STATUS.CANCELED);
+      return { success: true };
+    })
+  };
+
+  /**
+   * Виконання ордера на біржі: executedQty - загальна виконана кількість
+   */
+  const fill = (orderId, executedQty) => {
+    const order = orders.get(Number(orderId));
+    const isFilled = executedQty >= parseFloat(order.origQty);
+
+    order.executedQty = String(executedQty);
+    order.status = isFilled ? constants.ORDER_STATUS.FILLED : constants.ORDER_STATUS.PARTIALLY_FILLED;
+
+    if (isFilled) {
+      closeList(order, constants.ORDER_STATUS.EXPIRED);
+    }
+  };
+
+  return { client, orderManager, orders, trades, holdings, market, fill };
+}
+
+/**
+ * БД з журналом ордерів у пам'яті
+ * Будь-який інший виклик - успішний запис без даних
+ */
+function createDatabase() {
+  const records = [];
+  const unresolved = [constants.ORDER_STATES.NEW, constants.ORDER_STATES.ACK, constants.ORDER_STATES.PARTIAL];
+  const findOrder = clientOrderId => records.find(record => record.clientOrderId === clientOrderId) || null;
+
+  const journal = {
+    saveOrder: async order => {
+      const record = { executedQty: 0, cummulativeQuoteQty: 0, createdAt: new Date(), ...order };
+      records.push(record);
+      return record;
+    },
+    updateOrder: async (clientOrderId, updates) => Boolean(findOrder(clientOrderId) && Object.assign(findOrder(clientOrderId), updates)),
+    getOrder: async clientOrderId => findOrder(clientOrderId),
+    getOrdersByClientIdPrefix: async prefix => records.filter(record => record.clientOrderId.startsWith(prefix)),
+    getOrdersByRef: async (environment, ref) => records.filter(record => record.environment === environment && record.ref === ref),
+    getUnresolvedOrders: async environment => records.filter(record => record.environment === environment && unresolved.includes(record.state))
+  };
+
+  return new Proxy(journal, {
+    get: (methods, name) => {
+      if (!methods[name]) {
+        methods[name] = jest.fn(async () => null);
+      }
+      return methods[name];
+    }
+  });
+}
+
+/**
+ * Торговий сервіс над біржею в пам'яті
+ */
+function createTradingService(exchange) {
+  const database = createDatabase();
+  const service = new TradingService(database);
+
+  service.binanceClient = exchange.client;
+  service.orderManager = exchange.orderManager;
+  service.orderJournal = new OrderJournal(database, exchange.client.environment);
+  service.entryExecutor = service.createEntryExecutor();
+  service.fillLedger = new FillLedger(exchange.client, async () => 1);
+
+  return service;
+}
+
+/**
+ * Відкрита позиція з TP і SL за ціною входу 1
+ */
+function createPosition(overrides = {}) {
+  return {
+    symbol: SYMBOL,
+    orderId: 1,
+    baseAsset: 'NEW',
+    quoteAsset: 'USDT',
+    quantity: 10,
+    entryPrice: 1,
+    entryTime: new Date(),
+    takeProfitPrice: 1.5,
+    stopLossPrice: 0.9,
+    status: constants.POSITION_STATUS.OPEN,
+    environment: 'testnet',
+    ...overrides
+  };
+}
+
+/**
+ * Позиція з уже виставленими TP/SL: одним OCO або окремими ордерами за config.trading.useOCO
+ * Виклики OrderManager для підготовки скидаються
+ */
+async function openPosition(exchange, overrides = {}) {
+  const position = createPosition(overrides);
+  const { orderManager } = exchange;
+
+  if (config.trading.useOCO) {
+    const oco = await orderManager.placeOCOOrder(SYMBOL, position.quantity, position.takeProfitPrice, position.stopLossPrice);
+    position.tpOrderId = oco.orders[0].orderId;
+    position.slOrderId = oco.orders[1].orderId;
+    position.orderListId = oco.orderListId;
+  } else {
+    position.tpOrderId = (await orderManager.placeLimitSellOrder(SYMBOL, position.quantity, position.takeProfitPrice)).orderId;
+    position.slOrderId = (await orderManager.placeStopLossOrder(SYMBOL, position.quantity, position.stopLossPrice)).orderId;
+  }
+
+  jest.clearAllMocks();
+  return position;
+}
+
+module.exports = {
+  SYMBOL,
+  SYMBOL_INFO,
+  createExchange,
+  createTradingService,
+  createPosition,
+  openPosition
+};
\ No newline at end of file
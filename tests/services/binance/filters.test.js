@@ -0,0 +1,108 @@
+// tests/services/binance/filters.test.js
+
+const { floorToStep, isStepMultiple, getSymbolFilter, validateOrderFilters } = require('../../../src/services/binance/filters');
+const { OrderFilterError } = require('../../../src/utils/errors');
+
+const SYMBOL_INFO = {
+  symbol: 'NEWUSDT',
+  filters: [
+    { filterType: 'PRICE_FILTER', minPrice: '0.0001', maxPrice: '1000', tickSize: '0.0001' },
+    { filterType: 'LOT_SIZE', minQty: '0.1', maxQty: '100000', stepSize: '0.1' },
+    { filterType: 'NOTIONAL', minNotional: '5', maxNotional: '10000', applyMinToMarket: true, applyMaxToMarket: false },
+    { filterType: 'PERCENT_PRICE_BY_SIDE', bidMultiplierUp: '5', bidMultiplierDown: '0.2', askMultiplierUp: '5', askMultiplierDown: '0.2' }
+  ]
+};
+
+/**
+ * Тип фільтра, який відхилив ордер, або null
+ */
+function rejectedBy(order, symbolInfo = SYMBOL_INFO) {
+  try {
+    validateOrderFilters(symbolInfo, order);
+    return null;
+  } catch (error) {
+    expect(error).toBeInstanceOf(OrderFilterError);
+    return error.filterType;
+  }
+}
+
+describe('floorToStep', () => {
+  it('округлює вниз до кроку', () => {
+    expect(floorToStep(1.2345, 0.01)).toBeCloseTo(1.23, 10);
+    expect(floorToStep(10, 3)).toBe(9);
+  });
+
+  it('не втрачає крок через похибку дробової арифметики', () => {
+    expect(floorToStep(0.3, 0.1)).toBeCloseTo(0.3, 10);
+    expect(floorToStep(4.35, 0.05)).toBeCloseTo(4.35, 10);
+  });
+
+  it('без кроку повертає значення без змін', () => {
+    expect(floorToStep(1.2345, 0)).toBe(1.2345);
+    expect(floorToStep(1.2345, undefined)).toBe(1.2345);
+  });
+});
+
+describe('isStepMultiple', () => {
+  it('перевіряє кратність відносно мінімуму', () => {
+    expect(isStepMultiple(0.3, 0.1)).toBe(true);
+    expect(isStepMultiple(0.35, 0.1)).toBe(false);
+    expect(isStepMultiple(1.05, 0.1, 0.05)).toBe(true);
+  });
+});
+
+describe('getSymbolFilter', () => {
+  it('знаходить фільтр за типом', () => {
+    expect(getSymbolFilter(SYMBOL_INFO, 'LOT_SIZE').stepSize).toBe('0.1');
+    expect(getSymbolFilter(SYMBOL_INFO, 'ICEBERG_PARTS')).toBeNull();
+    expect(getSymbolFilter(null, 'LOT_SIZE')).toBeNull();
+  });
+});
+
+describe('validateOrderFilters', () => {
+  it('пропускає коректний лімітний ордер', () => {
+    const result = validateOrderFilters(SYMBOL_INFO, { side: 'SELL', type: 'LIMIT', quantity: 10, price: 1.2345, referencePrice: 1 });
+
+    expect(result.quantity).toBe(10);
+    expect(result.notional).toBeCloseTo(12.345, 10);
+  });
+
+  it('відхиляє ціну поза tickSize та межами', () => {
+    expect(rejectedBy({ side: 'SELL', type: 'LIMIT', quantity: 10, price: 1.23456, referencePrice: 1 })).toBe('PRICE_FILTER');
+    expect(rejectedBy({ side: 'SELL', type: 'LIMIT', quantity: 10, price: 2000, referencePrice: 1000 })).toBe('PRICE_FILTER');
+  });
+
+  it('відхиляє кількість поза LOT_SIZE', () => {
+    expect(rejectedBy({ side: 'BUY', type: 'MARKET', quantity: 0.05, referencePrice: 200 })).toBe('LOT_SIZE');
+    expect(rejectedBy({ side: 'BUY', type: 'MARKET', quantity: 10.05, referencePrice: 1 })).toBe('LOT_SIZE');
+  });
+
+  it('рахує кількість ринкової купівлі за quoteOrderQty без перевірки кроку', () => {
+    const result = validateOrderFilters(SYMBOL_INFO, { side: 'BUY', type: 'MARKET', quoteOrderQty: 10, referencePrice: 3 });
+
+    expect(result.quantity).toBeCloseTo(3.3333, 4);
+    expect(result.notional).toBe(10);
+  });
+
+  it('застосовує NOTIONAL до ринкових ордерів за прапорцями', () => {
+    expect(rejectedBy({ side: 'BUY', type: 'MARKET', quoteOrderQty: 4, referencePrice: 1 })).toBe('NOTIONAL');
+    // applyMaxToMarket: false - верхня межа ринкових ордерів не обмежує
+    expect(rejectedBy({ side: 'BUY', type: 'MARKET', quoteOrderQty: 20000, referencePrice: 1 })).toBeNull();
+    expect(rejectedBy({ side: 'SELL', type: 'LIMIT', quantity: 20000, price: 1, referencePrice: 1 })).toBe('NOTIONAL');
+  });
+
+  it('відхиляє лімітну ціну далеко від середньої', () => {
+    expect(rejectedBy({ side: 'SELL', type: 'LIMIT', quantity: 10, price: 6, referencePrice: 1 })).toBe('PERCENT_PRICE_BY_SIDE');
+    expect(rejectedBy({ side: 'BUY', type: 'LIMIT', quantity: 100, price: 0.1, referencePrice: 1 })).toBe('PERCENT_PRICE_BY_SIDE');
+  });
+
+  it('перевіряє застарілий MIN_NOTIONAL', () => {
+    const symbolInfo = {
+      symbol: 'OLDUSDT',
+      filters: [{ filterType: 'MIN_NOTIONAL', minNotional: '10', applyToMarket: false }]
+    };
+
+    expect(rejectedBy({ side: 'SELL', type: 'LIMIT', quantity: 5, price: 1, referencePrice: 1 }, symbolInfo)).toBe('MIN_NOTIONAL');
+    expect(rejectedBy({ side: 'SELL', type: 'MARKET', quantity: 5, referencePrice: 1 }, symbolInfo)).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,111 @@
+// tests/services/replay/replay.test.js
+
+const path = require('path');
+
+// p-retry постачається лише як ES модуль, який jest не завантажує через require;
+// під час відтворення монітори звертаються до ReplayClient, а не до REST клієнта
+jest.mock('p-retry', () => ({ default: operation => operation() }));
+
+const { ReplaySession, ReplayClient, readRecording } = require('../../../src/services/replay/replay');
+const { WebSocketMonitor } = require('../../../src/services/monitoring/websocket');
+const { PollingMonitor } = require('../../../src/services/monitoring/polling');
+
+const FIXTURE = path.join(__dirname, '../../fixtures/listing-day.ndjson');
+
+// Події моніторів, що порівнюються між прогонами (як у scripts/replay.js)
+const REPLAYED_EVENTS = ['newListing', 'statusTransition', 'symbolPaused', 'symbolResumed', 'delisting'];
+
+/**
+ * Відтворення запису через WebSocket та Polling монітори без пауз
+ * Повертає події з часом відтворення, без міток реального часу
+ */
+async function replayFixture() {
+  const session = await ReplaySession.fromFile(FIXTURE, { speed: 0 });
+  const monitors = {
+    websocket: new WebSocketMonitor(session.client),
+    polling: new PollingMonitor(session.client)
+  };
+  const events = [];
+
+  for (const [source, monitor] of Object.entries(monitors)) {
+    for (const event of REPLAYED_EVENTS) {
+      monitor.on(event, (payload) => {
+        const { latency, timestamp, ...data } = payload;
+        events.push({ t: session.client.currentTime, monitor: source, event, ...data });
+      });
+    }
+    session.attach(monitor);
+  }
+
+  const stats = await session.run();
+
+  return { events, stats };
+}
+
+describe('ReplaySession', () => {
+  it('відтворює день лістингу з запису', async () => {
+    const { events, stats } = await replayFixture();
+
+    expect(stats).toEqual({ frames: 1, polls: 2, exchangeInfoChecks: 3 });
+    expect(events.map(({ t, monitor, event, symbol, symbols }) => [t, monitor, event, symbol || symbols])).toEqual([
+      [1700000003000, 'polling', 'statusTransition', 'NEWUSDT'],
+      [1700000003000, 'polling', 'symbolPaused', [{ symbol: 'BBBUSDT', status: 'HALT' }]],
+      [1700000003500, 'websocket', 'newListing', 'NEWUSDT'],
+      [1700000005000, 'polling', 'delisting', ['BBBUSDT']]
+    ]);
+  });
+
+  it('передає ціну та обсяг з записаних тікерів', async () => {
+    const { events } = await replayFixture();
+    const listings = events.filter(event => event.event === 'newListing');
+
+    expect(listings.find(event => event.monitor === 'websocket')).toMatchObject({
+      symbol: 'NEWUSDT',
+      baseAsset: 'NEW',
+      quoteAsset: 'USDT',
+      price: 0.5,
+      quoteVolume: 500,
+      source: 'websocket'
+    });
+    // Polling вже видав NEWUSDT як statusTransition і не повторює його з тікерів
+    expect(listings.filter(event => event.monitor === 'polling')).toEqual([]);
+  });
+
+  it('дає однаковий результат при повторному прогоні', async () => {
+    const first = await replayFixture();
+    const second = await replayFixture();
+
+    expect(second.events).toEqual(first.events);
+  });
+});
+
+describe('ReplayClient', () => {
+  it('повертає останню відповідь, записану до моменту відтворення', async () => {
+    const client = new ReplayClient(await readRecording(FIXTURE));
+
+    client.setTime(1700000002500);
+    const tickers = await client.get24hrStats();
+    expect(tickers.map(ticker => ticker.symbol)).not.toContain('NEWUSDT');
+
+    client.setTime(1700000004000);
+    expect((await client.get24hrStats()).map(ticker => ticker.symbol)).toContain('NEWUSDT');
+  });
+
+  it('вибирає символ з повного exchangeInfo', async () => {
+    const client = new ReplayClient(await readRecording(FIXTURE));
+    client.setTime(1700000003000);
+
+    const exchangeInfo = await client.getExchangeInfo('NEWUSDT');
+
+    expect(exchangeInfo.symbols).toEqual([{ symbol: 'NEWUSDT', status: 'TRADING', baseAsset: 'NEW', quoteAsset: 'USDT' }]);
+    await expect(client.getExchangeInfo('MISSINGUSDT')).rejects.toThrow('Invalid symbol MISSINGUSDT');
+  });
+
+  it('кидає помилку для запиту, якого немає в записі', async () => {
+    const client = new ReplayClient(await readRecording(FIXTURE));
+    client.setTime(1700000001500);
+
+    await expect(client.get24hrStats()).rejects.toThrow('Немає запису get24hrStats');
+    await expect(client.getCurrentPrice('AAAUSDT')).rejects.toThrow('Немає запису getCurrentPrice');
+  });
+});
\ No newline at end of file
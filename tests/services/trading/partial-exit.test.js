@@ -0,0 +1,99 @@
+// tests/services/trading/partial-exit.test.js
+
+// p-retry постачається лише як ES модуль, який jest не завантажує через require;
+// замість REST клієнта тут біржа в пам'яті, повтори не потрібні
+jest.mock('p-retry', () => ({ default: operation => operation() }));
+
+const config = require('../../../src/config');
+const constants = require('../../../src/config/constants');
+const { SYMBOL, createExchange, createTradingService, openPosition } = require('../../helpers/trading');
+
+describe('Часткове виконання TP/SL', () => {
+  const useOCO = config.trading.useOCO;
+
+  afterEach(() => {
+    config.trading.useOCO = useOCO;
+  });
+
+  it('переставляє OCO цілком на залишок після часткового TP', async () => {
+    config.trading.useOCO = true;
+    const exchange = createExchange();
+    const service = createTradingService(exchange);
+    const position = await openPosition(exchange);
+    const { tpOrderId, slOrderId } = position;
+    const partials = [];
+    service.on('positionPartiallyClosed', event => partials.push(event));
+
+    exchange.fill(tpOrderId, 4);
+    await service.checkOrderStatus(position);
+
+    expect(exchange.orderManager.cancelOrder).toHaveBeenCalledWith(SYMBOL, tpOrderId);
+    expect(exchange.orderManager.placeOCOOrder).toHaveBeenCalledTimes(1);
+    expect(exchange.orderManager.placeOCOOrder).toHaveBeenCalledWith(SYMBOL, 6, 1.5, 0.9, { ref: 'position:1', purpose: 'protection' });
+    expect(exchange.orders.get(slOrderId).status).toBe(constants.ORDER_STATUS.CANCELED);
+    expect(position.tpOrderId).not.toBe(tpOrderId);
+    expect(position.quantity).toBe(6);
+    expect(position.exitedQuantity).toBe(4);
+    expect(position.status).toBe(constants.POSITION_STATUS.PARTIALLY_CLOSED);
+    expect(service.database.updatePosition).toHaveBeenCalledWith(position);
+    expect(partials).toHaveLength(1);
+    expect(partials[0]).toMatchObject({ filledQty: 4, closeReason: constants.CLOSE_REASONS.TAKE_PROFIT });
+  });
+
+  it('лишає частково виконаний окремий SL і переставляє лише TP', async () => {
+    config.trading.useOCO = false;
+    const exchange = createExchange();
+    const service = createTradingService(exchange);
+    const position = await openPosition(exchange);
+    const { tpOrderId, slOrderId } = position;
+
+    exchange.fill(slOrderId, 3);
+    await service.checkOrderStatus(position);
+
+    expect(exchange.orderManager.cancelOrder).toHaveBeenCalledTimes(1);
+    expect(exchange.orderManager.cancelOrder).toHaveBeenCalledWith(SYMBOL, tpOrderId);
+    expect(exchange.orderManager.placeLimitSellOrder).toHaveBeenCalledWith(SYMBOL, 7, 1.5, { ref: 'position:1', purpose: 'protection' });
+    expect(exchange.orderManager.placeStopLossOrder).not.toHaveBeenCalled();
+    expect(position.slOrderId).toBe(slOrderId);
+    expect(position.quantity).toBe(7);
+    expect(position.fills.exitOrders[slOrderId].executedQty).toBe(3);
+  });
+
+  it('не зменшує позицію вдруге за вже враховане виконання', async () => {
+    config.trading.useOCO = false;
+    const exchange = createExchange();
+    const service = createTradingService(exchange);
+    const position = await openPosition(exchange);
+
+    exchange.fill(position.slOrderId, 3);
+    await service.checkOrderStatus(position);
+    jest.clearAllMocks();
+
+    await service.checkOrderStatus(position);
+
+    expect(position.quantity).toBe(7);
+    expect(position.exitedQuantity).toBe(3);
+    expect(exchange.orderManager.cancelOrder).not.toHaveBeenCalled();
+    expect(exchange.orderManager.placeLimitSellOrder).not.toHaveBeenCalled();
+    expect(service.database.updatePosition).not.toHaveBeenCalled();
+  });
+
+  it('закриває позицію, якщо залишок нижче мінімального notional', async () => {
+    config.trading.useOCO = true;
+    const exchange = createExchange();
+    const service = createTradingService(exchange);
+    const position = await openPosition(exchange);
+    const closed = [];
+    service.on('positionClosed', event => closed.push(event));
+
+    exchange.fill(position.tpOrderId, 6);
+    await service.checkOrderStatus(position);
+
+    expect(exchange.orderManager.placeOCOOrder).not.toHaveBeenCalled();
+    expect(exchange.orderManager.cancelOrder).toHaveBeenCalled();
+    expect(position.status).toBe(constants.POSITION_STATUS.CLOSED);
+    expect(position.exitedQuantity).toBe(10);
+    expect(position.closeReason).toBe(constants.CLOSE_REASONS.TAKE_PROFIT);
+    expect(closed).toHaveLength(1);
+  });
+});
\ No newline at end of file
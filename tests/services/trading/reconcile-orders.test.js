@@ -0,0 +1,105 @@
+// tests/services/trading/reconcile-orders.test.js
+
+// p-retry постачається лише як ES модуль, який jest не завантажує через require;
+// замість REST клієнта тут біржа в пам'яті, повтори не потрібні
+jest.mock('p-retry', () => ({ default: operation => operation() }));
+
+const constants = require('../../../src/config/constants');
+const { SYMBOL, createExchange, createTradingService, createPosition } = require('../../helpers/trading');
+
+const { ORDER_STATES, ORDER_STATUS } = constants;
+
+/**
+ * Купівля, записана в журнал до відправки; executedQty - виконання на біржі (0 - ордер не дійшов)
+ * Комісія угоди списується в базовому активі
+ */
+async function journalBuy(exchange, service, { purpose = 'entry', executedQty = 10 } = {}) {
+  const { clientOrderId } = await service.orderJournal.open(
+    { symbol: SYMBOL, side: constants.ORDER_SIDES.BUY, type: constants.ORDER_TYPES.MARKET, quoteOrderQty: 10 },
+    { ref: `listing:${SYMBOL}`, purpose }
+  );
+
+  if (executedQty > 0) {
+    exchange.orders.set(500, {
+      orderId: 500,
+      clientOrderId,
+      symbol: SYMBOL,
+      side: constants.ORDER_SIDES.BUY,
+      type: constants.ORDER_TYPES.MARKET,
+      status: ORDER_STATUS.FILLED,
+      origQty: String(executedQty),
+      executedQty: String(executedQty),
+      cummulativeQuoteQty: String(executedQty),
+      time: Date.now()
+    });
+    exchange.trades.push({ id: 1, orderId: 500, price: '1', qty: String(executedQty), commission: '0.01', commissionAsset: 'NEW', isMaker: false });
+  }
+
+  return clientOrderId;
+}
+
+describe('Звірка журналу ордерів', () => {
+  it('відновлює позицію з виконаної купівлі входу, якої немає серед активних', async () => {
+    const exchange = createExchange({ holdings: { NEW: 9.99 } });
+    const service = createTradingService(exchange);
+    const recovered = [];
+    service.on('positionRecovered', event => recovered.push(event));
+
+    const clientOrderId = await journalBuy(exchange, service);
+    await service.reconcileOrders();
+
+    const position = service.activePositions.get(SYMBOL);
+    expect(position).toMatchObject({ orderId: 500, quantity: 9.99, entryPrice: 1, baseAsset: 'NEW', quoteAsset: 'USDT' });
+    expect(service.database.savePosition).toHaveBeenCalledWith(position);
+    expect(exchange.orderManager.placeOCOOrder).toHaveBeenCalledWith(
+      SYMBOL,
+      9.99,
+      position.takeProfitPrice,
+      position.stopLossPrice,
+      { ref: 'position:500', purpose: 'protection' }
+    );
+    expect(recovered).toHaveLength(1);
+    expect(recovered[0].protected).toBe(true);
+    expect((await service.database.getOrder(clientOrderId)).state).toBe(ORDER_STATES.FILLED);
+  });
+
+  it('позначає відхиленим ордер, що не дійшов до біржі', async () => {
+    const exchange = createExchange();
+    const service = createTradingService(exchange);
+
+    const clientOrderId = await journalBuy(exchange, service, { executedQty: 0 });
+    await service.reconcileOrders();
+
+    expect((await service.database.getOrder(clientOrderId)).state).toBe(ORDER_STATES.REJECTED);
+    expect(service.activePositions.has(SYMBOL)).toBe(false);
+    expect(exchange.orderManager.placeOCOOrder).not.toHaveBeenCalled();
+  });
+
+  it('не відкриває позицію з виконаної купівлі поза входом лістингу', async () => {
+    const exchange = createExchange({ holdings: { NEW: 9.99 } });
+    const service = createTradingService(exchange);
+    const orphans = [];
+    service.on('orphanOrder', event => orphans.push(event));
+
+    await journalBuy(exchange, service, { purpose: 'conversion' });
+    await service.reconcileOrders();
+
+    expect(service.activePositions.has(SYMBOL)).toBe(false);
+    expect(orphans).toHaveLength(1);
+    expect(orphans[0]).toMatchObject({ orderId: 500, purpose: 'conversion' });
+  });
+
+  it('не чіпає позицію, яка вже активна', async () => {
+    const exchange = createExchange({ holdings: { NEW: 9.99 } });
+    const service = createTradingService(exchange);
+    const position = createPosition({ orderId: 500 });
+    service.activePositions.set(SYMBOL, position);
+
+    await journalBuy(exchange, service);
+    await service.reconcileOrders();
+
+    expect(service.activePositions.get(SYMBOL)).toBe(position);
+    expect(service.database.savePosition).not.toHaveBeenCalled();
+    expect(exchange.orderManager.placeOCOOrder).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
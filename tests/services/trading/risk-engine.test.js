@@ -0,0 +1,135 @@
+// tests/services/trading/risk-engine.test.js
+
+const config = require('../../../src/config');
+const { RiskEngine } = require('../../../src/services/trading/risk-engine');
+
+/**
+ * База даних стану ризику в пам'яті
+ */
+function createDatabase(states = []) {
+  return {
+    saved: [],
+    getRiskStates: async () => states,
+    saveRiskState: async function (state) {
+      this.saved.push({ ...state });
+    }
+  };
+}
+
+describe('RiskEngine', () => {
+  const limits = config.trading.riskEngine;
+
+  it('зупиняє входи після денного збитку', async () => {
+    const engine = new RiskEngine(createDatabase());
+
+    expect(await engine.recordTrade('mainnet', -(limits.maxDailyLoss / 2))).toBeNull();
+    const reason = await engine.updateMarkToMarket('mainnet', { unrealizedPnl: -(limits.maxDailyLoss / 2), equity: 0 });
+
+    expect(reason).toMatch(/^Daily loss/);
+    expect(engine.isHalted()).toBe(true);
+    expect(engine.getStatus().haltedEnvironment).toBe('mainnet');
+  });
+
+  describe('позиція, відкрита напередодні', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('рахує в денний збиток лише зміну нереалізованого P&L з початку дня', async () => {
+      jest.useFakeTimers({ now: new Date('2026-03-03T23:00:00Z') });
+      const engine = new RiskEngine(createDatabase());
+
+      expect(await engine.updateMarkToMarket('mainnet', { unrealizedPnl: -limits.maxDailyLoss * 0.8, equity: 0 })).toBeNull();
+
+      jest.setSystemTime(new Date('2026-03-04T01:00:00Z'));
+      expect(await engine.updateMarkToMarket('mainnet', { unrealizedPnl: -limits.maxDailyLoss * 1.2, equity: 0 })).toBeNull();
+      expect(engine.getStatus().environments.mainnet).toMatchObject({ day: '2026-03-04', dailyUnrealized: expect.closeTo(-limits.maxDailyLoss * 0.4, 8) });
+
+      // Закриття позиції: реалізований P&L від входу мінус нереалізований на початку дня
+      expect(await engine.recordTrade('mainnet', -limits.maxDailyLoss * 1.2, 0)).toBeNull();
+      expect(engine.getStatus().environments.mainnet.dailyPnl).toBeCloseTo(-limits.maxDailyLoss * 0.4, 8);
+      // Тиждень почався в понеділок 2026-03-02, тож тижневий P&L рахує збиток повністю
+      expect(engine.getStatus().environments.mainnet.weeklyPnl).toBeCloseTo(-limits.maxDailyLoss * 1.2, 8);
+    });
+  });
+
+  it('зупиняє входи після просідання від піку капіталу', async () => {
+    const engine = new RiskEngine(createDatabase());
+
+    expect(await engine.updateMarkToMarket('mainnet', { unrealizedPnl: 0, equity: 1000 })).toBeNull();
+    expect(await engine.updateMarkToMarket('mainnet', { unrealizedPnl: 0, equity: 1000 * (1 - limits.maxDrawdownPercent / 2) })).toBeNull();
+
+    const reason = await engine.updateMarkToMarket('mainnet', { unrealizedPnl: 0, equity: 1000 * (1 - limits.maxDrawdownPercent) });
+
+    expect(reason).toMatch(/^Drawdown/);
+    expect(engine.getStatus().environments.mainnet.equityPeak).toBe(1000);
+  });
+
+  it('зупиняє входи після серії збиткових угод', async () => {
+    const engine = new RiskEngine(createDatabase());
+    let reason = null;
+
+    for (let i = 0; i < limits.maxConsecutiveLosses; i++) {
+      // Прибуткова угода посередині серії скидає лічильник
+      if (i === 1) {
+        await engine.recordTrade('testnet', 0.01);
+      }
+      reason = await engine.recordTrade('testnet', -0.01);
+    }
+
+    expect(reason).toBeNull();
+    expect(await engine.recordTrade('testnet', -0.01)).toMatch(/consecutive losses/);
+  });
+
+  it('зупинка одного середовища діє в усіх', async () => {
+    const engine = new RiskEngine(createDatabase());
+
+    await engine.recordTrade('testnet', -limits.maxDailyLoss);
+
+    expect(engine.isHalted()).toBe(true);
+    // Нові порушення під час зупинки не перезаписують причину
+    expect(await engine.recordTrade('mainnet', -limits.maxDailyLoss)).toBeNull();
+    expect(engine.getStatus().haltedEnvironment).toBe('testnet');
+  });
+
+  it('ручне скидання переносить точку відліку денного збитку та пік капіталу', async () => {
+    const engine = new RiskEngine(createDatabase());
+
+    await engine.updateMarkToMarket('mainnet', { unrealizedPnl: 0, equity: 1000 });
+    await engine.recordTrade('mainnet', -limits.maxDailyLoss);
+    await engine.updateMarkToMarket('mainnet', { unrealizedPnl: 0, equity: 1000 - limits.maxDailyLoss });
+
+    expect(await engine.reset()).toMatchObject({ wasHalted: true });
+    expect(engine.isHalted()).toBe(false);
+    expect(engine.getStatus().environments.mainnet.equityPeak).toBe(1000 - limits.maxDailyLoss);
+
+    // Збиток до скидання вже врахований, ліміт рахується від нього
+    expect(await engine.recordTrade('mainnet', -(limits.maxDailyLoss / 2))).toBeNull();
+  });
+
+  it('відновлює збережену зупинку', async () => {
+    const engine = new RiskEngine(createDatabase([{
+      environment: 'mainnet',
+      dayKey: new Date().toISOString().slice(0, 10),
+      dailyRealized: 0,
+      dailyUnrealized: 0,
+      dailyUnrealizedStart: 0,
+      dailyBaseline: 0,
+      weekKey: null,
+      weeklyRealized: 0,
+      weeklyUnrealized: 0,
+      weeklyUnrealizedStart: 0,
+      unrealizedPnl: 0,
+      equity: 0,
+      equityPeak: 0,
+      consecutiveLosses: 0,
+      halted: true,
+      haltReason: 'Daily loss 150.00 reached limit 100',
+      haltedAt: new Date()
+    }]));
+
+    await engine.load();
+
+    expect(engine.getStatus()).toMatchObject({ halted: true, haltReason: 'Daily loss 150.00 reached limit 100' });
+  });
+});
\ No newline at end of file
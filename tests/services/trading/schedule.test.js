@@ -0,0 +1,132 @@
+// tests/services/trading/schedule.test.js
+
+const { TradingSchedule } = require('../../../src/services/trading/schedule');
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Вікно розкладу з годин (як після розбору SCHEDULE_ALLOW / SCHEDULE_DENY)
+ */
+function window(days, start, end, spec) {
+  return { days, start: start * 60, end: end * 60, spec };
+}
+
+function createSchedule(settings) {
+  return new TradingSchedule({
+    enabled: true,
+    timezone: 'UTC',
+    allow: [window(WEEKDAYS, 6, 23, 'mon-fri@06:00-23:00')],
+    deny: [],
+    holidays: [],
+    ...settings
+  });
+}
+
+/**
+ * Розклад кожної хвилини періоду - еталон для календаря
+ */
+function checkEveryMinute(schedule, from, days) {
+  const start = Math.floor(from.getTime() / 60000) * 60000;
+  const periods = [];
+  let current = null;
+
+  for (let minute = 0; minute < days * 24 * 60; minute++) {
+    const time = start + minute * 60000;
+    const { allowed } = schedule.check(new Date(time));
+
+    if (allowed && !current) {
+      current = { from: new Date(time).toISOString(), to: null };
+      periods.push(current);
+    } else if (!allowed && current) {
+      current.to = new Date(time).toISOString();
+      current = null;
+    }
+  }
+
+  return periods;
+}
+
+describe('TradingSchedule.check', () => {
+  it('дозволяє торгівлю у вікні та забороняє поза ним', () => {
+    const schedule = createSchedule();
+
+    // 2026-03-02 - понеділок
+    expect(schedule.check(new Date('2026-03-02T10:00:00Z'))).toMatchObject({ allowed: true, window: 'mon-fri@06:00-23:00' });
+    expect(schedule.check(new Date('2026-03-02T05:59:00Z')).reasons).toEqual(['Торгівля поза вікнами розкладу']);
+    expect(schedule.check(new Date('2026-03-07T10:00:00Z')).allowed).toBe(false);
+  });
+
+  it('надає пріоритет забороненому вікну та святу', () => {
+    const schedule = createSchedule({
+      deny: [window(ALL_DAYS, 12, 13, 'daily@12:00-13:00')],
+      holidays: ['2026-03-03']
+    });
+
+    expect(schedule.check(new Date('2026-03-02T12:30:00Z')).reasons).toEqual(['Заборонене вікно daily@12:00-13:00']);
+    expect(schedule.check(new Date('2026-03-03T10:00:00Z')).reasons).toEqual(['Святковий день 2026-03-03']);
+  });
+
+  it('продовжує вікно через північ наступного дня', () => {
+    const schedule = createSchedule({ allow: [window([5], 22, 2, 'fri@22:00-02:00')] });
+
+    expect(schedule.check(new Date('2026-03-06T23:00:00Z')).allowed).toBe(true);
+    expect(schedule.check(new Date('2026-03-07T01:59:00Z')).allowed).toBe(true);
+    expect(schedule.check(new Date('2026-03-07T02:00:00Z')).allowed).toBe(false);
+  });
+
+  it('рахує час у часовому поясі розкладу', () => {
+    const schedule = createSchedule({ timezone: 'Europe/Kyiv' });
+
+    // 04:30 UTC = 06:30 у Києві (зимовий час)
+    expect(schedule.check(new Date('2026-03-02T04:30:00Z'))).toMatchObject({ allowed: true, localTime: '2026-03-02 06:30' });
+  });
+
+  it('вимкнений розклад дозволяє торгівлю завжди', () => {
+    const schedule = createSchedule({ enabled: false });
+
+    expect(schedule.check(new Date('2026-03-07T03:00:00Z')).allowed).toBe(true);
+  });
+});
+
+describe('TradingSchedule.getCalendar', () => {
+  it('повертає дозволені періоди та найближчий дозволений момент', () => {
+    const schedule = createSchedule();
+    const calendar = schedule.getCalendar(new Date('2026-03-06T22:30:00Z'), 4);
+
+    expect(calendar.now.allowed).toBe(true);
+    expect(calendar.nextAllowedAt).toBe('2026-03-06T22:30:00.000Z');
+    expect(calendar.periods).toEqual([
+      { from: '2026-03-06T22:30:00.000Z', to: '2026-03-06T23:00:00.000Z' },
+      { from: '2026-03-09T06:00:00.000Z', to: '2026-03-09T23:00:00.000Z' },
+      { from: '2026-03-10T06:00:00.000Z', to: null }
+    ]);
+  });
+
+  it('вказує найближчий дозволений момент поза вікном', () => {
+    const calendar = createSchedule().getCalendar(new Date('2026-03-07T10:00:00Z'), 7);
+
+    expect(calendar.now.allowed).toBe(false);
+    expect(calendar.nextAllowedAt).toBe('2026-03-09T06:00:00.000Z');
+  });
+
+  it.each([
+    ['перехід на літній час', 'Europe/Kyiv', '2026-03-25T10:17:00Z'],
+    ['перехід на зимовий час', 'Europe/Kyiv', '2026-10-20T00:00:00Z'],
+    ['перехід на літній час у США', 'America/New_York', '2026-03-05T00:00:00Z'],
+    ['перехід на зимовий час у США', 'America/New_York', '2026-10-29T00:00:00Z']
+  ])('збігається з щохвилинною перевіркою: %s', (name, timezone, from) => {
+    const schedule = createSchedule({
+      timezone,
+      allow: [
+        window(WEEKDAYS, 9, 18, 'mon-fri@09:00-18:00'),
+        window(ALL_DAYS, 1.5, 3.25, 'daily@01:30-03:15'),
+        window([6], 22, 2.5, 'sat@22:00-02:30')
+      ],
+      deny: [window(ALL_DAYS, 12, 13, 'daily@12:00-13:00')],
+      holidays: ['2026-03-30', '2026-11-03']
+    });
+
+    expect(schedule.getCalendar(new Date(from), 14).periods).toEqual(checkEveryMinute(schedule, new Date(from), 14));
+  });
+});
\ No newline at end of file
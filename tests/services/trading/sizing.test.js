@@ -0,0 +1,116 @@
+// tests/services/trading/sizing.test.js
+
+const config = require('../../../src/config');
+const { VolatilitySizer, measureVolatility } = require('../../../src/services/trading/sizing');
+const { RiskManager } = require('../../../src/services/trading/risk');
+
+/**
+ * Угоди раз на секунду з ціною, що чергує підйом і спад на step
+ */
+function createTrades(count, { price = 1, step = 0, start = 1700000000000 } = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    price: String(price * (i % 2 === 0 ? 1 : 1 + step)),
+    time: start + i * 1000
+  }));
+}
+
+function createSizer(trades, spread = null) {
+  const client = {
+    getRecentTrades: async () => trades,
+    getOrderBook: async () => ({ bids: [['0.999', '100']], asks: [['1.001', '100']] })
+  };
+  const marketData = { getSpread: () => spread };
+
+  return new VolatilitySizer(client, marketData, new RiskManager());
+}
+
+describe('measureVolatility', () => {
+  it('рахує хвилинну волатильність за секундними цінами закриття', () => {
+    const trades = [
+      { price: 1, time: 0 },
+      // Дві угоди однієї секунди - береться остання
+      { price: 1.2, time: 1000 },
+      { price: 1.1, time: 1500 },
+      { price: 1.21, time: 2000 }
+    ];
+
+    const result = measureVolatility(trades);
+
+    expect(result).toMatchObject({ trades: 4, seconds: 3, windowMs: 2000, lastPrice: 1.21 });
+    // Закриття 1 → 1.1 → 1.21: однакові доходності, нульове відхилення
+    expect(result.volatility).toBeCloseTo(0, 10);
+    expect(result.rangePercent).toBeCloseTo(21, 10);
+  });
+
+  it('впорядковує угоди за часом', () => {
+    const result = measureVolatility([
+      { price: 2, time: 2000 },
+      { price: 1, time: 0 }
+    ]);
+
+    expect(result.lastPrice).toBe(2);
+    expect(result.volatility).toBe(0);
+  });
+
+  it('масштабує відхилення секундних доходностей до хвилини', () => {
+    const trades = createTrades(3, { step: 0.01 }).map(trade => ({ price: parseFloat(trade.price), time: trade.time }));
+    // Доходності +ln(1.01) та -ln(1.01): середнє 0, вибіркове відхилення √2·ln(1.01)
+    const deviation = Math.sqrt(2) * Math.log(1.01);
+
+    expect(measureVolatility(trades).volatility).toBeCloseTo(deviation * Math.sqrt(60), 10);
+  });
+});
+
+describe('VolatilitySizer', () => {
+  const { minTrades, maxStopPercent, volatilityMultiplier } = config.trading.sizing;
+  const riskPercent = config.trading.risk.maxPositionRiskPercent;
+
+  it('лишає фіксований розмір, якщо угод замало', async () => {
+    const result = await createSizer(createTrades(minTrades - 1)).size('NEWUSDT', 1000);
+
+    expect(result).toEqual({ mode: 'fixed', reason: `Only ${minTrades - 1} trades, need ${minTrades}` });
+  });
+
+  it('лишає фіксований розмір без угод біржі', async () => {
+    const sizer = createSizer([]);
+    sizer.binanceClient.getRecentTrades = async () => {
+      throw new Error('Too many requests');
+    };
+
+    expect(await sizer.size('NEWUSDT', 1000)).toMatchObject({ mode: 'fixed' });
+  });
+
+  it('спокійний ринок - stop loss не вужчий за DEFAULT_SL_PERCENT', async () => {
+    const result = await createSizer(createTrades(minTrades), { spreadPercent: 0 }).size('NEWUSDT', 1000);
+
+    expect(result.mode).toBe('volatility');
+    expect(result.stopDistance).toBe(config.trading.defaultSL);
+    // Спрацювання stop loss коштує maxPositionRiskPercent капіталу
+    expect(result.orderSize * result.stopDistance).toBeCloseTo(1000 * riskPercent, 8);
+  });
+
+  it('відстань stop loss - кратна волатильність плюс спред', async () => {
+    const result = await createSizer(createTrades(minTrades, { step: 0.003 }), { spreadPercent: 0.5 }).size('NEWUSDT', 1000);
+
+    expect(result.spread).toBeCloseTo(0.005, 10);
+    expect(result.rawStopDistance).toBeCloseTo(volatilityMultiplier * result.volatility + 0.005, 10);
+    expect(result.rawStopDistance).toBeGreaterThan(config.trading.defaultSL);
+    expect(result.stopDistance).toBeCloseTo(result.rawStopDistance, 10);
+    expect(result.isExtreme).toBe(false);
+  });
+
+  it('бере спред з книги ордерів без живого bookTicker', async () => {
+    const result = await createSizer(createTrades(minTrades)).size('NEWUSDT', 1000);
+
+    expect(result.spread).toBeCloseTo(0.002, 10);
+  });
+
+  it('екстремальна волатильність зменшує розмір понад найширший stop loss', async () => {
+    const result = await createSizer(createTrades(minTrades, { step: 0.2 }), { spreadPercent: 0 }).size('NEWUSDT', 1000);
+    const fullSize = (1000 * riskPercent) / maxStopPercent;
+
+    expect(result.isExtreme).toBe(true);
+    expect(result.stopDistance).toBe(maxStopPercent);
+    expect(result.orderSize).toBeCloseTo(fullSize * (maxStopPercent / result.rawStopDistance), 8);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,99 @@
+// tests/services/trading/slippage.test.js
+
+const config = require('../../../src/config');
+const { SlippageGuard, simulateFill, maxQuoteWithinPrice } = require('../../../src/services/trading/slippage');
+
+const ASKS = [
+  [1.0, 100],
+  [1.02, 100],
+  [1.1, 1000]
+];
+
+function createGuard(asks, top = null) {
+  const client = {
+    getOrderBook: async () => ({ asks: asks.map(([price, qty]) => [String(price), String(qty)]) })
+  };
+  const marketData = { getSpread: () => top };
+
+  return new SlippageGuard(client, marketData);
+}
+
+describe('simulateFill', () => {
+  it('проходить рівні asks до запланованої суми', () => {
+    const fill = simulateFill(ASKS, 151);
+
+    expect(fill.levels).toBe(2);
+    expect(fill.filledQuote).toBeCloseTo(151, 10);
+    expect(fill.filledQty).toBeCloseTo(100 + 51 / 1.02, 10);
+    expect(fill.avgPrice).toBeCloseTo(151 / (100 + 51 / 1.02), 10);
+    expect(fill.exhausted).toBe(false);
+  });
+
+  it('позначає книгу, якої не вистачило', () => {
+    const fill = simulateFill([[1, 10]], 50);
+
+    expect(fill).toMatchObject({ filledQuote: 10, exhausted: true });
+  });
+
+  it('порожня книга не має середньої ціни', () => {
+    expect(simulateFill([], 10)).toMatchObject({ avgPrice: null, exhausted: true });
+  });
+});
+
+describe('maxQuoteWithinPrice', () => {
+  it('бере частину рівня, за якої середня ціна дорівнює стелі', () => {
+    const quote = maxQuoteWithinPrice(ASKS, 1.01);
+    const fill = simulateFill(ASKS, quote);
+
+    // Перший рівень повністю і рівно стільки другого, щоб середня стала 1.01
+    expect(quote).toBeCloseTo(100 + 100 * 1.02, 8);
+    expect(fill.avgPrice).toBeCloseTo(1.01, 10);
+  });
+
+  it('стеля нижча за найкращий ask - купити нічого', () => {
+    expect(maxQuoteWithinPrice(ASKS, 0.99)).toBe(0);
+  });
+});
+
+describe('SlippageGuard.check', () => {
+  const { maxSlippage } = config.trading.slippageGuard;
+
+  it('купує як заплановано, якщо верх книги покриває суму', async () => {
+    const guard = createGuard([], { askPrice: 1, askQty: 1000 });
+    const result = await guard.check('NEWUSDT', 100, 1);
+
+    expect(result).toMatchObject({ action: 'proceed', quoteAmount: 100 });
+    expect(result.estimate).toMatchObject({ source: 'bookTicker', expectedSlippagePercent: 0 });
+  });
+
+  it('зменшує ордер до суми в межах стелі прослизання', async () => {
+    const asks = [[1, 50], [1 + maxSlippage * 4, 1000]];
+    const result = await createGuard(asks).check('NEWUSDT', 100, 1);
+
+    expect(result.action).toBe('downsize');
+    expect(result.quoteAmount).toBeCloseTo(maxQuoteWithinPrice(asks, 1 + maxSlippage), 8);
+    expect(result.estimate.expectedAvgPrice).toBeCloseTo(1 + maxSlippage, 8);
+  });
+
+  it('скасовує покупку, якщо допустима сума замала', async () => {
+    const result = await createGuard([[1.5, 1000]]).check('NEWUSDT', 100, 1);
+
+    expect(result).toMatchObject({ action: 'abort', quoteAmount: 0 });
+    expect(result.reason).toMatch(/^Expected slippage 50.00%/);
+  });
+
+  it('скасовує покупку, якщо книга порожня', async () => {
+    const result = await createGuard([]).check('NEWUSDT', 100, 1);
+
+    expect(result).toMatchObject({ action: 'abort', reason: 'Order book has no asks' });
+  });
+
+  it('купує без перевірки, якщо книга недоступна', async () => {
+    const guard = createGuard([]);
+    guard.binanceClient.getOrderBook = async () => {
+      throw new Error('Service unavailable');
+    };
+
+    expect(await guard.check('NEWUSDT', 100, 1)).toMatchObject({ action: 'proceed', quoteAmount: 100 });
+  });
+});
\ No newline at end of file
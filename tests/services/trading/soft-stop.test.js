@@ -0,0 +1,99 @@
+// tests/services/trading/soft-stop.test.js
+
+// p-retry постачається лише як ES модуль, який jest не завантажує через require;
+// замість REST клієнта тут біржа в пам'яті, повтори не потрібні
+jest.mock('p-retry', () => ({ default: operation => operation() }));
+
+const config = require('../../../src/config');
+const constants = require('../../../src/config/constants');
+const { SYMBOL, createExchange, createTradingService, createPosition } = require('../../helpers/trading');
+
+const REJECTED = { success: false, error: 'Filter failure: PERCENT_PRICE_BY_SIDE' };
+
+/**
+ * Позиція, для якої біржа відхилила і OCO, і окремий stop loss (TP прийнято)
+ */
+async function openUnprotectedPosition(exchange, service) {
+  const position = createPosition();
+
+  service.activePositions.set(SYMBOL, position);
+  exchange.orderManager.placeOCOOrder.mockResolvedValueOnce(REJECTED);
+  exchange.orderManager.placeStopLossOrder.mockResolvedValueOnce(REJECTED);
+  await service.setTakeProfitStopLoss({ position });
+
+  jest.clearAllMocks();
+  return position;
+}
+
+describe('Програмний stop loss', () => {
+  const useOCO = config.trading.useOCO;
+
+  beforeEach(() => {
+    config.trading.useOCO = true;
+  });
+
+  afterEach(() => {
+    config.trading.useOCO = useOCO;
+  });
+
+  it('вмикається, коли біржа не прийняла stop loss', async () => {
+    const exchange = createExchange({ holdings: { NEW: 10 } });
+    const service = createTradingService(exchange);
+    const activated = [];
+    service.on('softStopActivated', event => activated.push(event));
+
+    const position = await openUnprotectedPosition(exchange, service);
+
+    expect(position.tpOrderId).toBeTruthy();
+    expect(position.slOrderId).toBeFalsy();
+    expect(position.softStop).toMatchObject({ active: true, attempts: 0 });
+    expect(activated).toHaveLength(1);
+  });
+
+  it('продає ринком, коли ціна перетнула stop loss', async () => {
+    const exchange = createExchange({ holdings: { NEW: 10 } });
+    const service = createTradingService(exchange);
+    const position = await openUnprotectedPosition(exchange, service);
+    const closed = [];
+    service.on('positionClosed', event => closed.push(event));
+
+    exchange.market.price = 0.95;
+    await service.checkPositions();
+
+    expect(exchange.orderManager.placeMarketSellOrder).toHaveBeenCalledWith(SYMBOL, 10, { ref: 'position:1', purpose: 'exit' });
+    expect(exchange.orderManager.cancelOrder).toHaveBeenCalledWith(SYMBOL, position.tpOrderId);
+    expect(service.activePositions.has(SYMBOL)).toBe(false);
+    expect(closed).toHaveLength(1);
+    expect(closed[0]).toMatchObject({ closeReason: constants.CLOSE_REASONS.STOP_LOSS, exitPrice: 0.95 });
+  });
+
+  it('спрацьовує на угоді з потоку без очікування циклу моніторингу', async () => {
+    const exchange = createExchange({ holdings: { NEW: 10 } });
+    const service = createTradingService(exchange);
+    const position = await openUnprotectedPosition(exchange, service);
+    const closed = new Promise(resolve => service.once('positionClosed', resolve));
+
+    service.handleTrade({ symbol: SYMBOL, price: position.stopLossPrice - 0.01 });
+
+    expect(await closed).toMatchObject({ closeReason: constants.CLOSE_REASONS.STOP_LOSS });
+    expect(exchange.orderManager.placeMarketSellOrder).toHaveBeenCalledTimes(1);
+  });
+
+  it('повторює розміщення і вимикається, коли біржа прийняла stop loss', async () => {
+    const exchange = createExchange({ holdings: { NEW: 10 } });
+    const service = createTradingService(exchange);
+    const position = await openUnprotectedPosition(exchange, service);
+
+    // Ціна вище stop loss, але інтервал повтору ще не минув
+    await service.checkPositions();
+    expect(exchange.orderManager.placeOCOOrder).not.toHaveBeenCalled();
+
+    position.softStop.lastAttemptAt = Date.now() - config.trading.softStop.retryInterval;
+    await service.checkPositions();
+
+    expect(exchange.orderManager.placeOCOOrder).toHaveBeenCalledWith(SYMBOL, 10, position.takeProfitPrice, position.stopLossPrice, { ref: 'position:1', purpose: 'protection' });
+    expect(position.slOrderId).toBeTruthy();
+    expect(position.softStop).toMatchObject({ active: false, attempts: 1 });
+    expect(exchange.orderManager.placeMarketSellOrder).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
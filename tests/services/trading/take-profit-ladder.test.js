@@ -0,0 +1,110 @@
+// tests/services/trading/take-profit-ladder.test.js
+
+// p-retry постачається лише як ES модуль, який jest не завантажує через require;
+// замість REST клієнта тут біржа в пам'яті, повтори не потрібні
+jest.mock('p-retry', () => ({ default: operation => operation() }));
+
+const config = require('../../../src/config');
+const constants = require('../../../src/config/constants');
+const { SYMBOL, createExchange, createTradingService, createPosition } = require('../../helpers/trading');
+
+/**
+ * Позиція на 20 з драбиною TP, виставленою як після входу
+ */
+async function openLadderPosition(exchange, service) {
+  const position = createPosition({ quantity: 20 });
+
+  service.activePositions.set(SYMBOL, position);
+  await service.setTakeProfitStopLoss({ position });
+
+  jest.clearAllMocks();
+  return position;
+}
+
+describe('Драбина take profit', () => {
+  const ladder = config.trading.takeProfitLadder;
+
+  beforeEach(() => {
+    config.trading.takeProfitLadder = {
+      levels: [{ fraction: 0.3, percent: 0.1 }, { fraction: 0.3, percent: 0.25 }],
+      remainder: 'trailing',
+      breakevenAfterFirst: true
+    };
+  });
+
+  afterEach(() => {
+    config.trading.takeProfitLadder = ladder;
+  });
+
+  it('ставить OCO на кожен рівень і stop loss на кількість поза рівнями', async () => {
+    const exchange = createExchange({ holdings: { NEW: 20 } });
+    const service = createTradingService(exchange);
+    const position = createPosition({ quantity: 20 });
+
+    await service.setTakeProfitStopLoss({ position });
+
+    const ocoCalls = exchange.orderManager.placeOCOOrder.mock.calls;
+    expect(ocoCalls.map(([symbol, quantity]) => [symbol, quantity])).toEqual([[SYMBOL, 6], [SYMBOL, 6]]);
+    expect(ocoCalls[0][2]).toBeCloseTo(1.1, 10);
+    expect(ocoCalls[1][2]).toBeCloseTo(1.25, 10);
+    expect(ocoCalls.every(call => call[3] === position.stopLossPrice)).toBe(true);
+    expect(exchange.orderManager.placeStopLossOrder).toHaveBeenCalledWith(SYMBOL, 8, position.stopLossPrice, { ref: 'position:1', purpose: 'protection' });
+    expect(exchange.orderManager.placeLimitSellOrder).not.toHaveBeenCalled();
+    expect(position.takeProfitLevels.map(level => level.status)).toEqual([constants.ORDER_STATUS.NEW, constants.ORDER_STATUS.NEW]);
+    expect(position.slOrderId).toBeTruthy();
+    expect(position.trailing.enabled).toBe(true);
+  });
+
+  it('переносить stop loss на беззбиток після першого виконаного рівня', async () => {
+    const exchange = createExchange({ holdings: { NEW: 20 } });
+    const service = createTradingService(exchange);
+    const position = await openLadderPosition(exchange, service);
+    const [first, second] = position.takeProfitLevels;
+    const partials = [];
+    service.on('positionPartiallyClosed', event => partials.push(event));
+
+    exchange.fill(first.orderId, 6);
+    await service.checkOrderStatus(position);
+
+    expect(position.quantity).toBe(14);
+    expect(position.stopLossPrice).toBe(position.entryPrice);
+    expect(position.takeProfitLevels[0].status).toBe(constants.ORDER_STATUS.FILLED);
+    expect(exchange.orderManager.cancelOrder).toHaveBeenCalledWith(SYMBOL, second.orderId);
+    expect(exchange.orderManager.placeOCOOrder).toHaveBeenCalledTimes(1);
+    expect(exchange.orderManager.placeOCOOrder).toHaveBeenCalledWith(SYMBOL, 6, second.price, position.entryPrice, { ref: 'position:1', purpose: 'ladder-2' });
+    expect(exchange.orderManager.placeStopLossOrder).toHaveBeenCalledWith(SYMBOL, 8, position.entryPrice, { ref: 'position:1', purpose: 'protection' });
+    expect(partials).toHaveLength(1);
+    expect(partials[0]).toMatchObject({ level: 1, filledQty: 6, closeReason: constants.CLOSE_REASONS.TAKE_PROFIT });
+  });
+
+  it('перевіряє ордери драбини без tpOrderId та окремого stop loss', async () => {
+    config.trading.takeProfitLadder.levels = [{ fraction: 0.5, percent: 0.1 }, { fraction: 0.5, percent: 0.25 }];
+    const exchange = createExchange({ holdings: { NEW: 20 } });
+    const service = createTradingService(exchange);
+    const position = await openLadderPosition(exchange, service);
+
+    expect(position.tpOrderId).toBeFalsy();
+    expect(position.slOrderId).toBeFalsy();
+
+    exchange.fill(position.takeProfitLevels[0].orderId, 10);
+    await service.checkPositions();
+
+    expect(position.quantity).toBe(10);
+    expect(position.takeProfitLevels[0].status).toBe(constants.ORDER_STATUS.FILLED);
+    expect(exchange.orderManager.placeStopLossOrder).not.toHaveBeenCalled();
+  });
+
+  it('лишає драбину, якщо біржа відхилила рівень, і покриває його кількість stop loss', async () => {
+    const exchange = createExchange({ holdings: { NEW: 20 } });
+    const service = createTradingService(exchange);
+    const position = createPosition({ quantity: 20 });
+
+    exchange.orderManager.placeOCOOrder.mockResolvedValueOnce({ success: false, error: 'Filter failure: PERCENT_PRICE_BY_SIDE' });
+    const result = await service.setTakeProfitStopLoss({ position });
+
+    expect(result.success).toBe(true);
+    expect(position.takeProfitLevels.map(level => level.status)).toEqual([constants.ORDER_STATUS.REJECTED, constants.ORDER_STATUS.NEW]);
+    expect(exchange.orderManager.placeLimitSellOrder).not.toHaveBeenCalled();
+    expect(exchange.orderManager.placeStopLossOrder).toHaveBeenCalledWith(SYMBOL, 14, position.stopLossPrice, { ref: 'position:1', purpose: 'protection' });
+  });
+});
\ No newline at end of file
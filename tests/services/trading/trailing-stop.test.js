@@ -0,0 +1,100 @@
+// tests/services/trading/trailing-stop.test.js
+
+// p-retry постачається лише як ES модуль, який jest не завантажує через require;
+// замість REST клієнта тут біржа в пам'яті, повтори не потрібні
+jest.mock('p-retry', () => ({ default: operation => operation() }));
+
+const config = require('../../../src/config');
+const { SYMBOL, SYMBOL_INFO, createExchange, createTradingService, createPosition, openPosition } = require('../../helpers/trading');
+
+/**
+ * Позиція з trailing stop: активація на +2%, відстань 3% від максимуму, крок 0.5%
+ */
+async function openTrailingPosition(exchange) {
+  return openPosition(exchange, {
+    trailing: { enabled: true, activation: 0.02, percent: 0.03, step: 0.005, active: false, highWaterMark: 1 }
+  });
+}
+
+describe('Trailing stop', () => {
+  const useOCO = config.trading.useOCO;
+
+  beforeEach(() => {
+    config.trading.useOCO = true;
+  });
+
+  afterEach(() => {
+    config.trading.useOCO = useOCO;
+  });
+
+  it('не рухає stop loss до активації', async () => {
+    const exchange = createExchange({ holdings: { NEW: 10 } });
+    const service = createTradingService(exchange);
+    const position = await openTrailingPosition(exchange);
+
+    await service.updateTrailingStop(position, 1.01);
+
+    expect(position.trailing.active).toBe(false);
+    expect(position.trailing.highWaterMark).toBe(1.01);
+    expect(position.stopLossPrice).toBe(0.9);
+    expect(exchange.orderManager.cancelOrder).not.toHaveBeenCalled();
+  });
+
+  it('підтягує stop loss лише вгору і лише далі за крок', async () => {
+    const exchange = createExchange({ holdings: { NEW: 10 } });
+    const service = createTradingService(exchange);
+    const position = await openTrailingPosition(exchange);
+    const updates = [];
+    service.on('trailingStopUpdated', event => updates.push(event));
+
+    await service.updateTrailingStop(position, 1.2);
+
+    expect(position.trailing.active).toBe(true);
+    expect(position.stopLossPrice).toBeCloseTo(1.164, 10);
+    expect(exchange.orderManager.placeOCOOrder).toHaveBeenLastCalledWith(SYMBOL, 10, 1.5, position.stopLossPrice, { ref: 'position:1', purpose: 'protection' });
+
+    // Відкат ціни не опускає ні максимум, ні stop loss
+    await service.updateTrailingStop(position, 1.19);
+    // Новий максимум, але stop loss піднявся б менше ніж на крок
+    await service.updateTrailingStop(position, 1.202);
+
+    expect(position.trailing.highWaterMark).toBe(1.202);
+    expect(position.stopLossPrice).toBeCloseTo(1.164, 10);
+    expect(exchange.orderManager.placeOCOOrder).toHaveBeenCalledTimes(1);
+
+    await service.updateTrailingStop(position, 1.25);
+
+    expect(position.stopLossPrice).toBeCloseTo(1.2125, 10);
+    expect(exchange.orderManager.placeOCOOrder).toHaveBeenCalledTimes(2);
+    expect(updates).toHaveLength(2);
+    expect(updates[1].previousStopPrice).toBeCloseTo(1.164, 10);
+  });
+
+  it('повертає попередній stop loss, якщо біржа відхилила новий', async () => {
+    const exchange = createExchange({ holdings: { NEW: 10 } });
+    const service = createTradingService(exchange);
+    const position = await openTrailingPosition(exchange);
+    const updates = [];
+    service.on('trailingStopUpdated', event => updates.push(event));
+
+    exchange.orderManager.placeOCOOrder.mockResolvedValueOnce({ success: false, error: 'Order would immediately trigger.' });
+    await service.updateTrailingStop(position, 1.2);
+
+    expect(position.stopLossPrice).toBe(0.9);
+    expect(exchange.orderManager.placeOCOOrder).toHaveBeenLastCalledWith(SYMBOL, 10, 1.5, 0.9, { ref: 'position:1', purpose: 'protection' });
+    expect(exchange.orders.get(position.slOrderId).price).toBe('0.9');
+    expect(updates).toHaveLength(0);
+  });
+
+  it('рахує вільну кількість без заблокованої ордерами та комісії в базовому активі', async () => {
+    const exchange = createExchange({ holdings: { NEW: 9.976 } });
+    const service = createTradingService(exchange);
+    const position = createPosition({ quantity: 10 });
+
+    expect(await service.getFreeQuantity(position, SYMBOL_INFO)).toBe(9.97);
+
+    await exchange.orderManager.placeLimitSellOrder(SYMBOL, 4, 1.5);
+
+    expect(await service.getFreeQuantity(position, SYMBOL_INFO)).toBe(5.97);
+  });
+});
\ No newline at end of file
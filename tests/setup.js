@@ -0,0 +1,11 @@
+// tests/setup.js
+
+// Конфігурація вимагає ключів API; тести не звертаються до біржі
+process.env.BINANCE_API_KEY = 'test-api-key';
+process.env.BINANCE_API_SECRET = 'test-api-secret';
+process.env.BINANCE_TESTNET = 'false';
+process.env.QUOTE_ASSETS = 'USDT:10';
+
+// Без файлів логів; у консоль лише помилки
+process.env.LOG_FILE_ENABLED = 'false';
+process.env.LOG_LEVEL = 'error';
\ No newline at end of file